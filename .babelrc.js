@@ -1,3 +1,24 @@
+// CommonJS has no import.meta; under jest, resolve import.meta.url from the module's own path
+function importMetaUrl({ types: t }) {
+  return {
+    visitor: {
+      MetaProperty(path) {
+        if (path.node.meta.name !== 'import' || !path.parentPath.isMemberExpression({ object: path.node }) ||
+            path.parent.property.name !== 'url') {
+          return
+        }
+        path.parentPath.replaceWith(t.memberExpression(
+          t.callExpression(
+            t.memberExpression(t.callExpression(t.identifier('require'), [t.stringLiteral('url')]), t.identifier('pathToFileURL')),
+            [t.identifier('__filename')]
+          ),
+          t.identifier('href')
+        ))
+      }
+    }
+  }
+}
+
 module.exports = {
   presets: [
     ['@babel/preset-env', {
@@ -6,5 +27,16 @@ module.exports = {
       },
       modules: false
     }]
-  ]
+  ],
+  env: {
+    // Jest runs the sources as CommonJS in the current Node
+    test: {
+      presets: [
+        ['@babel/preset-env', {
+          targets: { node: 'current' }
+        }]
+      ],
+      plugins: [importMetaUrl]
+    }
+  }
 }
\ No newline at end of file
@@ -1,19 +1,51 @@
-import { Utils, ResponsiveCalculator, ConfigMerger } from './utils/index.js'
-import { FloatingEffect, ScatterEffect, FadeEffect } from './effects/index.js'
-import { InteractionManager } from './interaction/index.js'
-import { CoreParticleSystem, SecondaryParticleSystem, AnimationSystem } from './core/index.js'
+import { Utils, ResponsiveCalculator, ConfigMerger, ConfigSchema, EventEmitter, FlowPresets, TextRasterizer, FixedTimestep } from './utils/index.js'
+import { FloatingEffect, ScatterEffect, FadeEffect, EntranceEffect } from './effects/index.js'
+import { InteractionManager, AccessibilityManager, PointerHandler } from './interaction/index.js'
+import { CoreParticleSystem, SecondaryParticleSystem, AnimationSystem, FlowEngine, PluginRegistry } from './core/index.js'
+import { RendererRegistry } from './renderers/index.js'
+import { WorkerBridge } from './worker/index.js'
+
+let instanceCounter = 0
+
+// Options the primary particles are sampled from; a change rebuilds them
+const PRIMARY_INPUTS = [
+  'particles.density', 'particles.size', 'particles.color', 'particles.color_mode',
+  'particles.palette_size', 'particles.storage', 'responsive', 'image'
+]
+
+// Options the animation frames are cached from
+const ANIMATION_SOURCE_INPUTS = [
+  'animation.enabled', 'animation.frames', 'animation.frame_base_path', 'animation.frame_suffix',
+  'animation.is_external', 'animation.sprite_sheet'
+]
+
+// Options secondary particles are placed from, including those inherited from particles
+const SECONDARY_INPUTS = [
+  'secondary_particles', 'particles.density', 'particles.size', 'particles.color',
+  'particles.storage', 'particles.movement', 'responsive'
+]
 
 /**
  * Enhanced Particle Image System with modular architecture
  */
 export class ReliqParticleImage {
   constructor(container, config = {}) {
+    // Plugins installed with use() apply to instances created afterwards
+    this.plugins = PluginRegistry.list()
+    config = PluginRegistry.applyDefaults(config)
+
     // Validate configuration
-    const validation = ConfigMerger.validateConfig(config)
+    const validation = ConfigMerger.validateConfig(config, {
+      stageTypes: PluginRegistry.getStageTypes(),
+      known: PluginRegistry.getDefaults()
+    })
     if (!validation.valid) {
       console.error('Invalid configuration:', validation.errors)
       throw new Error('Invalid configuration: ' + validation.errors.join(', '))
     }
+    if (validation.warnings.length > 0) {
+      console.warn('Configuration warnings:', validation.warnings)
+    }
 
     // Set defaults and merge configuration
     this.config = ConfigMerger.setDefaults(config)
@@ -25,9 +57,19 @@ export class ReliqParticleImage {
     }
 
     this.canvas = null
+    this.workerBridge = null // Set when render_mode: 'worker' is active
+    // Canvas size in CSS pixels; the backing store is scaled by pixelRatio
+    this.surface = { width: 0, height: 0, pixelRatio: 1 }
     this.isInitialized = false
     this.isDestroyed = false
 
+    // Instance-scoped events, optionally mirrored to document for legacy listeners
+    this.id = config.id || `particle-image-${++instanceCounter}`
+    this.events = new EventEmitter()
+    if (this.config.events?.document_bridge) {
+      this.events.bridgeTo(document, { instanceId: this.id })
+    }
+
     const featureOverrides = config.features || {}
 
     // Feature toggles (opt-in or inferred)
@@ -37,21 +79,90 @@ export class ReliqParticleImage {
       animation: featureOverrides.animation ?? config.animation?.enabled === true,
       floating: featureOverrides.floating ?? config.particles?.movement?.floating?.enabled === true,
       scatter: featureOverrides.scatter ?? config.particles?.scatter?.force !== undefined,
-      fade: featureOverrides.fade ?? config.particles?.fade_out?.enabled === true,
+      fade: featureOverrides.fade ?? (config.particles?.fade_out?.enabled === true ||
+        config.particles?.fade_in?.enabled === true),
+      entrance: featureOverrides.entrance ?? true,
       interactivity: featureOverrides.interactivity ?? true
     }
 
-    this.flow = this.config.flow || {}
+    // Reduced motion drops floating; the particle systems skip restless jitter and random drift, and scatter stages are skipped
+    this.reducedMotion = AccessibilityManager.prefersReducedMotion(this.config)
+    if (this.reducedMotion) {
+      this.features.floating = false
+    }
+
+    const flowConfig = this.config.flow || {}
     this.flowState = {
       animationTriggered: false,
       floatingDisabled: false,
-      currentStageIndex: this.flow.current_stage_index || 0,
-      stages: this.flow.stages || [],
-      autoProgress: this.flow.auto_progress !== false
-    }
+      scattered: false,
+      autoProgress: flowConfig.auto_progress !== false
+    }
+
+    // Public flow control: flow.goTo(), flow.reset(), flow.pause()...
+    this.flow = new FlowEngine({
+      stages: flowConfig.stages || [],
+      events: this.events,
+      onReset: () => this.resetFlowState(),
+      handlers: {
+        ...this.getPluginStageHandlers(),
+        float: () => this.executeFloatStage(),
+        wait_for_click: (stage, onCancel) => this.executeWaitForClickStage(stage, onCancel),
+        wait_for_hover: () => this.flow.wait('hover'),
+        wait_for_leave: () => this.flow.wait('leave'),
+        wait_for_visible: (stage, onCancel) => this.executeWaitForVisibleStage(stage, onCancel),
+        animation: stage => this.executeAnimationStage(stage),
+        disable_floating: () => this.executeDisableFloating(),
+        scatter: () => this.scatterParticles(),
+        reassemble: stage => this.reassemble(stage),
+        assemble: stage => this.assemble(stage),
+        fade_out: stage => this.executeFadeOut(stage),
+        fade_in: (stage, onCancel) => this.executeFadeIn(stage, onCancel)
+      }
+    })
 
     // Initialize systems based on features
     this.initializeSystems()
+
+    this.runPluginHook('init')
+  }
+
+  /**
+   * Collect the flow stage types added by plugins; built-in types take precedence.
+   * A failing handler is rethrown naming its plugin, so the flow reports it and moves on
+   * @returns {Object} Stage type -> handler(stage, onCancel)
+   */
+  getPluginStageHandlers() {
+    const handlers = {}
+    for (const plugin of this.plugins) {
+      for (const [type, execute] of Object.entries(plugin.stages || {})) {
+        handlers[type] = async (stage, onCancel) => {
+          try {
+            return await execute(this, stage, onCancel)
+          } catch (error) {
+            throw new Error(`Plugin ${plugin.name} failed in stage ${type}: ${error?.message ?? error}`, { cause: error })
+          }
+        }
+      }
+    }
+    return handlers
+  }
+
+  /**
+   * Call a lifecycle hook on every plugin; a failing plugin is logged and skipped
+   * @param {string} hook - 'init', 'beforeUpdate', 'afterUpdate', 'beforeRender', 'afterRender' or 'destroy'
+   */
+  runPluginHook(hook) {
+    for (const plugin of this.plugins) {
+      if (!plugin[hook]) {
+        continue
+      }
+      try {
+        plugin[hook](this)
+      } catch (error) {
+        console.error(`Plugin ${plugin.name} failed in ${hook}:`, error)
+      }
+    }
   }
 
   /**
@@ -60,26 +171,44 @@ export class ReliqParticleImage {
   initializeSystems() {
     // Setup canvas
     this.setupCanvas()
+    // In worker mode the worker owns the canvas and renders it
+    this.renderer = this.workerBridge
+      ? null
+      : RendererRegistry.create(this.config.renderer.type, this.canvas, this.surface, this.config)
 
     // Core utilities
     this.responsiveCalculator = new ResponsiveCalculator(this.config)
-    this.interactionManager = new InteractionManager(this.canvas, this.config)
+    this.interactionManager = new InteractionManager(this.canvas, this.config, this.events)
     this.interactionManager.initialize()
+    for (const plugin of this.plugins) {
+      for (const [name, apply] of Object.entries(plugin.actions || {})) {
+        this.interactionManager.registerAction(name, apply)
+      }
+    }
+    this.accessibility = new AccessibilityManager(this.canvas, this.config, this.id)
 
     // Effects
     this.floatingEffect = this.features.floating ? new FloatingEffect(this.config) : null
-    this.scatterEffect = this.features.scatter ? new ScatterEffect(this.config) : null
-    this.fadeEffect = this.features.fade ? new FadeEffect(this.config) : null
-
-    // Core particle systems
-    this.primarySystem = new CoreParticleSystem(this.config, this.canvas, this.responsiveCalculator)
-    this.secondarySystem = this.features.secondaryParticles 
-      ? new SecondaryParticleSystem(this.config, this.canvas, this.responsiveCalculator)
-      : null
+    this.scatterEffect = this.features.scatter ? new ScatterEffect(this.config, this.events) : null
+    this.fadeEffect = this.features.fade ? new FadeEffect(this.config, this.events) : null
+    this.entranceEffect = this.features.entrance ? new EntranceEffect(this.config, this.events, this.surface) : null
+
+    // Core particle systems (stand-ins forwarding to the worker in worker mode)
+    if (this.workerBridge) {
+      this.primarySystem = this.workerBridge.primary
+      this.secondarySystem = this.features.secondaryParticles ? this.workerBridge.secondary : null
+    } else {
+      this.primarySystem = new CoreParticleSystem(this.config, this.canvas, this.responsiveCalculator, this.surface)
+      this.secondarySystem = this.features.secondaryParticles 
+        ? new SecondaryParticleSystem(this.config, this.canvas, this.responsiveCalculator, this.surface)
+        : null
+      this.primarySystem.setReducedMotion(this.reducedMotion)
+      this.secondarySystem?.setReducedMotion(this.reducedMotion)
+    }
 
     // Animation system
     this.animationSystem = this.features.animation 
-      ? new AnimationSystem(this.config, this.canvas)
+      ? new AnimationSystem(this.config, this.canvas, this.events, this.surface)
       : null
 
     // Setup event listeners
@@ -97,19 +226,136 @@ export class ReliqParticleImage {
     this.canvas.style.touchAction = 'none'
     
     this.container.appendChild(this.canvas)
-    this.context = this.canvas.getContext('2d', { willReadFrequently: true })
-    this.updateCanvasSize()
+
+    // Size the canvas before handing it to the worker; it cannot be resized here afterwards
+    if (this.config.render_mode === 'worker') {
+      this.updateCanvasSize()
+      this.workerBridge = this.startWorker()
+    }
+
+    if (!this.workerBridge) {
+      this.context = this.canvas.getContext('2d')
+      this.updateCanvasSize()
+    }
   }
 
   /**
-   * Update canvas dimensions
+   * Transfer the canvas to a worker that runs the simulation
+   * @returns {WorkerBridge|null} Bridge, or null to fall back to the main thread
+   */
+  startWorker() {
+    if (!WorkerBridge.isSupported()) {
+      return null
+    }
+
+    // Checked before the canvas is transferred, while the main thread can still take over
+    const unsupported = WorkerBridge.getUnsupportedOptions(this.config, this.plugins)
+    if (unsupported.length > 0) {
+      console.warn('render_mode: worker does not support these options, rendering on the main thread:', unsupported)
+      return null
+    }
+
+    const bridge = new WorkerBridge((name, detail) => this.handleWorkerEvent(name, detail))
+    return bridge.start(this.canvas, this.config, this.features, this.surface, this.reducedMotion) ? bridge : null
+  }
+
+  /**
+   * Re-emit an event raised inside the worker
+   * @param {string} name - Event name
+   * @param {Object} detail - Event payload
+   */
+  handleWorkerEvent(name, detail) {
+    this.events.emit(name, detail)
+
+    if (name === 'fadeOutComplete') {
+      this.handleFadeComplete()
+    }
+  }
+
+  /**
+   * Update canvas dimensions from the container size and device pixel ratio
+   * @returns {boolean} True if the CSS size or pixel ratio changed
    */
   updateCanvasSize() {
-    this.canvas.width = this.canvas.offsetWidth
-    this.canvas.height = this.canvas.offsetHeight
+    const width = this.canvas.offsetWidth
+    const height = this.canvas.offsetHeight
+    const pixelRatio = this.getPixelRatio()
+    const changed = width !== this.surface.width ||
+                    height !== this.surface.height ||
+                    pixelRatio !== this.surface.pixelRatio
+
+    this.surface.width = width
+    this.surface.height = height
+    this.surface.pixelRatio = pixelRatio
+
+    if (this.workerBridge) {
+      if (changed) {
+        this.workerBridge.resize(this.surface)
+      }
+      return changed
+    }
+
+    // Backing store in device pixels, drawing coordinates stay in CSS pixels
+    this.canvas.width = Math.round(width * pixelRatio)
+    this.canvas.height = Math.round(height * pixelRatio)
     if (this.context) {
+      this.context.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0)
       this.context.imageSmoothingEnabled = true
     }
+
+    return changed
+  }
+
+  /**
+   * Resolve the backing store scale from devicePixelRatio and config
+   * @returns {number} Pixel ratio
+   */
+  getPixelRatio() {
+    const canvasConfig = this.config.canvas || {}
+    if (Utils.isValidNumber(canvasConfig.pixel_ratio) && canvasConfig.pixel_ratio > 0) {
+      return canvasConfig.pixel_ratio
+    }
+
+    const deviceRatio = (typeof window !== 'undefined' && window.devicePixelRatio) || 1
+    const maxRatio = Utils.isValidNumber(canvasConfig.max_pixel_ratio) ? canvasConfig.max_pixel_ratio : Infinity
+    return Math.max(1, Math.min(deviceRatio, maxRatio))
+  }
+
+  /**
+   * Watch the container for size changes and the display for pixel ratio changes
+   */
+  observeSize() {
+    this.onResize = Utils.debounce(() => {
+      if (!this.isDestroyed) {
+        this.handleResize()
+      }
+    }, 200)
+
+    // Container size drives the canvas; the window still matters for viewport breakpoints
+    if (typeof ResizeObserver !== 'undefined') {
+      this.resizeObserver = new ResizeObserver(this.onResize)
+      this.resizeObserver.observe(this.container)
+    }
+    window.addEventListener('resize', this.onResize)
+
+    this.watchPixelRatio()
+  }
+
+  /**
+   * Listen for devicePixelRatio changes (browser zoom, moving between displays)
+   */
+  watchPixelRatio() {
+    if (typeof window === 'undefined' || !window.matchMedia) {
+      return
+    }
+
+    this.pixelRatioQuery = window.matchMedia(`(resolution: ${window.devicePixelRatio || 1}dppx)`)
+    this.onPixelRatioChange = () => {
+      this.pixelRatioQuery.removeEventListener?.('change', this.onPixelRatioChange)
+      this.watchPixelRatio()
+      this.onResize()
+    }
+    this.pixelRatioQuery.addEventListener?.('change', this.onPixelRatioChange)
   }
 
   /**
@@ -120,98 +366,127 @@ export class ReliqParticleImage {
       this.interactionManager.attach()
     }
 
-    if (this.animationSystem && this.isCurrentStage('wait_for_click')) {
-      this.canvas.style.cursor = 'pointer'
-      this.canvas.addEventListener('click', this.handleFlowClick.bind(this))
-      this.canvas.addEventListener('touchstart', this.handleFlowClick.bind(this), {
-        passive: false,
-      })
+    const activatable = this.hasStage('wait_for_click') || (this.animationSystem && this.hasStage('animation'))
+    if (activatable) {
+      // Only a completed tap activates, so drags, pinches and swipes on the canvas do not
+      this.tapHandler = new PointerHandler(this.canvas, this.config, null, { onTap: event => this.handleFlowClick(event) })
+      this.tapHandler.attach()
     }
 
-    // Handle resize
-    window.addEventListener('resize', Utils.debounce(() => {
-      this.handleResize()
-    }, 200))
+    // Enter and Space activate like a click
+    this.accessibility.attach(activatable ? () => this.handleFlowClick() : null)
+
+    if (this.hasStage('wait_for_hover')) {
+      this.onFlowHover = this.handleFlowHover.bind(this)
+      this.canvas.addEventListener('pointerenter', this.onFlowHover)
+    }
+
+    if (this.hasStage('wait_for_leave')) {
+      this.onFlowLeave = this.handleFlowLeave.bind(this)
+      this.canvas.addEventListener('pointerleave', this.onFlowLeave)
+    }
+
+    this.listenToGestures()
+
+    // Handle container and pixel ratio changes
+    this.observeSize()
 
     // Handle animation events
     if (this.animationSystem) {
-      document.addEventListener('animationStopped', this.handleAnimationStopped.bind(this))
-      document.addEventListener('animationFrameChanged', this.handleAnimationFrameChanged.bind(this))
+      this.listenToAnimation()
     }
   }
 
   /**
-   * Check if given stage type is currently active
+   * Run gesture bindings while gestures.enabled is set; called again after updates
+   */
+  listenToGestures() {
+    const enabled = !!this.config.gestures?.enabled
+    if (enabled && !this.gestureListener) {
+      this.gestureListener = this.on('gesture', this.handleGesture.bind(this))
+    } else if (!enabled && this.gestureListener) {
+      this.gestureListener()
+      this.gestureListener = null
+    }
+  }
+
+  /**
+   * Follow the animation system's events; the unsubscribers are kept for when it is torn down
+   */
+  listenToAnimation() {
+    this.animationListeners = [
+      this.on('animationStopped', this.handleAnimationStopped.bind(this)),
+      this.on('animationFrameChanged', this.handleAnimationFrameChanged.bind(this))
+    ]
+  }
+
+  /**
+   * Subscribe to an instance event
+   * @param {string} eventName - Event name
+   * @param {Function} handler - Called with the event detail
+   * @returns {Function} Unsubscribe function
+   */
+  on(eventName, handler) {
+    return this.events.on(eventName, handler)
+  }
+
+  /**
+   * Unsubscribe from an instance event
+   * @param {string} eventName - Event name
+   * @param {Function} handler - Previously registered handler
+   */
+  off(eventName, handler) {
+    this.events.off(eventName, handler)
+  }
+
+  /**
+   * Subscribe to the next occurrence of an instance event
+   * @param {string} eventName - Event name
+   * @param {Function} handler - Called with the event detail
+   * @returns {Function} Unsubscribe function
+   */
+  once(eventName, handler) {
+    return this.events.once(eventName, handler)
+  }
+
+  /**
+   * Check if a stage of the given type is currently running
    * @param {string} stageType - Type of stage to check
    * @returns {boolean} True if stage is active
    */
   isCurrentStage(stageType) {
-    if (!this.flowState.stages || this.flowState.stages.length === 0) {
-      return false
-    }
-    
-    const currentStage = this.flowState.stages[this.flowState.currentStageIndex]
-    return currentStage && currentStage.type === stageType && currentStage.enabled !== false
+    return this.flow.isActive(stageType)
+  }
+
+  /**
+   * Check if any enabled stage in the flow has the given type
+   * @param {string} stageType - Type of stage to look for
+   * @returns {boolean} True if the flow contains the stage
+   */
+  hasStage(stageType) {
+    return this.flow.hasStage(stageType)
   }
   
   /**
    * Progress to next stage in flow
    */
   progressToNextStage() {
-    if (!this.flowState.stages || this.flowState.stages.length === 0) {
-      return
-    }
-    
-    const currentIndex = this.flowState.currentStageIndex
-    if (currentIndex < this.flowState.stages.length - 1) {
-      this.flowState.currentStageIndex = currentIndex + 1
-      this.executeCurrentStage()
-      
-      // Dispatch stage change event
-      document.dispatchEvent(new CustomEvent('particleFlowStageChanged', {
-        detail: {
-          stage: this.flowState.stages[this.flowState.currentStageIndex],
-          index: this.flowState.currentStageIndex,
-          totalStages: this.flowState.stages.length,
-          timestamp: performance.now()
-        }
-      }))
-    }
+    this.flow.next()
   }
-  
+
   /**
-   * Execute current stage actions
+   * Restore flow-driven state before the flow restarts
    */
-  executeCurrentStage() {
-    if (!this.flowState.stages || this.flowState.stages.length === 0) {
-      return
-    }
-    
-    const stage = this.flowState.stages[this.flowState.currentStageIndex]
-    if (!stage || stage.enabled === false) {
-      this.progressToNextStage()
-      return
-    }
-    
-    switch (stage.type) {
-      case 'float':
-        this.executeFloatStage()
-        break
-      case 'wait_for_click':
-        this.executeWaitForClickStage()
-        break
-      case 'animation':
-        this.executeAnimationStage(stage)
-        break
-      case 'disable_floating':
-        this.executeDisableFloating()
-        break
-      case 'scatter':
-        this.executeScatter()
-        break
-      case 'fade_out':
-        this.executeFadeOut()
-        break
+  resetFlowState() {
+    this.flowState.animationTriggered = false
+    this.fadeEffect?.reset()
+    this.workerBridge?.command('resetFade')
+
+    // Bring back particles removed by a completed fade
+    if (this.isInitialized && this.primarySystem.getParticleCount() === 0) {
+      this.rebuildParticles()
+    } else {
+      this.reassemble({ duration_ms: 0, stagger_ms: 0 })
     }
   }
   
@@ -235,35 +510,68 @@ export class ReliqParticleImage {
    * Initialize flow system
    */
   initializeFlow() {
-    if (this.flowState.stages && this.flowState.stages.length > 0) {
-      this.executeCurrentStage();
-    }
+    this.flow.start(this.config.flow?.current_stage_index || 0)
   }
   
   /**
    * Execute wait for click stage
+   * @param {Object} stage - Stage definition
+   * @param {Function} onCancel - Registers cleanup for an interrupted stage
+   * @returns {Promise<void>} Resolves on the next click
    */
-  executeWaitForClickStage() {
-    // Already handled by event listeners in setupEventListeners
-    this.canvas.style.cursor = 'pointer';
+  executeWaitForClickStage(stage, onCancel) {
+    const resetCursor = () => {
+      this.canvas.style.cursor = ''
+    }
+    this.canvas.style.cursor = 'pointer'
+    onCancel(resetCursor)
+    return this.flow.wait('click').then(resetCursor)
+  }
+
+  /**
+   * Execute wait for visible stage - completes once the canvas scrolls into view
+   * @param {Object} stage - Stage definition
+   * @param {Function} onCancel - Registers cleanup for an interrupted stage
+   * @returns {Promise<void>|undefined} Resolves when visible
+   */
+  executeWaitForVisibleStage(stage, onCancel) {
+    if (typeof IntersectionObserver === 'undefined') {
+      return
+    }
+
+    return new Promise(resolve => {
+      const disconnect = () => {
+        this.visibilityObserver?.disconnect()
+        this.visibilityObserver = null
+      }
+
+      disconnect()
+      this.visibilityObserver = new IntersectionObserver(entries => {
+        if (entries.some(entry => entry.isIntersecting)) {
+          disconnect()
+          resolve()
+        }
+      }, { threshold: stage.threshold ?? 0.25 })
+      this.visibilityObserver.observe(this.canvas)
+      onCancel(disconnect)
+    })
   }
   
   /**
    * Execute animation stage
+   * @param {Object} stage - Stage definition
+   * @returns {Promise<void>|undefined} Resolves when the animation stops, if auto_progress is on
    */
   executeAnimationStage(stage) {
     if (!this.animationSystem || !this.features.animation) {
-      this.progressToNextStage()
       return
     }
     
     const playOnce = stage.play_once !== false
     
     // Setup animation system based on stage config
-    if (playOnce) {
-      this.config.animation = { ...this.config.animation, loop: false }
-      this.animationSystem.updateConfig({ animation: { loop: false } })
-    }
+    this.config.animation = { ...this.config.animation, loop: !playOnce }
+    this.animationSystem.updateConfig({ animation: { loop: !playOnce } })
     
     // Start animation immediately or wait for trigger?
     if (stage.auto_start !== false) {
@@ -272,26 +580,45 @@ export class ReliqParticleImage {
       }
       this.animationSystem.start()
     }
+
+    // Signalled by handleAnimationStopped; without auto_progress the stage holds until flow.next()
+    return this.flow.wait('animationStopped')
   }
 
   /**
-   * Handle click/touch to trigger animation or next stage
+   * Handle a tap or keyboard activation to trigger animation or next stage
    */
   handleFlowClick(event) {
-    if (event?.type === 'touchstart') {
-      event.preventDefault()
+    // Extra fingers of a multi-touch gesture and non-primary buttons do not activate
+    if (event && (event.isPrimary === false || event.button > 0)) {
+      return
     }
 
     if (this.isCurrentStage('wait_for_click')) {
-      this.progressToNextStage()
+      this.flow.signal('click')
     } else if (this.isCurrentStage('animation')) {
-      const stage = this.flowState.stages[this.flowState.currentStageIndex]
+      // The animation stage may run inside a parallel group
+      const stage = this.flow.getActiveStage('animation')
       if (stage.auto_start === false) {
         this.startAnimation()
       }
     }
   }
 
+  /**
+   * Handle pointer entering the canvas to advance a hover stage
+   */
+  handleFlowHover() {
+    this.flow.signal('hover')
+  }
+
+  /**
+   * Handle pointer leaving the canvas to advance a leave stage
+   */
+  handleFlowLeave() {
+    this.flow.signal('leave')
+  }
+
   /**
    * Trigger animation playback based on flow settings
    */
@@ -308,7 +635,7 @@ export class ReliqParticleImage {
       return
     }
 
-    if (this.flow.play_once && this.flowState.animationTriggered) {
+    if (this.config.flow?.play_once && this.flowState.animationTriggered) {
       return
     }
 
@@ -334,14 +661,17 @@ export class ReliqParticleImage {
         await this.animationSystem.initialize()
       }
 
-      // Load image and create particles
-      await this.loadImage()
+      // Load image and create particles (sprite sheet animations may omit image.src)
+      if (!this.animationSystem || this.config.image?.src?.path ||
+          TextRasterizer.isTextSource(this.config.image?.src)) {
+        await this.loadImage()
+      }
       
       if (this.animationSystem) {
         // Create particles from first animation frame
         const firstFramePixels = await this.getFirstAnimationFrame()
         if (firstFramePixels) {
-          this.primarySystem.createImageParticles(firstFramePixels, this.config.particles?.start_scrambled !== true)
+          this.primarySystem.createImageParticles(firstFramePixels, true)
         }
         
         // Start with animation if configured
@@ -351,7 +681,7 @@ export class ReliqParticleImage {
       } else {
         // Create static image particles
         const pixelData = this.getImagePixels()
-        this.primarySystem.createImageParticles(pixelData, this.config.particles?.start_scrambled !== true)
+        this.primarySystem.createImageParticles(pixelData, true)
       }
 
     this.isInitialized = true
@@ -361,21 +691,34 @@ export class ReliqParticleImage {
       window.particleImageInitialized = true
     }
 
+    // A flow that opens with an assemble stage runs the entrance itself
+    const firstStage = this.flow.stages.find(stage => stage.enabled !== false)
+    if (this.entranceEffect && this.entranceEffect.getPattern() !== 'none' && firstStage?.type !== 'assemble') {
+      this.assemble()
+    }
+
+    if (this.config.particles?.fade_in?.enabled) {
+      this.startFadeIn()
+    }
+
     // Initialize flow
     this.initializeFlow()
 
     // Start animation loop
     this.startAnimationLoop()
 
-      // Dispatch ready event
-      document.dispatchEvent(new CustomEvent('particleImageReady', {
-        detail: { 
-          timestamp: performance.now(),
-          features: this.features,
-          particleCount: this.primarySystem.getParticleCount() + 
-                       (this.secondarySystem?.getParticleCount() || 0)
-        }
-      }))
+    // Particle counts arrive asynchronously from the worker
+    if (this.workerBridge) {
+      await this.workerBridge.sync()
+    }
+
+      // Notify ready
+      this.events.emit('particleImageReady', {
+        timestamp: performance.now(),
+        features: this.features,
+        particleCount: this.primarySystem.getParticleCount() + 
+                     (this.secondarySystem?.getParticleCount() || 0)
+      })
 
     } catch (error) {
       console.error('Failed to initialize particle system:', error)
@@ -387,15 +730,18 @@ export class ReliqParticleImage {
    * Get first animation frame for initial particle creation
    */
   async getFirstAnimationFrame() {
-    if (!this.animationSystem || !this.config.animation?.frames?.length) {
+    if (!this.animationSystem) {
       return null
     }
     
     // Make sure animation system is initialized
     await this.animationSystem.initialize()
     
-    // Set current frame to first frame
-    const firstFrame = this.config.animation.frames[0]
+    // Set current frame to first frame (sprite sheets resolve frames while loading)
+    const firstFrame = this.animationSystem.animationFrames[0]
+    if (firstFrame === undefined) {
+      return null
+    }
     this.animationSystem.setFrame(firstFrame)
     
     // Get pixel data for first frame
@@ -405,28 +751,95 @@ export class ReliqParticleImage {
   /**
    * Load the main image
    */
-  loadImage() {
+  async loadImage() {
+    this.image = await this.loadImageSource(this.config.image?.src)
+    this.imageLoaded = true
+  }
+
+  /**
+   * Load an image from a source descriptor
+   * @param {Object|string} src - {path, is_external}, a text descriptor or an image URL
+   * @returns {Promise<HTMLImageElement|HTMLCanvasElement>} Loaded image or rasterized text
+   */
+  loadImageSource(src) {
+    if (TextRasterizer.isTextSource(src)) {
+      return TextRasterizer.load(src)
+    }
+
+    const source = typeof src === 'string' ? { path: src } : (src || {})
+
     return new Promise((resolve, reject) => {
       const img = new Image()
       
       img.addEventListener('load', () => {
-        this.image = img
-        this.imageLoaded = true
-        resolve()
+        resolve(img)
       })
       
       img.addEventListener('error', () => {
-        console.error('Failed to load image:', this.config.image?.src?.path)
+        console.error('Failed to load image:', source.path)
         reject(new Error('Failed to load image'))
       })
       
-      img.src = this.config.image?.src?.path
-      if (this.config.image?.src?.is_external) {
+      if (source.is_external) {
         img.crossOrigin = "anonymous"
       }
+      img.src = source.path
     })
   }
 
+  /**
+   * Morph the particles into a new image, reusing existing particles
+   * @param {Object|string|HTMLImageElement|HTMLCanvasElement|ImageBitmap} source - Image or text descriptor, URL or drawable
+   * @param {Object} options - {duration_ms, easing} overriding config.morph
+   * @returns {Promise} Resolves when the morph has finished
+   */
+  async morphTo(source, options = {}) {
+    if (!this.isInitialized) {
+      throw new Error('Particle system is not initialized')
+    }
+
+    const isDescriptor = typeof source === 'string' || !!source?.path ||
+      TextRasterizer.isTextSource(source)
+    const drawable = isDescriptor ? await this.loadImageSource(source) : source
+    if (!drawable?.width || !drawable?.height) {
+      throw new Error('Invalid morph source')
+    }
+
+    // Later rebuilds (resize, updateConfig) use the new image
+    this.image = drawable
+    this.imageLoaded = true
+    if (isDescriptor) {
+      this.config.image.src = typeof source === 'string' ? { path: source } : { ...source }
+    }
+
+    const morphOptions = { ...this.config.morph, ...options }
+    this.events.emit('morphStarted', {
+      duration: morphOptions.duration_ms,
+      timestamp: performance.now()
+    })
+
+    this.entranceEffect?.cancel()
+    await this.primarySystem.morphTo(this.getImagePixels(), morphOptions)
+
+    this.events.emit('morphComplete', {
+      particleCount: this.primarySystem.getParticleCount(),
+      timestamp: performance.now()
+    })
+  }
+
+  /**
+   * Change the text shown by a text source at runtime
+   * @param {string} text - New text
+   * @param {Object} style - Text descriptor fields to change (font, size, align...)
+   * @param {Object} options - Morph options {duration_ms, easing}
+   * @returns {Promise} Resolves when the particles have formed the new text
+   */
+  setText(text, style = {}, options = {}) {
+    const current = TextRasterizer.isTextSource(this.config.image?.src) ? this.config.image.src : {}
+    const { path, is_external, ...textStyle } = current
+    return this.morphTo({ ...textStyle, ...style, text: String(text) }, options)
+  }
+
   /**
    * Get image pixel data
    */
@@ -435,8 +848,11 @@ export class ReliqParticleImage {
       return null
     }
 
-    const ctx = this.context
-    ctx.clearRect(0, 0, this.canvas.width, this.canvas.height)
+    // Sample on an unscaled canvas so pixel data is in CSS pixels
+    const sampleCanvas = document.createElement('canvas')
+    sampleCanvas.width = this.surface.width
+    sampleCanvas.height = this.surface.height
+    const ctx = sampleCanvas.getContext('2d', { willReadFrequently: true })
     
     // Calculate image bounds
     const bounds = this.calculateImageBounds()
@@ -444,7 +860,6 @@ export class ReliqParticleImage {
     
     const pixelData = ctx.getImageData(bounds.x, bounds.y, bounds.width, bounds.height)
     pixelData.bounds = bounds
-    ctx.clearRect(0, 0, this.canvas.width, this.canvas.height)
     
     return pixelData
   }
@@ -454,7 +869,7 @@ export class ReliqParticleImage {
    */
   calculateImageBounds() {
     const aspectRatio = this.image.width / this.image.height
-    const canvasAspectRatio = this.canvas.width / this.canvas.height
+    const canvasAspectRatio = this.surface.width / this.surface.height
     
     let width, height
     const canvasPct = this.config.image?.size?.canvas_pct || 50
@@ -463,11 +878,11 @@ export class ReliqParticleImage {
     
     if (aspectRatio < canvasAspectRatio) {
       // Canvas height constrains image size
-      height = Utils.clamp(Math.round(this.canvas.height * canvasPct / 100), minPx, maxPx)
+      height = Utils.clamp(Math.round(this.surface.height * canvasPct / 100), minPx, maxPx)
       width = Math.round(height * aspectRatio)
     } else {
       // Canvas width constrains image size
-      width = Utils.clamp(Math.round(this.canvas.width * canvasPct / 100), minPx, maxPx)
+      width = Utils.clamp(Math.round(this.surface.width * canvasPct / 100), minPx, maxPx)
       height = Math.round(width / aspectRatio)
     }
     
@@ -477,8 +892,8 @@ export class ReliqParticleImage {
     const xOffset = (width * xPct) / 100
     const yOffset = (height * yPct) / 100
     
-    const x = this.canvas.width / 2 - width / 2 + xOffset
-    const y = this.canvas.height / 2 - height / 2 + yOffset
+    const x = this.surface.width / 2 - width / 2 + xOffset
+    const y = this.surface.height / 2 - height / 2 + yOffset
     
     return { x, y, width, height }
   }
@@ -487,19 +902,31 @@ export class ReliqParticleImage {
    * Main animation loop
    */
   startAnimationLoop() {
+    if (this.workerBridge) {
+      this.startWorkerInputLoop()
+      return
+    }
+
+    const timestep = new FixedTimestep()
+
     const animate = () => {
       if (this.isDestroyed) {
         return
       }
 
-      // Clear canvas
-      this.context.clearRect(0, 0, this.canvas.width, this.canvas.height)
+      // Physics advances in fixed steps so motion is the same at any refresh rate
+      const { steps, interpolation } = timestep.advance(performance.now(), this.config.physics)
 
       // Update systems
-      this.updateSystems()
+      for (let i = 0; i < steps; i++) {
+        this.updateSystems()
+      }
 
-      // Render systems
-      this.renderSystems()
+      // Clear canvas
+      this.renderer.clear()
+
+      // Render systems between the last two physics states
+      this.renderSystems(interpolation)
 
       requestAnimationFrame(animate)
     }
@@ -508,27 +935,54 @@ export class ReliqParticleImage {
   }
 
   /**
-   * Update all systems
+   * Forward input to the worker once per frame; the worker runs its own loop
    */
-  updateSystems() {
-    let animationPlaying = false
-    if (this.animationSystem && this.animationSystem.isPlaying && typeof this.animationSystem.isPlaying === 'function') {
-      animationPlaying = this.animationSystem.isPlaying()
+  startWorkerInputLoop() {
+    const sync = () => {
+      if (this.isDestroyed) {
+        return
+      }
+
+      const animationPlaying = this.isAnimationPlaying()
+      this.workerBridge.setInput({
+        interaction: this.getActiveInteractionState(),
+        floatingDisabled: this.flowState.floatingDisabled === true,
+        floatOffset: animationPlaying ? (this.animationSystem?.floatOffset || { x: 0, y: 0 }) : null
+      })
+
+      requestAnimationFrame(sync)
     }
+
+    sync()
+  }
+
+  /**
+   * Get pointer state if interactions are currently allowed
+   * @returns {Object|null} Interaction state
+   */
+  getActiveInteractionState() {
     const allowInteractivity =
       this.features.interactivity &&
-      (!animationPlaying || this.flow.disable_interactivity_during_animation !== true)
-    const interactionState = allowInteractivity && this.interactionManager
+      (!this.isAnimationPlaying() || this.config.flow?.disable_interactivity_during_animation !== true)
+    return allowInteractivity && this.interactionManager
       ? this.interactionManager.getInteractionState()
       : null
-    const interactionManager = interactionState ? this.interactionManager : null
+  }
+
+  /**
+   * Update all systems
+   */
+  updateSystems() {
+    this.runPluginHook('beforeUpdate')
+    // Without a state the manager still runs, to restore particles bubbled or repulsed before
+    const interactionState = this.getActiveInteractionState()
 
     // Update primary particles
-    this.primarySystem.updateParticles(interactionManager, interactionState)
+    this.primarySystem.updateParticles(this.interactionManager, interactionState)
 
     // Update secondary particles
     if (this.secondarySystem) {
-      this.secondarySystem.updateParticles(interactionManager, interactionState)
+      this.secondarySystem.updateParticles(this.interactionManager, interactionState)
     }
 
     // Update animation system
@@ -536,19 +990,24 @@ export class ReliqParticleImage {
       // Animation system handles its own updates
     }
 
-    // Update effects
+    // Update effects; entrances override the positions physics produced this step
+    this.entranceEffect?.update()
+    this.scatterEffect?.update()
     if (this.fadeEffect) {
       if (this.fadeEffect.update()) {
         // Fade completed
         this.handleFadeComplete()
       }
     }
+
+    this.runPluginHook('afterUpdate')
   }
 
   /**
    * Render all systems
+   * @param {number} interpolation - Progress (0-1) from the previous to the current physics step
    */
-  renderSystems() {
+  renderSystems(interpolation = 1) {
     const opacity = this.fadeEffect ? this.fadeEffect.getCurrentOpacity() : 1.0
     let animationPlaying = false
     if (this.animationSystem && this.animationSystem.isPlaying && typeof this.animationSystem.isPlaying === 'function') {
@@ -567,42 +1026,101 @@ export class ReliqParticleImage {
     // Determine render order
     const renderSecondaryFirst = this.config.secondary_particles?.render_order === 'background'
 
-    if (floatOffset.x !== 0 || floatOffset.y !== 0) {
-      this.context.save()
-      this.context.translate(floatOffset.x, floatOffset.y)
-    }
+    this.runPluginHook('beforeRender')
+    this.renderer.begin(floatOffset, interpolation)
 
     if (renderSecondaryFirst && this.secondarySystem) {
-      this.secondarySystem.renderParticles(opacity)
-      this.primarySystem.renderParticles(opacity)
+      this.renderer.drawParticles(this.getRenderSource(this.secondarySystem), opacity)
+      this.renderer.drawParticles(this.getRenderSource(this.primarySystem), opacity)
     } else {
-      this.primarySystem.renderParticles(opacity)
+      this.renderer.drawParticles(this.getRenderSource(this.primarySystem), opacity)
       if (this.secondarySystem) {
-        this.secondarySystem.renderParticles(opacity)
+        this.renderer.drawParticles(this.getRenderSource(this.secondarySystem), opacity)
       }
     }
 
-    if (floatOffset.x !== 0 || floatOffset.y !== 0) {
-      this.context.restore()
+    if (this.getActiveInteractionState()) {
+      this.interactionManager.getGrabLinks().forEach(links => this.renderer.drawLinks(links))
     }
+
+    this.renderer.end()
+    this.runPluginHook('afterRender')
+  }
+
+  /**
+   * Get what to hand the renderer for a particle system: its typed-array store
+   * when the renderer can draw one directly, otherwise its particle list
+   * @param {Object} system - Particle system
+   * @returns {Array|ParticleStore} Particles to draw
+   */
+  getRenderSource(system) {
+    return (this.renderer.supportsParticleStore && system.getStore?.()) || system.getParticles()
   }
 
   /**
    * Handle resize events
    */
   handleResize() {
-    this.updateCanvasSize()
-    
+    const sizeChanged = this.updateCanvasSize()
+    if (sizeChanged) {
+      this.renderer?.resize()
+    }
+    const breakpointChange = this.responsiveCalculator.updateBreakpoint()
+    if (breakpointChange) {
+      this.events.emit('responsiveBreakpointChanged', {
+        breakpoint: breakpointChange.current,
+        previousBreakpoint: breakpointChange.previous,
+        viewport: Utils.getViewportSize(),
+        multiplier: this.responsiveCalculator.getBreakpointMultiplier(),
+        timestamp: performance.now()
+      })
+    }
+
+    // Responsive density follows the viewport even when the container keeps its size
+    if (!sizeChanged && !this.responsiveCalculator.isEnabled()) {
+      return
+    }
+
+    this.rebuildParticles()
+  }
+
+  /**
+   * Recreate primary and secondary particles from the current source and canvas size
+   * @param {Object} sets - Particle sets to recreate {primary, secondary}, both by default
+   * @returns {Promise} Resolves once the primary particles are in place
+   */
+  rebuildParticles({ primary = true, secondary = true } = {}) {
+    // Secondary layout depends on canvas size and responsive density
+    if (secondary && this.secondarySystem) {
+      this.secondarySystem.regenerateParticles()
+    }
+    if (!primary) {
+      return Promise.resolve()
+    }
+
+    // Rebuilt particles start at their destinations
+    this.entranceEffect?.cancel()
+
     // Recreate particles with new dimensions
-    if (this.imageLoaded) {
-      if (this.animationSystem) {
-        // Animation system handles particle creation
-        this.animationSystem.initialize()
-      } else {
-        const pixelData = this.getImagePixels()
-        this.primarySystem.createImageParticles(pixelData, true)
-      }
+    if (this.animationSystem) {
+      // Re-cache frames at the new size, then rebuild from the current frame
+      return this.animationSystem.initialize().then(() => {
+        const animation = this.animationSystem
+        // Switched on or given new frames by updateConfig: start from the first frame
+        if (animation && !animation.animationFrames.includes(animation.getCurrentFrame()) &&
+            animation.animationFrames.length > 0) {
+          animation.setFrame(animation.animationFrames[0])
+        }
+        const pixelData = animation?.getCurrentFramePixels()
+        if (pixelData) {
+          this.primarySystem.createImageParticles(pixelData, true)
+        }
+      })
+    } else if (this.imageLoaded) {
+      const pixelData = this.getImagePixels()
+      this.primarySystem.createImageParticles(pixelData, true)
     }
+    return Promise.resolve()
   }
 
   /**
@@ -610,19 +1128,7 @@ export class ReliqParticleImage {
    */
   handleAnimationStopped(event) {
     if (this.flowState.autoProgress) {
-      this.progressToNextStage()
-    }
-    
-    if (this.isCurrentStage('disable_floating')) {
-      this.executeDisableFloating()
-    }
-    
-    if (this.isCurrentStage('scatter')) {
-      this.executeScatter()
-    }
-    
-    if (this.isCurrentStage('fade_out')) {
-      this.executeFadeOut()
+      this.flow.signal('animationStopped')
     }
   }
   
@@ -640,22 +1146,200 @@ export class ReliqParticleImage {
   }
   
   /**
-   * Execute scatter stage
+   * Run the command bound to a recognized gesture in gestures.bindings.
+   * Interaction actions are applied by InteractionManager while the gesture is held.
+   * @param {Object} gesture - Gesture event detail {type, ...}
    */
-  executeScatter() {
-    if (this.scatterEffect) {
-      const primaryParticles = this.primarySystem.getParticles()
-      const secondaryParticles = this.secondarySystem?.getParticles() || []
-      this.scatterEffect.scatterParticles([...primaryParticles, ...secondaryParticles])
+  handleGesture(gesture) {
+    const binding = this.config.gestures?.bindings?.[gesture.type]
+    if (!binding || this.interactionManager?.isInteractionAction(binding)) {
+      return
+    }
+
+    switch (binding) {
+      case 'next_stage':
+        this.progressToNextStage()
+        break
+      case 'scatter':
+        this.scatterParticles()
+        break
+      case 'reassemble':
+        this.reassemble()
+        break
+      case 'fade_out':
+        this.startFadeOut()
+        break
+      case 'play_animation':
+        this.startAnimation()
+        break
+      case 'stop_animation':
+        this.stopAnimation()
+        break
+      default:
+        console.warn('Unknown gesture binding:', binding)
     }
   }
+
+  /**
+   * Get everything scatter and reassemble act on: typed-array stores directly, otherwise particles
+   * @returns {Array} Particles and ParticleStores
+   */
+  getEffectTargets() {
+    return [this.primarySystem, this.secondarySystem]
+      .filter(Boolean)
+      .flatMap(system => system.getStore?.() || system.getParticles())
+  }
+
+  /**
+   * Scatter all particles
+   */
+  scatterParticles() {
+    // With reduced motion particles stay in place and the flow moves on
+    if (this.reducedMotion) {
+      return
+    }
+
+    if (this.workerBridge) {
+      this.workerBridge.command('scatter')
+    } else if (this.scatterEffect) {
+      this.scatterEffect.scatterParticles(this.getEffectTargets())
+    } else {
+      return
+    }
+    this.flowState.scattered = true
+  }
+
+  /**
+   * Bring scattered particles back to the places they scattered from
+   * @param {Object} options - duration_ms, stagger_ms and easing, overriding particles.reassemble
+   * @returns {Promise<void>} Resolves when the last particle has arrived
+   */
+  reassemble(options = {}) {
+    if (!this.flowState.scattered) {
+      return Promise.resolve()
+    }
+
+    const defaults = this.config.particles?.reassemble || {}
+    const settings = {
+      duration_ms: options.duration_ms ?? defaults.duration_ms,
+      stagger_ms: options.stagger_ms ?? defaults.stagger_ms,
+      easing: options.easing ?? defaults.easing
+    }
+    this.flowState.scattered = false
+
+    // The scatter effect reports arrival, from the worker in worker mode; scattering again also ends the wait
+    const settled = new Promise(resolve => {
+      const stop = [
+        this.events.once('particlesReassembled', () => done()),
+        this.events.once('particlesScattered', () => done())
+      ]
+      const done = () => {
+        stop.forEach(unsubscribe => unsubscribe())
+        resolve()
+      }
+    })
+    if (this.workerBridge) {
+      this.workerBridge.command('reassemble', settings)
+    } else {
+      this.scatterEffect.reassembleParticles(this.getEffectTargets(), settings)
+    }
+    return settled
+  }
+
+  /**
+   * Assemble the particles from an entrance pattern
+   * @param {Object} options - pattern, order, duration_ms, stagger_ms, easing and pattern options, overriding particles.entrance
+   * @returns {Promise<void>} Resolves when the particles have settled
+   */
+  assemble(options = {}) {
+    if (!this.entranceEffect) {
+      return Promise.resolve()
+    }
+
+    // With reduced motion particles appear in place
+    const settings = this.reducedMotion ? { ...options, pattern: 'none' } : { ...options }
+    const pointer = this.interactionManager?.pointerHandler?.getHoverPointer()
+    if (this.entranceEffect.getPattern(settings) === 'pointer' && !settings.origin && pointer) {
+      settings.origin = { x: pointer.x, y: pointer.y }
+    }
+
+    const assembled = new Promise(resolve => this.events.once('assembled', () => resolve()))
+    if (this.workerBridge) {
+      this.workerBridge.command('assemble', settings)
+    } else {
+      this.entranceEffect.start(this.getEffectTargets(), settings)
+    }
+    return assembled
+  }
+
+  /**
+   * Start fading out all particles
+   * @param {Object} options - Overrides for particles.fade_out, such as pattern or duration_ms
+   * @returns {boolean} True if a fade was started
+   */
+  startFadeOut(options = {}) {
+    if (this.fadeEffect?.enabled && this.workerBridge) {
+      this.workerBridge.command('fadeOut', options)
+    } else if (this.fadeEffect?.enabled) {
+      this.fadeEffect.startFadeOut(this.getEffectTargets(), options)
+    } else {
+      return false
+    }
+    return true
+  }
   
   /**
    * Execute fade out stage
+   * @param {Object} stage - Stage definition; fade options override particles.fade_out
+   * @returns {Promise<void>|undefined} Resolves when the fade completes
    */
-  executeFadeOut() {
-    if (this.fadeEffect) {
-      this.fadeEffect.startFadeOut()
+  executeFadeOut(stage = {}) {
+    // Signalled by handleFadeComplete once the render loop finishes the fade
+    if (this.startFadeOut(stage)) {
+      return this.flow.wait('fadeComplete')
+    }
+  }
+
+  /**
+   * Start fading all particles in, bringing back particles removed by a completed fade out
+   * @param {Object} options - Overrides for particles.fade_in, such as pattern or duration_ms
+   * @returns {boolean} True if a fade was started
+   */
+  startFadeIn(options = {}) {
+    if (!this.fadeEffect) {
+      return false
+    }
+
+    const start = () => {
+      if (this.isDestroyed || !this.fadeEffect) {
+        return
+      }
+      if (this.workerBridge) {
+        this.workerBridge.command('fadeIn', options)
+      } else {
+        this.fadeEffect.startFadeIn(this.getEffectTargets(), options)
+      }
+    }
+
+    // Animation frames are re-cached before the particles come back, so wait for
+    // them; a failed rebuild still runs the fade, so fadeInComplete follows
+    if (this.isInitialized && this.primarySystem.getParticleCount() === 0) {
+      this.rebuildParticles().catch(error => this.handleError(error)).then(start)
+    } else {
+      start()
+    }
+    return true
+  }
+
+  /**
+   * Execute fade in stage
+   * @param {Object} stage - Stage definition; fade options override particles.fade_in
+   * @param {Function} onCancel - Registers cleanup for an interrupted stage
+   * @returns {Promise<void>|undefined} Resolves when the fade completes
+   */
+  executeFadeIn(stage, onCancel) {
+    if (this.startFadeIn(stage)) {
+      return new Promise(resolve => onCancel(this.events.once('fadeInComplete', resolve)))
     }
   }
 
@@ -665,7 +1349,18 @@ export class ReliqParticleImage {
   handleAnimationFrameChanged(event) {
     // Update primary particles for new frame
     const pixelData = this.animationSystem.getCurrentFramePixels()
-    if (pixelData) {
+    if (!pixelData) {
+      return
+    }
+
+    // Flow particles between frames rather than rebuilding them in place
+    const frameMorph = this.config.morph?.frames
+    if (frameMorph?.enabled) {
+      this.primarySystem.morphTo(pixelData, {
+        duration_ms: this.animationSystem.config.animation.frame_duration_ms || 150,
+        easing: frameMorph.easing
+      })
+    } else {
       this.primarySystem.createImageParticles(pixelData, true)
     }
   }
@@ -680,13 +1375,13 @@ export class ReliqParticleImage {
       this.secondarySystem.clearParticles()
     }
     
-    // Dispatch completion event
-    document.dispatchEvent(new CustomEvent('particleAnimationComplete', {
-      detail: { 
-        timestamp: performance.now(),
-        particleSystem: 'primary'
-      }
-    }))
+    // Notify completion
+    this.events.emit('particleAnimationComplete', {
+      timestamp: performance.now(),
+      particleSystem: 'primary'
+    })
+
+    this.flow.signal('fadeComplete')
   }
 
   /**
@@ -694,9 +1389,10 @@ export class ReliqParticleImage {
    */
   handleError(error) {
     console.error('Particle system error:', error)
-    document.dispatchEvent(new CustomEvent('particleImageError', {
-      detail: { error: error.message, timestamp: performance.now() }
-    }))
+    this.events.emit('particleImageError', {
+      error: error.message,
+      timestamp: performance.now()
+    })
   }
 
   /**
@@ -805,20 +1501,41 @@ export class ReliqParticleImage {
   }
 
   /**
-   * Update configuration
+   * Update configuration. Subsystems are created or torn down when their feature flips, and
+   * only the particle sets whose options changed are regenerated.
+   * @param {Object} newConfig - Partial configuration
+   * @returns {Promise} Resolves once regenerated particles are in place
    */
   updateConfig(newConfig) {
+    newConfig = ConfigSchema.migrate(newConfig)
+    const changed = ConfigMerger.diffConfig(this.config, newConfig)
     this.config = Utils.deepExtend(this.config, newConfig)
-    
+
     // Update feature toggles
-    if (newConfig.features) {
-      this.features = { ...this.features, ...newConfig.features }
+    const previousFeatures = this.features
+    this.features = this.resolveFeatures(changed)
+    const flipped = Object.keys(this.features).filter(name => this.features[name] !== previousFeatures[name])
+
+    // Toggled features switch the options their systems read, as normalizeConfig does
+    const normalized = {}
+    if (flipped.includes('responsive') && this.config.responsive?.enabled !== this.features.responsive) {
+      normalized.responsive = { enabled: this.features.responsive }
+    }
+    if (flipped.includes('animation') && this.features.animation && this.config.animation?.enabled === undefined) {
+      normalized.animation = { enabled: true }
+    }
+    changed.push(...ConfigMerger.diffConfig(this.config, normalized))
+    Utils.deepExtend(this.config, normalized)
+    if (changed.some(path => path.startsWith('responsive.'))) {
+      this.responsiveCalculator?.updateBreakpoint()
     }
 
     // Update systems
     if (this.interactionManager) {
       this.interactionManager.updateConfig(this.config)
     }
+    this.tapHandler?.updateConfig(this.config)
+    this.accessibility?.updateConfig(this.config)
     if (this.floatingEffect) {
       this.floatingEffect.updateConfig(this.config)
     }
@@ -828,6 +1545,148 @@ export class ReliqParticleImage {
     if (this.fadeEffect) {
       this.fadeEffect.updateConfig(this.config)
     }
+    if (this.entranceEffect) {
+      this.entranceEffect.updateConfig(this.config)
+    }
+    if (this.animationSystem && changed.some(path => /^(animation|image)\./.test(path))) {
+      this.animationSystem.updateConfig(this.config)
+    }
+    this.applyFeatureChanges(flipped)
+    this.workerBridge?.updateConfig(Utils.deepExtend(Utils.deepExtend({}, newConfig), normalized), this.features)
+
+    return this.regenerateChangedParticles(changed, flipped)
+  }
+
+  /**
+   * Work out feature toggles after an update. Explicit features win; otherwise a feature
+   * follows the option that enables it, as inferred at construction.
+   * @param {Array} changed - Paths of the changed options
+   * @returns {Object} Feature toggles
+   */
+  resolveFeatures(changed) {
+    const config = this.config
+    const inferred = {}
+    if (changed.includes('responsive.enabled')) {
+      inferred.responsive = config.responsive.enabled !== false
+    }
+    if (changed.includes('secondary_particles.enabled')) {
+      inferred.secondaryParticles = config.secondary_particles.enabled === true
+    }
+    if (changed.includes('animation.enabled')) {
+      inferred.animation = config.animation.enabled === true
+    }
+    if (changed.includes('particles.movement.floating.enabled')) {
+      inferred.floating = config.particles.movement.floating.enabled === true
+    }
+    if (changed.includes('particles.scatter.force')) {
+      inferred.scatter = config.particles.scatter.force !== undefined
+    }
+    if (changed.includes('particles.fade_out.enabled') || changed.includes('particles.fade_in.enabled')) {
+      inferred.fade = config.particles.fade_out?.enabled === true || config.particles.fade_in?.enabled === true
+    }
+
+    const features = { ...this.features, ...inferred, ...config.features }
+    if (this.reducedMotion) {
+      features.floating = false
+    }
+    return features
+  }
+
+  /**
+   * Create or tear down the subsystems of features switched by updateConfig
+   * @param {Array} flipped - Names of the features that changed
+   */
+  applyFeatureChanges(flipped) {
+    const features = this.features
+
+    // Gestures are switched by their own option rather than a feature toggle
+    this.listenToGestures()
+
+    if (flipped.includes('floating')) {
+      this.floatingEffect = features.floating ? new FloatingEffect(this.config) : null
+    }
+    if (flipped.includes('scatter')) {
+      // Scattered particles would be left where they are
+      if (!features.scatter) {
+        this.reassemble({ duration_ms: 0, stagger_ms: 0 })
+      }
+      this.scatterEffect = features.scatter ? new ScatterEffect(this.config, this.events) : null
+    }
+    if (flipped.includes('fade')) {
+      this.fadeEffect?.reset()
+      this.fadeEffect = features.fade ? new FadeEffect(this.config, this.events) : null
+    }
+    if (flipped.includes('entrance')) {
+      this.entranceEffect?.cancel()
+      this.entranceEffect = features.entrance ? new EntranceEffect(this.config, this.events, this.surface) : null
+    }
+    if (flipped.includes('interactivity')) {
+      if (features.interactivity) {
+        this.interactionManager.attach()
+      } else {
+        this.interactionManager.detach()
+      }
+    }
+
+    if (flipped.includes('secondaryParticles')) {
+      this.secondarySystem?.clearParticles()
+      if (!features.secondaryParticles) {
+        this.secondarySystem = null
+      } else if (this.workerBridge) {
+        // The worker creates its own system from the forwarded features
+        this.secondarySystem = this.workerBridge.secondary
+      } else {
+        this.secondarySystem = new SecondaryParticleSystem(this.config, this.canvas, this.responsiveCalculator, this.surface)
+        this.secondarySystem.setReducedMotion(this.reducedMotion)
+      }
+    }
+
+    if (flipped.includes('animation')) {
+      if (this.animationSystem) {
+        this.animationSystem.stop()
+        this.animationListeners.forEach(unsubscribe => unsubscribe())
+        this.animationListeners = []
+      }
+      this.animationSystem = features.animation
+        ? new AnimationSystem(this.config, this.canvas, this.events, this.surface)
+        : null
+      if (this.animationSystem) {
+        this.listenToAnimation()
+      }
+    }
+  }
+
+  /**
+   * Regenerate the particle sets whose inputs an update changed
+   * @param {Array} changed - Paths of the changed options
+   * @param {Array} flipped - Names of the features that changed
+   * @returns {Promise} Resolves once the particles are in place
+   */
+  async regenerateChangedParticles(changed, flipped) {
+    // Particles are first created by initialize()
+    if (!this.isInitialized || this.isDestroyed) {
+      return
+    }
+
+    const touches = (paths, inputs) => paths.some(path =>
+      inputs.some(input => path === input || path.startsWith(input + '.')))
+    const reloadImage = touches(changed, ['image.src']) ||
+      (flipped.includes('animation') && !this.animationSystem && !this.imageLoaded)
+    const primary = reloadImage || flipped.includes('animation') || touches(changed, PRIMARY_INPUTS) ||
+      (this.animationSystem !== null && touches(changed, ANIMATION_SOURCE_INPUTS))
+    // A newly created secondary system has placed its particles already; render_order only affects drawing
+    const secondary = !flipped.includes('secondaryParticles') && touches(
+      changed.filter(path => path !== 'secondary_particles.render_order'), SECONDARY_INPUTS)
+
+    try {
+      if (reloadImage && this.config.image?.src) {
+        await this.loadImage()
+      }
+      await this.rebuildParticles({ primary, secondary })
+    } catch (error) {
+      console.error('Failed to apply configuration:', error)
+      this.handleError(error)
+    }
   }
 
   /**
@@ -841,6 +1700,7 @@ export class ReliqParticleImage {
       totalParticles: this.primarySystem.getParticleCount() + (this.secondarySystem?.getParticleCount() || 0),
       animationPlaying: (this.animationSystem && this.animationSystem.isPlaying && typeof this.animationSystem.isPlaying === 'function') ? this.animationSystem.isPlaying() : false,
       currentFrame: this.animationSystem?.getCurrentFrame() || null,
+      renderMode: this.workerBridge ? 'worker' : 'main',
       features: this.features
     }
   }
@@ -850,11 +1710,21 @@ export class ReliqParticleImage {
    */
   destroy() {
     this.isDestroyed = true
+    this.runPluginHook('destroy')
 
-    // Detach event listeners
+    // Stop the flow and detach event listeners
+    this.flow.destroy()
     if (this.interactionManager) {
       this.interactionManager.detach()
     }
+    this.accessibility?.detach()
+    this.tapHandler?.detach()
+    if (this.onFlowHover) {
+      this.canvas.removeEventListener('pointerenter', this.onFlowHover)
+    }
+    if (this.onFlowLeave) {
+      this.canvas.removeEventListener('pointerleave', this.onFlowLeave)
+    }
 
     // Clear particles
     if (this.primarySystem) {
@@ -864,11 +1734,26 @@ export class ReliqParticleImage {
       this.secondarySystem.clearParticles()
     }
 
-    // Remove canvas
+    // Release renderer resources and remove canvas
+    this.renderer?.destroy()
+    this.renderer = null
+    this.workerBridge?.destroy()
+    this.workerBridge = null
     if (this.canvas && this.canvas.parentNode) {
       this.canvas.parentNode.removeChild(this.canvas)
     }
 
+    // Drop event subscribers and observers
+    this.events.clear()
+    this.resizeObserver?.disconnect()
+    this.resizeObserver = null
+    if (this.onResize) {
+      window.removeEventListener('resize', this.onResize)
+    }
+    this.pixelRatioQuery?.removeEventListener?.('change', this.onPixelRatioChange)
+    this.visibilityObserver?.disconnect()
+    this.visibilityObserver = null
+
     // Clear references
     this.canvas = null
     this.image = null
@@ -876,9 +1761,14 @@ export class ReliqParticleImage {
     this.secondarySystem = null
     this.animationSystem = null
     this.interactionManager = null
+    this.tapHandler = null
+    this.onFlowHover = null
+    this.onFlowLeave = null
+    this.accessibility = null
     this.floatingEffect = null
     this.scatterEffect = null
     this.fadeEffect = null
+    this.entranceEffect = null
   }
 
   /**
@@ -888,6 +1778,35 @@ export class ReliqParticleImage {
     return new ReliqParticleImage(container, config)
   }
 
+  /**
+   * Register a named flow preset usable through flow.preset
+   * @param {string} name - Preset name
+   * @param {Array} stages - Stage definitions
+   */
+  static registerFlowPreset(name, stages) {
+    FlowPresets.register(name, stages)
+  }
+
+  /**
+   * Install a plugin for instances created afterwards
+   * @param {Object} plugin - {name, defaults, stages, actions} plus optional init, beforeUpdate,
+   *   afterUpdate, beforeRender, afterRender and destroy hooks, each called with the instance
+   * @returns {Function} ReliqParticleImage, for chaining
+   */
+  static use(plugin) {
+    PluginRegistry.register(plugin)
+    return ReliqParticleImage
+  }
+
+  /**
+   * Register a renderer usable through renderer.type
+   * @param {string} name - Renderer name
+   * @param {Function} RendererClass - Class constructed with (canvas, surface, config)
+   */
+  static registerRenderer(name, RendererClass) {
+    RendererRegistry.register(name, RendererClass)
+  }
+
   /**
    * Static method to create with feature presets
    */
@@ -0,0 +1,138 @@
+import { installDom, createElement } from '../test/fakeDom.js'
+import { ReliqParticleImage } from './ReliqParticleImage.js'
+
+const config = (overrides = {}) => ({
+  image: { src: { path: 'logo.png' } },
+  particles: { density: 20 },
+  ...overrides
+})
+
+// Resolves with the detail of the next event of a type
+const next = (instance, name, test = () => true) => new Promise(resolve => {
+  const unsubscribe = instance.on(name, detail => {
+    if (test(detail)) {
+      unsubscribe()
+      resolve(detail)
+    }
+  })
+})
+
+describe('ReliqParticleImage', () => {
+  let uninstall
+  let instance
+
+  beforeEach(() => {
+    uninstall = installDom()
+  })
+
+  afterEach(() => {
+    instance?.destroy()
+    instance = null
+    uninstall()
+  })
+
+  describe('entrances', () => {
+    it('advances the flow when a resize cuts the entrance short', async () => {
+      instance = new ReliqParticleImage(createElement(), config({
+        particles: { density: 20, entrance: { duration_ms: 60000 } },
+        flow: { preset: 'assemble_and_idle' }
+      }))
+      const assembled = next(instance, 'assembled')
+      const idle = next(instance, 'particleFlowStageChanged', detail => detail.stage.id === 'idle')
+      await instance.initialize()
+      expect(instance.flow.getCurrentStage().id).toBe('assemble')
+
+      instance.canvas.offsetWidth = 500
+      instance.handleResize()
+
+      await expect(assembled).resolves.toMatchObject({ cancelled: true, pattern: 'scramble' })
+      await expect(idle).resolves.toMatchObject({ stage: { type: 'float' } })
+    })
+
+    it('settles assemble() when the particles are rebuilt', async () => {
+      instance = new ReliqParticleImage(createElement(), config())
+      await instance.initialize()
+
+      const done = instance.assemble({ pattern: 'implode', duration_ms: 60000 })
+      instance.rebuildParticles()
+
+      await expect(done).resolves.toBeUndefined()
+    })
+  })
+
+  describe('fades', () => {
+    it('fades animation frames back in once they are rebuilt', async () => {
+      instance = new ReliqParticleImage(createElement(), config({
+        features: { fade: true },
+        animation: { enabled: true, frames: [1, 2], frame_base_path: 'frames/', frame_suffix: '.png' }
+      }))
+      await instance.initialize()
+      instance.handleFadeComplete()
+      expect(instance.primarySystem.getParticleCount()).toBe(0)
+      const fadeIn = jest.spyOn(instance.fadeEffect, 'startFadeIn')
+
+      instance.startFadeIn()
+      await new Promise(resolve => setTimeout(resolve, 50))
+
+      expect(fadeIn).toHaveBeenCalledTimes(1)
+      expect(fadeIn.mock.calls[0][0].length).toBeGreaterThan(0)
+      expect(fadeIn.mock.calls[0][0]).toHaveLength(instance.primarySystem.getParticleCount())
+    })
+  })
+
+  describe('updateConfig', () => {
+    it('creates and removes the systems of toggled features', async () => {
+      instance = new ReliqParticleImage(createElement(), config({ features: { floating: true } }))
+      await instance.initialize()
+      expect(instance.floatingEffect).not.toBeNull()
+      expect(instance.secondarySystem).toBeNull()
+
+      await instance.updateConfig({ features: { floating: false, secondaryParticles: true } })
+
+      expect(instance.floatingEffect).toBeNull()
+      expect(instance.secondarySystem).not.toBeNull()
+    })
+
+    it('detaches pointer input when interactivity is switched off', async () => {
+      instance = new ReliqParticleImage(createElement(), config())
+      await instance.initialize()
+      expect(instance.interactionManager.isAttached).toBe(true)
+
+      await instance.updateConfig({ features: { interactivity: false } })
+
+      expect(instance.interactionManager.isAttached).toBe(false)
+    })
+
+    it('runs gesture bindings only while gestures are enabled', async () => {
+      instance = new ReliqParticleImage(createElement(), config({
+        gestures: { bindings: { swipe_left: 'scatter' } }
+      }))
+      await instance.initialize()
+      const scatter = jest.spyOn(instance, 'scatterParticles').mockImplementation(() => {})
+
+      instance.events.emit('gesture', { type: 'swipe_left' })
+      await instance.updateConfig({ gestures: { enabled: true } })
+      instance.events.emit('gesture', { type: 'swipe_left' })
+      await instance.updateConfig({ gestures: { enabled: false } })
+      instance.events.emit('gesture', { type: 'swipe_left' })
+
+      expect(scatter).toHaveBeenCalledTimes(1)
+    })
+  })
+
+  describe('destroy', () => {
+    it('removes the flow hover and leave listeners', async () => {
+      instance = new ReliqParticleImage(createElement(), config({
+        flow: { stages: [{ type: 'wait_for_hover' }, { type: 'wait_for_leave' }] }
+      }))
+      await instance.initialize()
+      const canvas = instance.canvas
+      expect(canvas.listeners.pointerenter).toHaveLength(1)
+
+      instance.destroy()
+
+      expect(canvas.listeners.pointerenter).toEqual([])
+      expect(canvas.listeners.pointerleave).toEqual([])
+    })
+  })
+})
@@ -1,14 +1,16 @@
 import { FrameCache } from '../utils/FrameCache.js'
 import { Utils } from '../utils/Utils.js'
+import { SpriteSheet } from '../utils/SpriteSheet.js'
 
 /**
  * Animation system for sprite-based frame animations
  */
 export class AnimationSystem {
-  constructor(config, canvas) {
+  constructor(config, canvas, events = null, surface = canvas) {
     this.config = config
     this.canvas = canvas
-    this.context = canvas.getContext('2d', { willReadFrequently: true })
+    this.surface = surface // Layout size in CSS pixels
+    this.events = events
     this.frameCache = new FrameCache()
     this._isPlaying = false
     this.currentFrame = null
@@ -16,6 +18,7 @@ export class AnimationSystem {
     this.lastFrameTime = 0
     this.floatOffset = null
     this.animationFrames = []
+    this.spriteSheet = null // Loaded sheet image and slices, reused across reloads
   }
 
   /**
@@ -26,6 +29,10 @@ export class AnimationSystem {
       return Promise.resolve()
     }
 
+    if (this.config.animation.sprite_sheet) {
+      return this.loadSpriteSheetFrames()
+    }
+
     this.animationFrames = this.config.animation.frames || []
     if (this.animationFrames.length === 0) {
       console.warn('Animation enabled but no frames specified')
@@ -48,8 +55,8 @@ export class AnimationSystem {
         img.addEventListener('load', () => {
           const bounds = this.calculateFrameBounds(img)
           const tempCanvas = document.createElement('canvas')
-          tempCanvas.width = this.canvas.width
-          tempCanvas.height = this.canvas.height
+          tempCanvas.width = this.surface.width
+          tempCanvas.height = this.surface.height
           
           return this.frameCache.cacheFrame(frameNum, img, bounds, tempCanvas)
             .then(resolve)
@@ -69,13 +76,105 @@ export class AnimationSystem {
       })
     })
     
-    return Promise.all(loadPromises).then(() => {
-      this.frameCache.isInitialized = true
-      
-      if (this.config.animation.auto_start && !this.hasPlayedOnce) {
-        this.start()
+    return Promise.all(loadPromises).then(() => this.finishLoading())
+  }
+
+  /**
+   * Slice all animation frames from a single sprite sheet into cache
+   */
+  async loadSpriteSheetFrames() {
+    const sheet = this.config.animation.sprite_sheet
+
+    try {
+      if (!this.spriteSheet || this.spriteSheet.config !== sheet) {
+        this.spriteSheet = await this.loadSpriteSheet(sheet)
       }
+    } catch (error) {
+      console.error('Failed to load sprite sheet:', error.message)
+      this.animationFrames = []
+      return
+    }
+
+    // Explicit frames pick and order slices; otherwise play every slice
+    const { image, slices } = this.spriteSheet
+    const configured = this.config.animation.frames
+    this.animationFrames = Array.isArray(configured) && configured.length > 0
+      ? configured.filter(frame => slices.has(frame))
+      : [...slices.keys()]
+
+    if (this.animationFrames.length === 0) {
+      console.warn('Sprite sheet contains no matching frames')
+      return
+    }
+
+    this.frameCache.initialize(this.animationFrames)
+    const tempCanvas = document.createElement('canvas')
+    tempCanvas.width = this.surface.width
+    tempCanvas.height = this.surface.height
+
+    for (const frame of this.animationFrames) {
+      const slice = slices.get(frame)
+      const bounds = this.calculateFrameBounds(slice.sourceSize)
+      await this.frameCache.cacheFrame(frame, image, bounds, tempCanvas, slice)
+    }
+
+    this.finishLoading()
+  }
+
+  /**
+   * Load a sprite sheet image and its atlas or grid slices
+   * @param {Object} sheet - animation.sprite_sheet configuration
+   * @returns {Promise<Object>} {config, image, slices}
+   */
+  async loadSpriteSheet(sheet) {
+    let atlas = null
+    let imagePath = sheet.path
+
+    if (typeof sheet.atlas === 'string') {
+      const response = await fetch(sheet.atlas)
+      if (!response.ok) {
+        throw new Error('Failed to load atlas: ' + sheet.atlas)
+      }
+      atlas = await response.json()
+      // Atlas image paths are relative to the atlas file
+      if (!imagePath && atlas.meta?.image) {
+        imagePath = new URL(atlas.meta.image, new URL(sheet.atlas, document.baseURI)).href
+      }
+    } else if (sheet.atlas) {
+      atlas = sheet.atlas
+      imagePath = imagePath || atlas.meta?.image
+    }
+
+    if (!imagePath) {
+      throw new Error('Sprite sheet has no image path')
+    }
+
+    const image = await new Promise((resolve, reject) => {
+      const img = new Image()
+      img.addEventListener('load', () => resolve(img))
+      img.addEventListener('error', () => reject(new Error('Failed to load image: ' + imagePath)))
+      if (sheet.is_external || this.config.animation?.is_external || imagePath.startsWith('http')) {
+        img.crossOrigin = "anonymous"
+      }
+      img.src = imagePath
     })
+
+    const slices = atlas
+      ? SpriteSheet.parseAtlas(atlas, sheet.tag)
+      : SpriteSheet.sliceGrid(sheet, image.width, image.height)
+
+    return { config: sheet, image, slices }
+  }
+
+  /**
+   * Mark the cache ready and auto-start if configured
+   */
+  finishLoading() {
+    this.frameCache.isInitialized = true
+    
+    if (this.config.animation.auto_start && !this.hasPlayedOnce) {
+      this.start()
+    }
   }
 
   /**
@@ -112,17 +211,18 @@ export class AnimationSystem {
 
   /**
    * Calculate frame bounds for image scaling and positioning
+   * @param {Object} img - Image or frame size with width and height
    */
   calculateFrameBounds(img) {
     const aspectRatio = img.width / img.height
-    const canvasAspectRatio = this.canvas.width / this.canvas.height
+    const canvasAspectRatio = this.surface.width / this.surface.height
     
     let scaledWidth, scaledHeight
     
     if (aspectRatio < canvasAspectRatio) {
       // Canvas height constrains image size
       scaledHeight = Utils.clamp(
-        Math.round(this.canvas.height * (this.config.image?.size?.canvas_pct || 50) / 100),
+        Math.round(this.surface.height * (this.config.image?.size?.canvas_pct || 50) / 100),
         this.config.image?.size?.min_px || 350,
         this.config.image?.size?.max_px || 2000
       )
@@ -130,7 +230,7 @@ export class AnimationSystem {
     } else {
       // Canvas width constrains image size
       scaledWidth = Utils.clamp(
-        Math.round(this.canvas.width * (this.config.image?.size?.canvas_pct || 50) / 100),
+        Math.round(this.surface.width * (this.config.image?.size?.canvas_pct || 50) / 100),
         this.config.image?.size?.min_px || 350,
         this.config.image?.size?.max_px || 2000
       )
@@ -141,8 +241,8 @@ export class AnimationSystem {
     const xOffset = (scaledWidth * (this.config.image?.position?.x_img_pct || -15)) / 100
     const yOffset = (scaledHeight * (this.config.image?.position?.y_img_pct || -8)) / 100
     
-    const xPos = this.canvas.width / 2 - scaledWidth / 2 + xOffset
-    const yPos = this.canvas.height / 2 - scaledHeight / 2 + yOffset
+    const xPos = this.surface.width / 2 - scaledWidth / 2 + xOffset
+    const yPos = this.surface.height / 2 - scaledHeight / 2 + yOffset
     
     return { 
       x_pos: xPos, 
@@ -184,14 +284,11 @@ export class AnimationSystem {
     this._isPlaying = false
     this.floatOffset = null
     
-    // Dispatch event for other systems to handle cleanup
-    const event = new CustomEvent('animationStopped', {
-      detail: {
-        timestamp: performance.now(),
-        frameCount: this.animationFrames.length
-      }
+    // Notify other systems to handle cleanup
+    this.events?.emit('animationStopped', {
+      timestamp: performance.now(),
+      frameCount: this.animationFrames.length
     })
-    document.dispatchEvent(event)
   }
 
   /**
@@ -242,16 +339,13 @@ export class AnimationSystem {
       this.setFrame(frames[nextIndex])
       this.lastFrameTime = currentTime
       
-      // Dispatch frame change event
-      const event = new CustomEvent('animationFrameChanged', {
-        detail: {
-          frame: this.currentFrame,
-          frameIndex: nextIndex,
-          totalFrames: frames.length,
-          timestamp: currentTime
-        }
+      // Notify frame change
+      this.events?.emit('animationFrameChanged', {
+        frame: this.currentFrame,
+        frameIndex: nextIndex,
+        totalFrames: frames.length,
+        timestamp: currentTime
       })
-      document.dispatchEvent(event)
     }
     
     requestAnimationFrame(() => this.animate())
@@ -314,11 +408,10 @@ export class AnimationSystem {
    * Update configuration
    */
   updateConfig(newConfig) {
-    this.config = { ...this.config, ...newConfig }
-    
-    // Update frame duration if changed
-    if (newConfig.animation?.frame_duration_ms) {
-      this.config.animation.frame_duration_ms = newConfig.animation.frame_duration_ms
+    this.config = {
+      ...this.config,
+      ...newConfig,
+      animation: { ...this.config.animation, ...newConfig.animation }
     }
   }
 }
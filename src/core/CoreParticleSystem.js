@@ -1,15 +1,93 @@
-import { Utils, ResponsiveCalculator } from '../utils/index.js'
+import { Utils, ResponsiveCalculator, ColorSampler, Easing, SpatialHash } from '../utils/index.js'
+import { ParticleStore } from './ParticleStore.js'
+
+// morphFade values in the typed-array store
+const FADE_IN = 1
+const FADE_OUT = 2
+
+/**
+ * Order items along a Z-order curve so neighbours in the list are neighbours on screen
+ * @param {Array} items - Items to order
+ * @param {Function} getX - X accessor
+ * @param {Function} getY - Y accessor
+ * @returns {Array} Ordered copy of items
+ */
+function spatialOrder(items, getX, getY) {
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity
+  for (const item of items) {
+    minX = Math.min(minX, getX(item))
+    minY = Math.min(minY, getY(item))
+    maxX = Math.max(maxX, getX(item))
+    maxY = Math.max(maxY, getY(item))
+  }
+
+  // Normalise to each shape's own bounds so differently placed shapes still line up
+  const scaleX = 1023 / Math.max(1, maxX - minX)
+  const scaleY = 1023 / Math.max(1, maxY - minY)
+  const spread = value => {
+    let v = value & 0x3ff
+    v = (v | (v << 8)) & 0x00ff00ff
+    v = (v | (v << 4)) & 0x0f0f0f0f
+    v = (v | (v << 2)) & 0x33333333
+    v = (v | (v << 1)) & 0x55555555
+    return v
+  }
+
+  return items
+    .map(item => ({
+      item,
+      key: spread(Math.round((getX(item) - minX) * scaleX)) |
+        (spread(Math.round((getY(item) - minY) * scaleY)) << 1)
+    }))
+    .sort((a, b) => a.key - b.key)
+    .map(entry => entry.item)
+}
+
+/**
+ * Pick a particle color from configuration
+ * @param {Object} config - Full configuration
+ * @returns {string} CSS color
+ */
+function particleColor(config) {
+  const colors = config.particles.color
+  if (Array.isArray(colors)) {
+    return colors[Math.floor(Math.random() * colors.length)]
+  }
+  return colors || '#ffffff'
+}
+
+/**
+ * Calculate a responsive particle radius
+ * @param {Object} config - Full configuration
+ * @param {ResponsiveCalculator} responsiveCalculator - Responsive calculator
+ * @returns {number} Radius in CSS pixels
+ */
+function particleRadius(config, responsiveCalculator) {
+  const baseSize = config.particles.size.value || 2
+  const responsiveSize = responsiveCalculator.calculateResponsiveSize(baseSize)
+  const randomFactor = config.particles.size.random ? Math.max(Math.random(), 0.5) : 1
+
+  return Math.round(randomFactor * responsiveSize)
+}
 
 /**
  * Core particle system for image-based particles
  */
 export class CoreParticleSystem {
-  constructor(config, canvas, responsiveCalculator) {
+  constructor(config, canvas, responsiveCalculator, surface = canvas) {
     this.config = config
     this.canvas = canvas
-    this.context = canvas.getContext('2d', { willReadFrequently: true })
+    this.surface = surface // Layout size in CSS pixels
+    this.context = canvas.getContext('2d')
     this.particles = []
+    // particles.storage: 'typed' keeps particles in typed arrays instead of objects
+    this.store = config.particles.storage === 'typed' ? new ParticleStore() : null
     this.responsiveCalculator = responsiveCalculator
+    this.spatialHash = new SpatialHash()
+    this.spatialHashStale = true
+    this.morphResolvers = []
+    // Restless jitter is skipped while set; see setReducedMotion
+    this.reducedMotion = false
   }
 
   /**
@@ -18,18 +96,101 @@ export class CoreParticleSystem {
    * @param {boolean} atDestination - Whether particles should start at destination
    */
   createImageParticles(pixelData, atDestination = false) {
-    if (!pixelData || !pixelData.data || !pixelData.width || !pixelData.height) {
+    if (!this.isValidPixelData(pixelData)) {
       console.error('Invalid pixel data provided to createImageParticles')
       return
     }
 
-    this.particles = []
+    this.clearParticles()
+    // particles.storage can change between builds through updateConfig
+    this.store = this.config.particles.storage === 'typed' ? this.store || new ParticleStore() : null
+    const points = this.samplePoints(pixelData)
+
+    for (const { destX, destY, color } of points) {
+      let initX, initY
+
+      // Determine initial position
+      if (atDestination || !this.config.particles.start_scrambled) {
+        initX = destX
+        initY = destY
+      } else {
+        initX = Math.random() * this.surface.width
+        initY = Math.random() * this.surface.height
+      }
+
+      if (this.store) {
+        this.addStoredParticle(initX, initY, destX, destY, color ? ColorSampler.toCss(color) : null)
+        continue
+      }
+
+      this.particles.push(new Particle(
+        initX,
+        initY,
+        destX,
+        destY,
+        this.config,
+        this.responsiveCalculator,
+        color ? ColorSampler.toCss(color) : null
+      ))
+    }
+  }
+
+  /**
+   * Add a particle to the typed-array store with the same randomised
+   * properties a Particle object starts with
+   * @param {number} initX - Start X
+   * @param {number} initY - Start Y
+   * @param {number} destX - Destination X
+   * @param {number} destY - Destination Y
+   * @param {string|null} color - CSS color, or null to pick from configuration
+   * @returns {number} Particle index
+   */
+  addStoredParticle(initX, initY, destX, destY, color = null) {
+    const speed = this.config.particles.movement.speed || 1
+    const radius = particleRadius(this.config, this.responsiveCalculator)
+
+    return this.store.add({
+      x: initX,
+      y: initY,
+      destX,
+      destY,
+      vx: (Math.random() - 0.5) * speed,
+      vy: (Math.random() - 0.5) * speed,
+      friction: Math.random() * 0.01 + 0.92,
+      color: color || particleColor(this.config),
+      radius,
+      targetRadius: radius,
+      baseRadius: radius,
+      restlessMax: Math.ceil(Math.random() * (this.config.particles.movement.restless?.value || 10)),
+      jitterX: Math.floor(Math.random() * 7) - 3,
+      jitterY: Math.floor(Math.random() * 7) - 3
+    })
+  }
+
+  /**
+   * Check pixel data has usable dimensions and data
+   * @param {ImageData} pixelData - Image pixel data
+   * @returns {boolean} True if valid
+   */
+  isValidPixelData(pixelData) {
+    return !!(pixelData && pixelData.data && pixelData.width && pixelData.height)
+  }
+
+  /**
+   * Sample particle destinations (and colors) from pixel data
+   * @param {ImageData} pixelData - Image pixel data with optional bounds offset
+   * @returns {Array} Points as {destX, destY, color}
+   */
+  samplePoints(pixelData) {
     const offsetX = pixelData.bounds?.x || 0
     const offsetY = pixelData.bounds?.y || 0
     const responsiveDensity = this.responsiveCalculator.calculateResponsiveDensity(
       this.config.particles.density
     )
     const increment = Math.max(1, Math.round(pixelData.width / responsiveDensity))
+    const colorMode = this.config.particles.color_mode || 'config'
+    const sampleSource = colorMode === 'source' || colorMode === 'source_quantized'
+    const points = []
 
     for (let i = 0; i < pixelData.width; i += increment) {
       for (let j = 0; j < pixelData.height; j += increment) {
@@ -37,36 +198,324 @@ export class CoreParticleSystem {
 
         // Check if pixel has sufficient opacity
         if (pixelIndex < pixelData.data.length && pixelData.data[pixelIndex] > 128) {
-          const destX = i + offsetX
-          const destY = j + offsetY
-          let initX, initY
-
-          // Determine initial position
-          if (atDestination || !this.config.particles.start_scrambled) {
-            initX = destX
-            initY = destY
-          } else {
-            initX = Math.random() * this.canvas.width
-            initY = Math.random() * this.canvas.height
-          }
+          points.push({
+            destX: i + offsetX,
+            destY: j + offsetY,
+            color: sampleSource ? ColorSampler.samplePixel(pixelData, i, j) : null
+          })
+        }
+      }
+    }
+
+    // Reduce sampled colors to a fixed palette
+    if (colorMode === 'source_quantized') {
+      const palette = ColorSampler.buildPalette(
+        points.map(point => point.color),
+        this.config.particles.palette_size || 8
+      )
+      points.forEach(point => {
+        point.color = ColorSampler.nearest(point.color, palette)
+      })
+    }
+
+    return points
+  }
+
+  /**
+   * Morph existing particles into the shape of new pixel data. Particles are
+   * paired with destinations by spatial order; surplus destinations spawn
+   * particles from their nearest partner and surplus particles fade out.
+   * @param {ImageData} pixelData - Target pixel data
+   * @param {Object} options - {duration_ms, easing}
+   * @returns {Promise} Resolves when the morph has finished
+   */
+  morphTo(pixelData, options = {}) {
+    if (!this.isValidPixelData(pixelData)) {
+      console.error('Invalid pixel data provided to morphTo')
+      return Promise.resolve()
+    }
 
-          this.particles.push(new Particle(initX, initY, destX, destY, this.config, this.responsiveCalculator))
+    const points = this.samplePoints(pixelData)
+    const store = this.store
+    // Particles still fading out from an earlier morph are not reused; in
+    // typed storage particles are referred to by index
+    const all = store ? Array.from({ length: store.count }, (_, index) => index) : this.particles
+    const isRetiring = store
+      ? index => store.hasFlag(index, ParticleStore.RETIRING)
+      : particle => particle.retiring
+    const current = all.filter(particle => !isRetiring(particle))
+    const retiring = all.filter(isRetiring)
+
+    if (current.length === 0) {
+      this.createImageParticles(pixelData, true)
+      return Promise.resolve()
+    }
+
+    const timing = {
+      startTime: performance.now(),
+      duration: Math.max(0, options.duration_ms ?? 800),
+      easing: Easing.get(options.easing || 'easeInOutCubic')
+    }
+    const oldOrder = store
+      ? spatialOrder(current, index => store.destX[index], index => store.destY[index])
+      : spatialOrder(current, particle => particle.destX, particle => particle.destY)
+    const newOrder = spatialOrder(points, point => point.destX, point => point.destY)
+    const steps = Math.max(oldOrder.length, newOrder.length)
+    const next = []
+    const usedOld = new Set()
+    const usedNew = new Set()
+
+    for (let k = 0; k < steps; k++) {
+      const particle = oldOrder[Math.floor(k * oldOrder.length / steps)]
+      const point = newOrder[Math.floor(k * newOrder.length / steps)]
+
+      if (!usedOld.has(particle)) {
+        usedOld.add(particle)
+        if (!usedNew.has(point)) {
+          // Reuse the particle for this destination
+          usedNew.add(point)
+          if (point.color) {
+            this.setParticleColor(particle, ColorSampler.toCss(point.color))
+          }
+          this.startParticleMorph(particle, point.destX, point.destY, timing)
+        } else {
+          // More particles than destinations: fade out into a shared destination
+          this.startParticleMorph(particle, point.destX, point.destY, timing, 'out')
         }
+        next.push(particle)
+      } else if (!usedNew.has(point)) {
+        // More destinations than particles: split a new particle off this one
+        usedNew.add(point)
+        const spawned = this.spawnParticle(particle, point)
+        this.startParticleMorph(spawned, point.destX, point.destY, timing, 'in')
+        next.push(spawned)
       }
     }
+
+    // Spawned stored particles were appended in place
+    if (!store) {
+      this.particles = retiring.concat(next)
+    }
+    this.spatialHashStale = true
+
+    return new Promise(resolve => {
+      this.morphResolvers.push(resolve)
+    })
+  }
+
+  /**
+   * Set the color of an object particle or stored particle index
+   * @param {Particle|number} particle - Particle or store index
+   * @param {string} color - CSS color
+   */
+  setParticleColor(particle, color) {
+    if (this.store) {
+      this.store.color[particle] = this.store.colorIndex(color)
+    } else {
+      particle.color = color
+    }
+  }
+
+  /**
+   * Create a particle at another particle's position for a morph destination
+   * @param {Particle|number} particle - Particle or store index to split off
+   * @param {Object} point - Destination {destX, destY, color}
+   * @returns {Particle|number} New particle or store index
+   */
+  spawnParticle(particle, point) {
+    const color = point.color ? ColorSampler.toCss(point.color) : null
+
+    if (this.store) {
+      const store = this.store
+      return this.addStoredParticle(
+        store.x[particle],
+        store.y[particle],
+        point.destX,
+        point.destY,
+        color || store.palette[store.color[particle]]
+      )
+    }
+
+    return new Particle(
+      particle.x,
+      particle.y,
+      point.destX,
+      point.destY,
+      this.config,
+      this.responsiveCalculator,
+      color || particle.color
+    )
+  }
+
+  /**
+   * Start a timed transition on an object particle or stored particle index
+   * @param {Particle|number} particle - Particle or store index
+   * @param {number} toX - New destination X
+   * @param {number} toY - New destination Y
+   * @param {Object} timing - {startTime, duration, easing}
+   * @param {string|null} fade - 'in' for spawned particles, 'out' for retiring ones
+   */
+  startParticleMorph(particle, toX, toY, timing, fade = null) {
+    if (!this.store) {
+      particle.startMorph(toX, toY, timing, fade)
+      return
+    }
+
+    const store = this.store
+    store.startMorph(particle, toX, toY, timing)
+    store.morphFade[particle] = fade === 'in' ? FADE_IN : fade === 'out' ? FADE_OUT : 0
+    store.setFlag(particle, ParticleStore.RETIRING, fade === 'out')
+    if (fade === 'in') {
+      store.alpha[particle] = 0
+    }
   }
 
   /**
    * Update all particles
    */
   updateParticles(interactionManager = null, interactionState = null) {
+    let morphing = false
+    let retired = false
+
+    if (this.store) {
+      morphing = this.updateStoredParticles(interactionManager, interactionState)
+      if (!morphing && this.morphResolvers.length > 0) {
+        this.settleMorph()
+      }
+      return
+    }
+
     for (const particle of this.particles) {
-      particle.update()
+      // Previous position lets the renderer interpolate between fixed steps
+      particle.prevX = particle.x
+      particle.prevY = particle.y
+      particle.update(this.reducedMotion)
+      morphing = morphing || particle.morph !== null
+      retired = retired || particle.retired
+    }
+
+    if (retired) {
+      this.particles = this.particles.filter(particle => !particle.retired)
+    }
+    this.spatialHashStale = true
+
+    if (interactionManager) {
+      interactionManager.applyPrimaryInteractions(this, interactionState)
+    }
+    if (!morphing && this.morphResolvers.length > 0) {
+      this.settleMorph()
+    }
+  }
+
+  /**
+   * Update particles held in the typed-array store; mirrors Particle.update
+   * @param {InteractionManager|null} interactionManager - Interaction manager
+   * @param {Object|null} interactionState - Cached interaction state
+   * @returns {boolean} True if any particle is still morphing
+   */
+  updateStoredParticles(interactionManager, interactionState) {
+    const store = this.store
+    const restless = !this.reducedMotion && this.config.particles.movement.restless?.enabled
+    const now = performance.now()
+    let morphing = false
+    let retired = false
+
+    for (let i = 0; i < store.count; i++) {
+      // Previous position lets the renderer interpolate between fixed steps
+      store.prevX[i] = store.x[i]
+      store.prevY[i] = store.y[i]
+
+      if (store.flags[i] & ParticleStore.MORPHING) {
+        this.updateStoredMorph(i, now)
+        morphing = morphing || store.hasFlag(i, ParticleStore.MORPHING)
+        retired = retired || store.hasFlag(i, ParticleStore.RETIRED)
+        continue
+      }
+
+      if (restless && !(store.flags[i] & ParticleStore.RESTLESS) && Math.random() < 0.02) {
+        store.setFlag(i, ParticleStore.RESTLESS, true)
+      }
 
-      if (interactionManager) {
-        interactionManager.applyPrimaryInteraction(particle, interactionState)
+      if (restless && store.flags[i] & ParticleStore.RESTLESS) {
+        store.x[i] += store.jitterX[i]
+        store.y[i] += store.jitterY[i]
+        const distance = Math.sqrt((store.destX[i] - store.x[i]) ** 2 + (store.destY[i] - store.y[i]) ** 2)
+        if (distance >= store.restlessMax[i]) {
+          store.setFlag(i, ParticleStore.RESTLESS, false)
+        }
+      } else {
+        // Apply movement towards destination
+        store.accX[i] = (store.destX[i] - store.x[i]) / 500
+        store.accY[i] = (store.destY[i] - store.y[i]) / 500
+        store.vx[i] = (store.vx[i] + store.accX[i]) * store.friction[i]
+        store.vy[i] = (store.vy[i] + store.accY[i]) * store.friction[i]
+        store.x[i] += store.vx[i]
+        store.y[i] += store.vy[i]
+      }
+
+      // Smooth size transitions
+      if (Math.abs(store.radius[i] - store.targetRadius[i]) > 0.1) {
+        store.radius[i] += (store.targetRadius[i] - store.radius[i]) * 0.1
       }
     }
+
+    if (retired) {
+      store.removeFlagged(ParticleStore.RETIRED)
+    }
+    this.spatialHashStale = true
+
+    if (interactionManager) {
+      interactionManager.applyPrimaryInteractions(this, interactionState)
+    }
+
+    return morphing
+  }
+
+  /**
+   * Advance the morph transition of a stored particle; mirrors Particle.updateMorph
+   * @param {number} i - Store index
+   * @param {number} now - Current time in milliseconds
+   */
+  updateStoredMorph(i, now) {
+    const store = this.store
+    if (now < store.morphStart[i]) {
+      // Staggered moves drift until their start, then leave from wherever they are
+      store.vx[i] *= store.friction[i]
+      store.vy[i] *= store.friction[i]
+      store.x[i] += store.vx[i]
+      store.y[i] += store.vy[i]
+      store.morphFromX[i] = store.x[i]
+      store.morphFromY[i] = store.y[i]
+      return
+    }
+
+    const duration = store.morphDuration[i]
+    const progress = duration > 0 ? Math.min((now - store.morphStart[i]) / duration, 1) : 1
+    const eased = store.easings[store.morphEasing[i]](progress)
+
+    store.x[i] = store.morphFromX[i] + (store.destX[i] - store.morphFromX[i]) * eased
+    store.y[i] = store.morphFromY[i] + (store.destY[i] - store.morphFromY[i]) * eased
+    if (store.morphFade[i] === FADE_IN) {
+      store.alpha[i] = Utils.clamp(eased, 0, 1)
+    } else if (store.morphFade[i] === FADE_OUT) {
+      store.alpha[i] = Utils.clamp(1 - eased, 0, 1)
+    }
+
+    if (progress >= 1) {
+      store.setFlag(i, ParticleStore.MORPHING, false)
+      store.vx[i] = 0
+      store.vy[i] = 0
+      store.setFlag(i, ParticleStore.RETIRED, store.hasFlag(i, ParticleStore.RETIRING))
+    }
+  }
+
+  /**
+   * Resolve promises returned by pending morphs
+   */
+  settleMorph() {
+    const resolvers = this.morphResolvers
+    this.morphResolvers = []
+    resolvers.forEach(resolve => resolve())
   }
 
   /**
@@ -74,17 +523,46 @@ export class CoreParticleSystem {
    * @param {number} opacity - Global opacity multiplier
    */
   renderParticles(opacity = 1.0) {
-    for (const particle of this.particles) {
+    for (const particle of this.getParticles()) {
       particle.render(this.context, opacity)
     }
   }
 
   /**
-   * Get all particles
+   * Get all particles. With typed storage these are views onto the store.
    * @returns {Array} Array of particles
    */
   getParticles() {
-    return this.particles
+    return this.store ? this.store.toArray() : this.particles
+  }
+
+  /**
+   * Get the typed-array particle store
+   * @returns {ParticleStore|null} Store, or null when particles are objects
+   */
+  getStore() {
+    return this.store
+  }
+
+  /**
+   * Get a spatial hash of current particle positions, rebuilt at most once per update.
+   * Items are particles, or store indices with typed storage.
+   * @returns {SpatialHash} Spatial hash
+   */
+  getSpatialHash() {
+    if (this.spatialHashStale) {
+      this.spatialHash.rebuild(this.store || this.particles)
+      this.spatialHashStale = false
+    }
+    return this.spatialHash
+  }
+
+  /**
+   * Reduce motion: skip restless jitter, whatever the configuration says
+   * @param {boolean} enabled - Whether motion is reduced
+   */
+  setReducedMotion(enabled) {
+    this.reducedMotion = enabled
   }
 
   /**
@@ -92,6 +570,9 @@ export class CoreParticleSystem {
    */
   clearParticles() {
     this.particles = []
+    this.store?.clear()
+    this.spatialHashStale = true
+    this.settleMorph()
   }
 
   /**
@@ -99,7 +580,7 @@ export class CoreParticleSystem {
    * @returns {number} Number of particles
    */
   getParticleCount() {
-    return this.particles.length
+    return this.store ? this.store.count : this.particles.length
   }
 }
 
@@ -107,9 +588,11 @@ export class CoreParticleSystem {
  * Individual particle class
  */
 class Particle {
-  constructor(initX, initY, destX, destY, config, responsiveCalculator) {
+  constructor(initX, initY, destX, destY, config, responsiveCalculator, color = null) {
     this.x = initX
     this.y = initY
+    this.prevX = initX
+    this.prevY = initY
     this.destX = destX
     this.destY = destY
     this.config = config
@@ -123,11 +606,20 @@ class Particle {
     this.friction = Math.random() * 0.01 + 0.92
 
     // Visual properties
-    this.color = this.getParticleColor()
+    this.color = color || this.getParticleColor()
     this.radius = this.calculateRadius()
     this.targetRadius = this.radius
+    this.baseRadius = this.radius // Size targetRadius returns to after bubble
+    this.alpha = 1.0
+    this.fade = 1.0 // Dissolve opacity, set by FadeEffect
+    this.fadeOrder = 0
     this.isSecondary = false
 
+    // Morph transition state
+    this.morph = null
+    this.retiring = false
+    this.retired = false
+
     // Movement properties
     this.restlessness = {
       maxDisplacement: Math.ceil(Math.random() * (config.particles.movement.restless?.value || 10)),
@@ -141,36 +633,35 @@ class Particle {
    * Get particle color from configuration
    */
   getParticleColor() {
-    const colors = this.config.particles.color
-    if (Array.isArray(colors)) {
-      return colors[Math.floor(Math.random() * colors.length)]
-    }
-    return colors || '#ffffff'
+    return particleColor(this.config)
   }
 
   /**
    * Calculate responsive particle radius
    */
   calculateRadius() {
-    const baseSize = this.config.particles.size.value || 2
-    const responsiveSize = this.responsiveCalculator.calculateResponsiveSize(baseSize)
-    const randomFactor = this.config.particles.size.random ? Math.max(Math.random(), 0.5) : 1
-    
-    return Math.round(randomFactor * responsiveSize)
+    return particleRadius(this.config, this.responsiveCalculator)
   }
 
   /**
    * Update particle physics and position
+   * @param {boolean} reducedMotion - Skip restless jitter
    */
-  update() {
-    if (this.config.particles.movement.restless?.enabled && !this.restlessness.onCurrFrame) {
+  update(reducedMotion = false) {
+    if (this.morph) {
+      this.updateMorph()
+      return
+    }
+
+    const restless = !reducedMotion && this.config.particles.movement.restless?.enabled
+    if (restless && !this.restlessness.onCurrFrame) {
       if (Math.random() < 0.02) {
         this.restlessness.onCurrFrame = true
       }
     }
 
     // Apply restless movement if enabled
-    if (this.config.particles.movement.restless?.enabled && this.restlessness.onCurrFrame) {
+    if (restless && this.restlessness.onCurrFrame) {
       this.applyRestlessMovement()
     } else {
       // Apply movement towards destination
@@ -188,6 +679,66 @@ class Particle {
     }
   }
 
+  /**
+   * Start a timed transition to a new destination
+   * @param {number} toX - New destination X
+   * @param {number} toY - New destination Y
+   * @param {Object} timing - {startTime, duration, easing}
+   * @param {string|null} fade - 'in' for spawned particles, 'out' for retiring ones
+   */
+  startMorph(toX, toY, timing, fade = null) {
+    this.morph = {
+      fromX: this.x,
+      fromY: this.y,
+      fade,
+      ...timing
+    }
+    this.destX = toX
+    this.destY = toY
+    this.retiring = fade === 'out'
+    if (fade === 'in') {
+      this.alpha = 0
+    }
+  }
+
+  /**
+   * Advance the morph transition
+   */
+  updateMorph() {
+    const morph = this.morph
+    const now = performance.now()
+    if (now < morph.startTime) {
+      // Staggered moves drift until their start, then leave from wherever they are
+      this.vx *= this.friction
+      this.vy *= this.friction
+      this.x += this.vx
+      this.y += this.vy
+      morph.fromX = this.x
+      morph.fromY = this.y
+      return
+    }
+
+    const progress = morph.duration > 0
+      ? Math.min((now - morph.startTime) / morph.duration, 1)
+      : 1
+    const eased = morph.easing(progress)
+
+    this.x = morph.fromX + (this.destX - morph.fromX) * eased
+    this.y = morph.fromY + (this.destY - morph.fromY) * eased
+    if (morph.fade === 'in') {
+      this.alpha = Utils.clamp(eased, 0, 1)
+    } else if (morph.fade === 'out') {
+      this.alpha = Utils.clamp(1 - eased, 0, 1)
+    }
+
+    if (progress >= 1) {
+      this.morph = null
+      this.vx = 0
+      this.vy = 0
+      this.retired = this.retiring
+    }
+  }
+
   /**
    * Apply restless/jitter movement
    */
@@ -211,7 +762,7 @@ class Particle {
     let drawY = this.y
 
     context.fillStyle = this.color
-    context.globalAlpha = globalOpacity
+    context.globalAlpha = globalOpacity * this.alpha * this.fade
     context.beginPath()
     context.arc(drawX, drawY, this.radius, 0, Math.PI * 2, false)
     context.fill()
@@ -0,0 +1,507 @@
+// Stages that move the flow instead of running
+const JUMP_STAGES = ['goto', 'loop']
+
+/**
+ * Flow state machine. Stages run in order and each one completes when its
+ * handler's promise settles. Control stages (delay, goto, loop, parallel,
+ * wait_for_event) are handled here; every other type is delegated to the host.
+ * A stage that throws or rejects is reported as particleImageError and skipped.
+ */
+export class FlowEngine {
+  /**
+   * @param {Object} options - Engine options
+   * @param {Array} options.stages - Stage definitions
+   * @param {Object} options.handlers - Stage type -> function(stage, onCancel) returning a promise or nothing
+   * @param {EventEmitter|null} options.events - Instance event emitter
+   * @param {Function|null} options.onReset - Called by reset() before the flow restarts
+   */
+  constructor({ stages = [], handlers = {}, events = null, onReset = null } = {}) {
+    this.stages = stages
+    this.handlers = handlers
+    this.events = events
+    this.onReset = onReset
+    this.index = 0
+    this.status = 'idle' // 'idle', 'running', 'paused' or 'complete'
+    this.runId = 0
+    this.pauseRequested = false
+    this.active = new Set() // Stages currently running, including parallel children
+    this.jumpCounts = new Map() // goto/loop stage index -> jumps taken
+    this.waiters = new Map() // Signal name -> Set of {resolve, reject}
+    this.cleanups = new Set() // Cancel callbacks of running stages
+    this.completions = [] // Pending public promises {index, resolve, reject}
+  }
+
+  /**
+   * Start the flow
+   * @param {number} index - Stage to start from
+   */
+  start(index = 0) {
+    if (this.stages.length > 0) {
+      this.interrupt()
+      this.run(index, false)
+    }
+  }
+
+  /**
+   * Jump to a stage and run the flow from there
+   * @param {number|string} target - Stage index or id
+   * @returns {Promise<Object|null>} Resolves with the stage when it completes, or null if the flow is interrupted
+   *   first; rejects if the stage fails
+   */
+  goTo(target) {
+    const index = this.resolveIndex(target)
+    if (index < 0) {
+      return Promise.reject(new Error('Unknown flow stage: ' + target))
+    }
+
+    this.interrupt()
+    const done = this.whenComplete(index)
+    this.run(index, true)
+    return done
+  }
+
+  /**
+   * Restart the flow from the first stage
+   * @returns {Promise<Object|null>} Resolves when the first stage completes
+   */
+  reset() {
+    this.interrupt()
+    this.jumpCounts.clear()
+    this.onReset?.()
+
+    if (this.stages.length === 0) {
+      this.status = 'idle'
+      return Promise.resolve(null)
+    }
+
+    const done = this.whenComplete(0)
+    this.run(0, true)
+    return done
+  }
+
+  /**
+   * Pause once the current stage completes
+   * @returns {Promise<Object|null>} Resolves with the completed stage when the flow has paused
+   */
+  pause() {
+    if (this.status === 'paused') {
+      return Promise.resolve(this.getCurrentStage())
+    }
+    if (this.status !== 'running') {
+      return Promise.resolve(null)
+    }
+
+    this.pauseRequested = true
+    return this.whenComplete(this.index)
+  }
+
+  /**
+   * Continue a paused flow with the next stage
+   * @returns {Promise<Object|null>} Resolves when that stage completes
+   */
+  resume() {
+    if (this.status !== 'paused') {
+      return Promise.resolve(null)
+    }
+
+    this.interrupt()
+    const done = this.whenComplete(this.index + 1)
+    this.run(this.index + 1, true)
+    return done
+  }
+
+  /**
+   * Complete the current stage now and continue with the next one
+   */
+  next() {
+    if (this.index >= this.stages.length - 1) {
+      return
+    }
+
+    this.complete(this.index, this.stages[this.index])
+    this.interrupt()
+    this.run(this.index + 1, true)
+  }
+
+  /**
+   * Resolve the waits of running stages, such as a click for wait_for_click
+   * @param {string} name - Signal name
+   */
+  signal(name) {
+    const resolvers = this.waiters.get(name)
+    if (!resolvers) {
+      return
+    }
+
+    this.waiters.delete(name)
+    resolvers.forEach(({ resolve }) => resolve())
+  }
+
+  /**
+   * Wait for a signal
+   * @param {string} name - Signal name
+   * @returns {Promise<void>} Resolves on the next signal(name); rejects with an AbortError if the flow
+   *   is interrupted first, which the stage loop ignores
+   */
+  wait(name) {
+    return new Promise((resolve, reject) => {
+      if (!this.waiters.has(name)) {
+        this.waiters.set(name, new Set())
+      }
+      this.waiters.get(name).add({ resolve, reject })
+    })
+  }
+
+  /**
+   * Fire a named external event for wait_for_event stages
+   * @param {string} name - Event name
+   */
+  trigger(name) {
+    this.signal(`event:${name}`)
+  }
+
+  /**
+   * Run stages from an index until the flow ends, pauses or is interrupted.
+   * Callers interrupt the previous run first.
+   * @param {number} index - First stage
+   * @param {boolean} announce - Emit a stage change for the first stage
+   */
+  async run(index, announce) {
+    const runId = this.runId
+    try {
+      await this.runStages(index, announce, runId)
+    } catch (error) {
+      // Stage errors are handled per stage; anything else stops the flow
+      if (runId === this.runId) {
+        this.fail(this.index, this.getCurrentStage(), error)
+        this.interrupt()
+        this.status = 'idle'
+      }
+    }
+  }
+
+  /**
+   * Stage loop of run()
+   * @param {number} index - First stage
+   * @param {boolean} announce - Emit a stage change for the first stage
+   * @param {number} runId - Run this loop belongs to
+   */
+  async runStages(index, announce, runId) {
+    this.status = 'running'
+    this.pauseRequested = false
+
+    while (index < this.stages.length) {
+      const stage = this.stages[index]
+      this.index = index
+      if (!stage || stage.enabled === false) {
+        index++
+        continue
+      }
+
+      if (announce) {
+        this.events?.emit('particleFlowStageChanged', {
+          stage,
+          index,
+          totalStages: this.stages.length,
+          timestamp: performance.now()
+        })
+      }
+      announce = true
+
+      if (JUMP_STAGES.includes(stage.type)) {
+        const target = this.getJumpTarget(stage, index)
+        this.complete(index, stage)
+        index = target >= 0 ? target : index + 1
+        // Yield so a loop of instant stages cannot block the page
+        await this.delay(0)
+        if (runId !== this.runId) return
+        continue
+      }
+
+      try {
+        await this.executeStage(stage)
+      } catch (error) {
+        if (runId !== this.runId) return
+        this.fail(index, stage, error)
+      }
+      if (runId !== this.runId) return
+
+      if (this.pauseRequested) {
+        this.status = 'paused'
+        this.pauseRequested = false
+        this.complete(index, stage)
+        return
+      }
+      this.complete(index, stage)
+      index++
+    }
+
+    this.status = 'complete'
+    this.completions.forEach(completion => completion.resolve(null))
+    this.completions = []
+    this.events?.emit('particleFlowComplete', { timestamp: performance.now() })
+  }
+
+  /**
+   * Run a single stage
+   * @param {Object} stage - Stage definition
+   * @returns {Promise<void>} Resolves when the stage completes
+   */
+  async executeStage(stage) {
+    this.active.add(stage)
+    try {
+      switch (stage.type) {
+        case 'delay':
+          await this.delay(stage.ms ?? 0)
+          break
+        case 'wait_for_event':
+          await this.waitForEvent(stage.event)
+          break
+        case 'parallel': {
+          // Completes when every enabled child has settled; jumps are ignored inside groups
+          const results = await Promise.allSettled((stage.stages || [])
+            .filter(child => child.enabled !== false && !JUMP_STAGES.includes(child.type))
+            .map(child => this.executeStage(child)))
+          const failure = results.find(result => result.status === 'rejected')
+          if (failure) {
+            throw failure.reason
+          }
+          break
+        }
+        default:
+          await this.executeHostStage(stage)
+      }
+    } finally {
+      this.active.delete(stage)
+    }
+  }
+
+  /**
+   * Run a stage through the host's handler for its type
+   * @param {Object} stage - Stage definition
+   */
+  async executeHostStage(stage) {
+    const handler = this.handlers[stage.type]
+    if (!handler) {
+      console.warn('Unknown flow stage type:', stage.type)
+      return
+    }
+
+    const cancels = []
+    const onCancel = cancel => {
+      cancels.push(cancel)
+      this.cleanups.add(cancel)
+    }
+
+    try {
+      await handler(stage, onCancel)
+    } finally {
+      cancels.forEach(cancel => this.cleanups.delete(cancel))
+    }
+  }
+
+  /**
+   * Wait for a number of milliseconds
+   * @param {number} ms - Delay
+   * @returns {Promise<void>} Resolves after the delay
+   */
+  delay(ms) {
+    return new Promise(resolve => {
+      const cancel = () => clearTimeout(timer)
+      const timer = setTimeout(() => {
+        this.cleanups.delete(cancel)
+        resolve()
+      }, ms)
+      this.cleanups.add(cancel)
+    })
+  }
+
+  /**
+   * Wait for a named event, fired through trigger() or emitted on the instance
+   * @param {string} name - Event name
+   * @returns {Promise<void>} Resolves on the first occurrence
+   */
+  waitForEvent(name) {
+    const triggered = this.wait(`event:${name}`)
+    if (!this.events) {
+      return triggered
+    }
+
+    let unsubscribe
+    const emitted = new Promise(resolve => {
+      unsubscribe = this.events.once(name, resolve)
+    })
+    this.cleanups.add(unsubscribe)
+
+    return Promise.race([triggered, emitted]).then(() => {
+      unsubscribe()
+      this.cleanups.delete(unsubscribe)
+    })
+  }
+
+  /**
+   * Resolve where a goto or loop stage jumps, counting the jump
+   * @param {Object} stage - goto or loop stage {target, count}
+   * @param {number} index - Index of the stage
+   * @returns {number} Target index, or -1 to continue past the stage
+   */
+  getJumpTarget(stage, index) {
+    const taken = this.jumpCounts.get(index) || 0
+    if (taken >= (stage.count ?? Infinity)) {
+      // Forget the count so an enclosing loop can run this one again
+      this.jumpCounts.delete(index)
+      return -1
+    }
+
+    const target = this.resolveIndex(stage.target ?? (stage.type === 'loop' ? 0 : undefined))
+    if (target < 0) {
+      console.warn('Unknown flow stage target:', stage.target)
+      return -1
+    }
+
+    this.jumpCounts.set(index, taken + 1)
+    return target
+  }
+
+  /**
+   * Find a stage by index or id
+   * @param {number|string} target - Stage index or id
+   * @returns {number} Stage index, or -1 if not found
+   */
+  resolveIndex(target) {
+    if (Number.isInteger(target)) {
+      return target >= 0 && target < this.stages.length ? target : -1
+    }
+    return this.stages.findIndex(stage => stage.id !== undefined && stage.id === target)
+  }
+
+  /**
+   * Create a promise for the next completion of a stage
+   * @param {number} index - Stage index
+   * @returns {Promise<Object|null>} Resolves with the stage, or null if interrupted
+   */
+  whenComplete(index) {
+    return new Promise((resolve, reject) => {
+      this.completions.push({ index, resolve, reject })
+    })
+  }
+
+  /**
+   * Resolve the promises waiting on a stage
+   * @param {number} index - Completed stage index
+   * @param {Object} stage - Completed stage
+   */
+  complete(index, stage) {
+    this.completions = this.completions.filter(completion => {
+      if (completion.index !== index) {
+        return true
+      }
+      completion.resolve(stage)
+      return false
+    })
+  }
+
+  /**
+   * Report a failed stage and reject the promises waiting on it
+   * @param {number} index - Stage index
+   * @param {Object|null} stage - Failed stage
+   * @param {*} error - Thrown value or rejection reason
+   */
+  fail(index, stage, error) {
+    console.error(`Flow stage ${stage?.id ?? index} (${stage?.type}) failed:`, error)
+    this.events?.emit('particleImageError', {
+      error: error?.message ?? String(error),
+      stage,
+      timestamp: performance.now()
+    })
+
+    this.completions = this.completions.filter(completion => {
+      if (completion.index !== index) {
+        return true
+      }
+      completion.reject(error)
+      return false
+    })
+  }
+
+  /**
+   * Stop the running stages without completing them
+   */
+  interrupt() {
+    this.runId++
+    this.cleanups.forEach(cancel => cancel())
+    this.cleanups.clear()
+    // The run id has moved on, so the stage loop drops these rejections
+    const aborted = new DOMException('Flow interrupted', 'AbortError')
+    this.waiters.forEach(waiters => waiters.forEach(({ reject }) => reject(aborted)))
+    this.waiters.clear()
+    this.active.clear()
+    this.completions.forEach(completion => completion.resolve(null))
+    this.completions = []
+  }
+
+  /**
+   * Get the stage the flow is at
+   * @returns {Object|null} Stage definition
+   */
+  getCurrentStage() {
+    return this.stages[this.index] || null
+  }
+
+  /**
+   * Check whether a stage of a type is running
+   * @param {string} type - Stage type
+   * @returns {boolean} True if an enabled stage of the type is active
+   */
+  isActive(type) {
+    return this.getActiveStage(type) !== null
+  }
+
+  /**
+   * Get a running stage of a type, including parallel children
+   * @param {string} type - Stage type
+   * @returns {Object|null} Stage definition
+   */
+  getActiveStage(type) {
+    for (const stage of this.active) {
+      if (stage.type === type) {
+        return stage
+      }
+    }
+    return null
+  }
+
+  /**
+   * Check whether any enabled stage, including parallel children, has a type
+   * @param {string} type - Stage type
+   * @param {Array} stages - Stages to search
+   * @returns {boolean} True if the flow contains the stage
+   */
+  hasStage(type, stages = this.stages) {
+    return stages.some(stage => stage.enabled !== false &&
+      (stage.type === type || (stage.type === 'parallel' && this.hasStage(type, stage.stages || []))))
+  }
+
+  /**
+   * Get a snapshot of the flow state
+   * @returns {Object} {status, index, stage, totalStages}
+   */
+  getState() {
+    return {
+      status: this.status,
+      index: this.index,
+      stage: this.getCurrentStage(),
+      totalStages: this.stages.length
+    }
+  }
+
+  /**
+   * Stop the flow and cancel pending stages
+   */
+  destroy() {
+    this.interrupt()
+    this.status = 'idle'
+  }
+}
+
+export default FlowEngine
@@ -0,0 +1,298 @@
+import { FlowEngine } from './FlowEngine.js'
+import { EventEmitter } from '../utils/EventEmitter.js'
+
+// Engine whose host stage types record each run; 'hold' waits for signal('release')
+function createFlow(stages, options = {}) {
+  const events = new EventEmitter()
+  const runs = []
+  const flow = new FlowEngine({
+    stages,
+    events,
+    handlers: {
+      step: stage => { runs.push(stage.id) },
+      hold: stage => {
+        runs.push(stage.id)
+        return flow.wait('release')
+      },
+      fail: stage => {
+        runs.push(stage.id)
+        throw new Error('stage broke')
+      },
+      ...options.handlers
+    },
+    onReset: options.onReset
+  })
+  return { flow, events, runs }
+}
+
+const completed = events => new Promise(resolve => events.once('particleFlowComplete', resolve))
+
+describe('FlowEngine', () => {
+  it('runs stages in order and completes', async () => {
+    const { flow, events, runs } = createFlow([
+      { id: 'a', type: 'step' },
+      { id: 'off', type: 'step', enabled: false },
+      { id: 'b', type: 'step' }
+    ])
+    const done = completed(events)
+
+    flow.start()
+    await done
+
+    expect(runs).toEqual(['a', 'b'])
+    expect(flow.status).toBe('complete')
+  })
+
+  describe('goTo', () => {
+    it('jumps to a stage by id and resolves when it completes', async () => {
+      const { flow, runs } = createFlow([
+        { id: 'a', type: 'step' },
+        { id: 'b', type: 'step' },
+        { id: 'c', type: 'step' }
+      ])
+
+      const stage = await flow.goTo('b')
+
+      expect(stage.id).toBe('b')
+      expect(runs[0]).toBe('b')
+      expect(runs).not.toContain('a')
+    })
+
+    it('jumps to a stage by index', async () => {
+      const { flow } = createFlow([{ id: 'a', type: 'step' }, { id: 'b', type: 'step' }])
+
+      await expect(flow.goTo(1)).resolves.toMatchObject({ id: 'b' })
+    })
+
+    it('rejects for an unknown stage', async () => {
+      const { flow } = createFlow([{ id: 'a', type: 'step' }])
+
+      await expect(flow.goTo('missing')).rejects.toThrow('Unknown flow stage: missing')
+      await expect(flow.goTo(5)).rejects.toThrow()
+    })
+
+    it('announces the stage it jumps to', async () => {
+      const { flow, events } = createFlow([{ id: 'a', type: 'step' }, { id: 'b', type: 'step' }])
+      const changes = []
+      events.on('particleFlowStageChanged', detail => changes.push(detail.stage.id))
+
+      await flow.goTo('b')
+
+      expect(changes[0]).toBe('b')
+    })
+  })
+
+  describe('loop and goto counts', () => {
+    it('loops back count times, then continues', async () => {
+      const { flow, events, runs } = createFlow([
+        { id: 'a', type: 'step' },
+        { type: 'loop', count: 2 },
+        { id: 'end', type: 'step' }
+      ])
+      const done = completed(events)
+
+      flow.start()
+      await done
+
+      expect(runs).toEqual(['a', 'a', 'a', 'end'])
+    })
+
+    it('jumps to a goto target by id', async () => {
+      const { flow, events, runs } = createFlow([
+        { id: 'a', type: 'step' },
+        { id: 'b', type: 'step' },
+        { type: 'goto', target: 'b', count: 1 }
+      ])
+      const done = completed(events)
+
+      flow.start()
+      await done
+
+      expect(runs).toEqual(['a', 'b', 'b'])
+    })
+
+    it('runs an inner loop again on each pass of an outer loop', async () => {
+      const { flow, events, runs } = createFlow([
+        { id: 'outer', type: 'step' },
+        { id: 'inner', type: 'step' },
+        { type: 'goto', target: 'inner', count: 1 },
+        { type: 'loop', count: 1 }
+      ])
+      const done = completed(events)
+
+      flow.start()
+      await done
+
+      expect(runs).toEqual(['outer', 'inner', 'inner', 'outer', 'inner', 'inner'])
+    })
+  })
+
+  describe('pause and resume', () => {
+    it('pauses once the current stage completes', async () => {
+      const { flow, runs } = createFlow([
+        { id: 'a', type: 'hold' },
+        { id: 'b', type: 'step' }
+      ])
+
+      flow.start()
+      const paused = flow.pause()
+      flow.signal('release')
+
+      await expect(paused).resolves.toMatchObject({ id: 'a' })
+      expect(flow.status).toBe('paused')
+      expect(runs).toEqual(['a'])
+    })
+
+    it('continues with the next stage on resume', async () => {
+      const { flow, runs } = createFlow([
+        { id: 'a', type: 'hold' },
+        { id: 'b', type: 'step' }
+      ])
+
+      flow.start()
+      const paused = flow.pause()
+      flow.signal('release')
+      await paused
+
+      await expect(flow.resume()).resolves.toMatchObject({ id: 'b' })
+      expect(runs).toEqual(['a', 'b'])
+    })
+
+    it('does nothing when the flow is not running', async () => {
+      const { flow } = createFlow([{ id: 'a', type: 'step' }])
+
+      await expect(flow.pause()).resolves.toBeNull()
+      await expect(flow.resume()).resolves.toBeNull()
+    })
+  })
+
+  describe('reset', () => {
+    it('restarts from the first stage and clears loop counts', async () => {
+      const onReset = jest.fn()
+      const { flow, events, runs } = createFlow([
+        { id: 'a', type: 'step' },
+        { type: 'loop', count: 1 },
+        { id: 'end', type: 'hold' }
+      ], { onReset })
+
+      flow.start()
+      await new Promise(resolve => events.on('particleFlowStageChanged', detail => {
+        if (detail.stage.id === 'end') resolve()
+      }))
+      expect(runs).toEqual(['a', 'a', 'end'])
+
+      runs.length = 0
+      await flow.reset()
+
+      expect(onReset).toHaveBeenCalledTimes(1)
+      expect(runs[0]).toBe('a')
+      flow.interrupt()
+    })
+
+    it('interrupts the running stage', async () => {
+      const cancel = jest.fn()
+      const { flow } = createFlow([{ id: 'a', type: 'wait' }], {
+        handlers: { wait: (stage, onCancel) => new Promise(() => onCancel(cancel)) }
+      })
+
+      flow.start()
+      await flow.delay(0)
+      flow.reset()
+
+      expect(cancel).toHaveBeenCalled()
+      flow.interrupt()
+    })
+  })
+
+  describe('interrupt', () => {
+    it('rejects pending waits with an AbortError', async () => {
+      const { flow } = createFlow([{ id: 'a', type: 'step' }])
+      const waiting = flow.wait('release')
+
+      flow.interrupt()
+
+      await expect(waiting).rejects.toMatchObject({ name: 'AbortError' })
+      flow.signal('release')
+    })
+
+    it('does not report the aborted waits of running stages as failures', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {})
+      const { flow, events } = createFlow([
+        { id: 'held', type: 'hold' },
+        { id: 'group', type: 'parallel', stages: [{ id: 'inner', type: 'hold' }] }
+      ])
+      const errors = []
+      events.on('particleImageError', detail => errors.push(detail))
+
+      flow.start()
+      await flow.delay(0)
+      flow.start(1)
+      await flow.delay(0)
+      flow.interrupt()
+      await flow.delay(0)
+
+      expect(errors).toEqual([])
+      expect(console.error).not.toHaveBeenCalled()
+      console.error.mockRestore()
+    })
+  })
+
+  describe('failing stages', () => {
+    beforeEach(() => {
+      jest.spyOn(console, 'error').mockImplementation(() => {})
+    })
+
+    afterEach(() => {
+      console.error.mockRestore()
+    })
+
+    it('reports the failure and moves on to the next stage', async () => {
+      const { flow, events, runs } = createFlow([
+        { id: 'bad', type: 'fail' },
+        { id: 'after', type: 'step' }
+      ])
+      const errors = []
+      events.on('particleImageError', detail => errors.push(detail))
+      const done = completed(events)
+
+      flow.start()
+      await done
+
+      expect(runs).toEqual(['bad', 'after'])
+      expect(errors).toHaveLength(1)
+      expect(errors[0]).toMatchObject({ error: 'stage broke', stage: { id: 'bad' } })
+    })
+
+    it('rejects goTo when the stage fails', async () => {
+      const { flow } = createFlow([{ id: 'bad', type: 'fail' }])
+
+      await expect(flow.goTo('bad')).rejects.toThrow('stage broke')
+    })
+
+    it('fails a parallel group when a child fails, after every child settles', async () => {
+      const { flow, runs } = createFlow([{
+        id: 'group',
+        type: 'parallel',
+        stages: [{ id: 'bad', type: 'fail' }, { id: 'ok', type: 'step' }]
+      }])
+
+      await expect(flow.goTo('group')).rejects.toThrow('stage broke')
+      expect(runs).toEqual(['bad', 'ok'])
+    })
+  })
+
+  it('finds running stages inside parallel groups', async () => {
+    const { flow } = createFlow([{
+      id: 'group',
+      type: 'parallel',
+      stages: [{ id: 'held', type: 'hold' }, { id: 'quick', type: 'step' }]
+    }])
+
+    flow.start()
+    await flow.delay(0)
+
+    expect(flow.getActiveStage('hold')).toMatchObject({ id: 'held' })
+    expect(flow.getActiveStage('step')).toBeNull()
+    flow.interrupt()
+  })
+})
@@ -0,0 +1,322 @@
+/**
+ * Struct-of-arrays particle storage backed by typed arrays, for very large
+ * particle counts. Each particle is an index into parallel arrays; ParticleView
+ * adapts an index back into a particle-like object for code that expects one.
+ */
+
+// Per-particle numeric fields
+const FLOAT_FIELDS = [
+  'x', 'y', 'prevX', 'prevY', 'vx', 'vy', 'accX', 'accY', 'destX', 'destY',
+  'friction', 'radius', 'targetRadius', 'baseRadius', 'alpha',
+  'restlessMax', 'jitterX', 'jitterY', 'direction',
+  'morphFromX', 'morphFromY', 'morphDuration', 'fade', 'fadeOrder'
+]
+// Timestamps need double precision
+const DOUBLE_FIELDS = ['repulseStart', 'morphStart']
+const BYTE_FIELDS = ['flags', 'morphFade', 'morphEasing']
+// Palette indices; an unreduced photo can sample more than 65536 colors
+const UINT_FIELDS = ['color']
+// morphEasing is a byte, so at most this many easings can be in use at once
+const MAX_EASINGS = 256
+
+export class ParticleStore {
+  constructor(capacity = 256) {
+    this.isParticleStore = true
+    this.count = 0
+    this.capacity = 0
+    this.palette = [] // color index -> CSS color
+    this.paletteIndex = new Map() // CSS color -> color index
+    this.easings = [] // morphEasing index -> easing function, null for a free slot
+    this.views = []
+    this.viewList = null
+    this.cursorView = new ParticleView(this, 0)
+    this.grow(capacity)
+  }
+
+  /**
+   * Enlarge all arrays, keeping existing particles
+   * @param {number} capacity - Minimum new capacity
+   */
+  grow(capacity) {
+    const resize = (Type, name) => {
+      const next = new Type(capacity)
+      if (this[name]) {
+        next.set(this[name].subarray(0, this.count))
+      }
+      this[name] = next
+    }
+
+    FLOAT_FIELDS.forEach(name => resize(Float32Array, name))
+    DOUBLE_FIELDS.forEach(name => resize(Float64Array, name))
+    BYTE_FIELDS.forEach(name => resize(Uint8Array, name))
+    UINT_FIELDS.forEach(name => resize(Uint32Array, name))
+    this.capacity = capacity
+  }
+
+  /**
+   * Add a particle
+   * @param {Object} values - Initial field values; color is a CSS color string
+   * @returns {number} Particle index
+   */
+  add(values) {
+    if (this.count >= this.capacity) {
+      this.grow(this.capacity * 2)
+    }
+
+    const index = this.count++
+    FLOAT_FIELDS.forEach(name => { this[name][index] = 0 })
+    DOUBLE_FIELDS.forEach(name => { this[name][index] = 0 })
+    BYTE_FIELDS.forEach(name => { this[name][index] = 0 })
+    this.alpha[index] = 1
+    this.fade[index] = 1
+
+    for (const [name, value] of Object.entries(values)) {
+      if (name === 'color') {
+        this.color[index] = this.colorIndex(value)
+      } else if (this[name] && ArrayBuffer.isView(this[name])) {
+        this[name][index] = value
+      }
+    }
+
+    this.prevX[index] = this.x[index]
+    this.prevY[index] = this.y[index]
+    this.viewList = null
+    return index
+  }
+
+  /**
+   * Get the palette index for a color, adding it if new
+   * @param {string} color - CSS color
+   * @returns {number} Color index
+   */
+  colorIndex(color) {
+    let index = this.paletteIndex.get(color)
+    if (index === undefined) {
+      index = this.palette.length
+      this.palette.push(color)
+      this.paletteIndex.set(color, index)
+    }
+    return index
+  }
+
+  /**
+   * Get the palette index for an easing function, adding it if new. Slots of
+   * easings no morphing particle uses any more are reused once the table is full.
+   * @param {Function} easing - Easing function
+   * @returns {number} Easing index
+   * @throws {Error} If MAX_EASINGS different easings are in use at once
+   */
+  easingIndex(easing) {
+    let index = this.easings.indexOf(easing)
+    if (index !== -1) {
+      return index
+    }
+
+    if (this.easings.length >= MAX_EASINGS && !this.easings.includes(null)) {
+      this.releaseEasings()
+    }
+    index = this.easings.indexOf(null)
+    if (index === -1) {
+      if (this.easings.length >= MAX_EASINGS) {
+        throw new Error(`ParticleStore: more than ${MAX_EASINGS} easings in use at once`)
+      }
+      index = this.easings.length
+    }
+    this.easings[index] = easing
+    return index
+  }
+
+  /**
+   * Free the easing slots that no morphing particle refers to
+   */
+  releaseEasings() {
+    const used = new Set()
+    for (let i = 0; i < this.count; i++) {
+      if (this.flags[i] & ParticleStore.MORPHING) {
+        used.add(this.morphEasing[i])
+      }
+    }
+    for (let i = 0; i < this.easings.length; i++) {
+      if (!used.has(i)) {
+        this.easings[i] = null
+      }
+    }
+  }
+
+  /**
+   * Start a timed move to a new destination; callers set any fade afterwards
+   * @param {number} index - Particle index
+   * @param {number} toX - New destination X
+   * @param {number} toY - New destination Y
+   * @param {Object} timing - {startTime, duration, easing}
+   */
+  startMorph(index, toX, toY, timing) {
+    this.morphFromX[index] = this.x[index]
+    this.morphFromY[index] = this.y[index]
+    this.morphStart[index] = timing.startTime
+    this.morphDuration[index] = timing.duration
+    this.morphEasing[index] = this.easingIndex(timing.easing)
+    this.morphFade[index] = 0
+    this.destX[index] = toX
+    this.destY[index] = toY
+    this.setFlag(index, ParticleStore.MORPHING, true)
+  }
+
+  /**
+   * Check a flag on a particle
+   * @param {number} index - Particle index
+   * @param {number} flag - ParticleStore flag constant
+   * @returns {boolean} True if set
+   */
+  hasFlag(index, flag) {
+    return (this.flags[index] & flag) !== 0
+  }
+
+  /**
+   * Set or clear a flag on a particle
+   * @param {number} index - Particle index
+   * @param {number} flag - ParticleStore flag constant
+   * @param {boolean} value - Whether to set the flag
+   */
+  setFlag(index, flag, value) {
+    this.flags[index] = value ? this.flags[index] | flag : this.flags[index] & ~flag
+  }
+
+  /**
+   * Remove particles carrying a flag, preserving order. Views are invalidated.
+   * @param {number} flag - Flag marking particles to remove
+   */
+  removeFlagged(flag) {
+    const fields = [...FLOAT_FIELDS, ...DOUBLE_FIELDS, ...BYTE_FIELDS, ...UINT_FIELDS]
+    let write = 0
+
+    for (let read = 0; read < this.count; read++) {
+      if (this.flags[read] & flag) {
+        continue
+      }
+      if (write !== read) {
+        for (const name of fields) {
+          this[name][write] = this[name][read]
+        }
+      }
+      write++
+    }
+
+    this.count = write
+    this.views = []
+    this.viewList = null
+  }
+
+  /**
+   * Remove all particles
+   */
+  clear() {
+    this.count = 0
+    this.views = []
+    this.viewList = null
+  }
+
+  /**
+   * Get a stable particle object for an index
+   * @param {number} index - Particle index
+   * @returns {ParticleView} View onto the particle
+   */
+  get(index) {
+    if (!this.views[index]) {
+      this.views[index] = new ParticleView(this, index)
+    }
+    return this.views[index]
+  }
+
+  /**
+   * Get particle objects for all particles (adapter for object-based code)
+   * @returns {Array} Particle views
+   */
+  toArray() {
+    if (!this.viewList) {
+      this.viewList = []
+      for (let i = 0; i < this.count; i++) {
+        this.viewList.push(this.get(i))
+      }
+    }
+    return this.viewList
+  }
+
+  /**
+   * Get a shared view moved to an index, for per-particle calls in hot loops
+   * @param {number} index - Particle index
+   * @returns {ParticleView} Shared view; do not keep a reference
+   */
+  cursor(index) {
+    this.cursorView.index = index
+    return this.cursorView
+  }
+}
+
+ParticleStore.RESTLESS = 1
+ParticleStore.SCATTERED = 2
+ParticleStore.SECONDARY = 4
+ParticleStore.MORPHING = 8
+ParticleStore.RETIRING = 16
+ParticleStore.RETIRED = 32
+
+/**
+ * Particle-like object reading and writing one index of a ParticleStore
+ */
+class ParticleView {
+  constructor(store, index) {
+    this.store = store
+    this.index = index
+  }
+
+  /**
+   * Render particle on canvas
+   * @param {CanvasRenderingContext2D} context - Canvas context
+   * @param {number} globalOpacity - Global opacity multiplier
+   */
+  render(context, globalOpacity = 1.0) {
+    context.fillStyle = this.color
+    context.globalAlpha = globalOpacity * this.alpha * this.fade
+    context.beginPath()
+    context.arc(this.x, this.y, this.radius, 0, Math.PI * 2, false)
+    context.fill()
+    context.globalAlpha = 1.0 // Reset global alpha
+  }
+}
+
+for (const name of [...FLOAT_FIELDS, ...DOUBLE_FIELDS]) {
+  Object.defineProperty(ParticleView.prototype, name, {
+    get() { return this.store[name][this.index] },
+    set(value) { this.store[name][this.index] = value }
+  })
+}
+
+// Names used by the object-based particle classes
+const FLAG_PROPERTIES = {
+  isScattered: ParticleStore.SCATTERED,
+  isSecondary: ParticleStore.SECONDARY,
+  retiring: ParticleStore.RETIRING,
+  retired: ParticleStore.RETIRED
+}
+for (const [name, flag] of Object.entries(FLAG_PROPERTIES)) {
+  Object.defineProperty(ParticleView.prototype, name, {
+    get() { return this.store.hasFlag(this.index, flag) },
+    set(value) { this.store.setFlag(this.index, flag, value) }
+  })
+}
+
+Object.defineProperties(ParticleView.prototype, {
+  color: {
+    get() { return this.store.palette[this.store.color[this.index]] },
+    set(value) { this.store.color[this.index] = this.store.colorIndex(value) }
+  },
+  repulse_start_time: {
+    get() { return this.store.repulseStart[this.index] || null },
+    set(value) { this.store.repulseStart[this.index] = value || 0 }
+  },
+  morph: {
+    get() { return this.store.hasFlag(this.index, ParticleStore.MORPHING) ? {} : null }
+  }
+})
+
+export default ParticleStore
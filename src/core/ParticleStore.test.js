@@ -0,0 +1,144 @@
+import { ParticleStore } from './ParticleStore.js'
+
+describe('ParticleStore', () => {
+  describe('add', () => {
+    it('stores fields by index, with full opacity and the start as previous position', () => {
+      const store = new ParticleStore()
+
+      const index = store.add({ x: 5, y: 6, destX: 50, radius: 2, color: '#ff0000' })
+
+      expect(index).toBe(0)
+      expect(store.count).toBe(1)
+      expect([store.x[0], store.prevX[0], store.destX[0], store.radius[0]]).toEqual([5, 5, 50, 2])
+      expect([store.alpha[0], store.fade[0]]).toEqual([1, 1])
+      expect(store.palette[store.color[0]]).toBe('#ff0000')
+    })
+
+    it('grows past its capacity and keeps existing particles', () => {
+      const store = new ParticleStore(2)
+
+      for (let i = 0; i < 5; i++) {
+        store.add({ x: i })
+      }
+
+      expect(store.capacity).toBe(8)
+      expect(Array.from(store.x.subarray(0, store.count))).toEqual([0, 1, 2, 3, 4])
+    })
+
+    it('resets the fields of a reused slot', () => {
+      const store = new ParticleStore()
+      store.add({ x: 1, vx: 3, flags: ParticleStore.SCATTERED })
+      store.clear()
+
+      store.add({ x: 2 })
+
+      expect(store.vx[0]).toBe(0)
+      expect(store.flags[0]).toBe(0)
+    })
+  })
+
+  it('shares one palette entry per color', () => {
+    const store = new ParticleStore()
+    store.add({ color: 'red' })
+    store.add({ color: 'blue' })
+    store.add({ color: 'red' })
+
+    expect(store.palette).toEqual(['red', 'blue'])
+    expect(Array.from(store.color.subarray(0, 3))).toEqual([0, 1, 0])
+  })
+
+  it('keeps color indices beyond 65535', () => {
+    const store = new ParticleStore()
+    store.palette = Array.from({ length: 70000 }, (_, i) => `c${i}`)
+    store.paletteIndex = new Map(store.palette.map((color, i) => [color, i]))
+
+    store.add({ color: 'c69999' })
+
+    expect(store.get(0).color).toBe('c69999')
+  })
+
+  describe('easings', () => {
+    const timing = easing => ({ startTime: 0, duration: 100, easing })
+
+    it('reuses the slots of easings no morphing particle uses', () => {
+      const store = new ParticleStore()
+      const easings = Array.from({ length: 256 }, (_, i) => t => t * i)
+      easings.forEach(easing => store.easingIndex(easing))
+      store.add({})
+      store.setFlag(0, ParticleStore.MORPHING, true)
+      store.morphEasing[0] = 7
+
+      const index = store.easingIndex(t => t * t)
+
+      expect(index).toBe(0)
+      expect(store.easings[7]).toBe(easings[7])
+      expect(store.easings.filter(Boolean)).toHaveLength(2)
+    })
+
+    it('throws when every easing slot is in use by a morphing particle', () => {
+      const store = new ParticleStore()
+      for (let i = 0; i < 256; i++) {
+        store.add({})
+        store.startMorph(i, 0, 0, timing(t => t + i))
+      }
+
+      expect(() => store.easingIndex(t => t)).toThrow('more than 256 easings')
+    })
+  })
+
+  it('starts a morph from the current position', () => {
+    const store = new ParticleStore()
+    store.add({ x: 3, y: 4 })
+
+    store.startMorph(0, 30, 40, { startTime: 1000, duration: 500, easing: Math.sqrt })
+
+    expect([store.morphFromX[0], store.morphFromY[0], store.destX[0], store.destY[0]]).toEqual([3, 4, 30, 40])
+    expect(store.hasFlag(0, ParticleStore.MORPHING)).toBe(true)
+    expect(store.easings[store.morphEasing[0]]).toBe(Math.sqrt)
+  })
+
+  it('removes flagged particles in order', () => {
+    const store = new ParticleStore()
+    for (let i = 0; i < 5; i++) {
+      store.add({ x: i })
+    }
+    store.setFlag(1, ParticleStore.RETIRED, true)
+    store.setFlag(3, ParticleStore.RETIRED, true)
+
+    store.removeFlagged(ParticleStore.RETIRED)
+
+    expect(store.count).toBe(3)
+    expect(Array.from(store.x.subarray(0, 3))).toEqual([0, 2, 4])
+    expect(store.hasFlag(1, ParticleStore.RETIRED)).toBe(false)
+  })
+
+  describe('views', () => {
+    it('read and write the fields of their particle', () => {
+      const store = new ParticleStore()
+      store.add({ x: 1, color: 'red' })
+      const view = store.get(0)
+
+      view.x = 9
+      view.color = 'blue'
+      view.isScattered = true
+      view.repulse_start_time = 120
+
+      expect(store.x[0]).toBe(9)
+      expect(store.palette[store.color[0]]).toBe('blue')
+      expect(store.hasFlag(0, ParticleStore.SCATTERED)).toBe(true)
+      expect(view.repulse_start_time).toBe(120)
+      expect(view.morph).toBeNull()
+    })
+
+    it('are stable per index, while the cursor is shared', () => {
+      const store = new ParticleStore()
+      store.add({ x: 1 })
+      store.add({ x: 2 })
+
+      expect(store.get(1)).toBe(store.get(1))
+      expect(store.toArray().map(view => view.x)).toEqual([1, 2])
+      expect(store.cursor(0)).toBe(store.cursor(1))
+      expect(store.cursor(1).x).toBe(2)
+    })
+  })
+})
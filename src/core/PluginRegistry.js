@@ -0,0 +1,92 @@
+import { Utils } from '../utils/Utils.js'
+
+// Lifecycle hooks, each called with the instance
+const HOOKS = ['init', 'beforeUpdate', 'afterUpdate', 'beforeRender', 'afterRender', 'destroy']
+
+/**
+ * Registry of plugins installed through ReliqParticleImage.use()
+ */
+const plugins = new Map()
+
+export class PluginRegistry {
+  /**
+   * Register a plugin; a plugin with the same name is replaced
+   * @param {Object} plugin - {name, defaults, stages, actions, ...hooks}
+   */
+  static register(plugin) {
+    if (!plugin || typeof plugin !== 'object') {
+      throw new Error('Plugin must be an object')
+    }
+    if (!plugin.name || typeof plugin.name !== 'string') {
+      throw new Error('Plugin name must be a non-empty string')
+    }
+
+    for (const hook of HOOKS) {
+      if (plugin[hook] !== undefined && typeof plugin[hook] !== 'function') {
+        throw new Error(`Plugin hook must be a function: ${plugin.name}.${hook}`)
+      }
+    }
+    for (const group of ['stages', 'actions']) {
+      for (const [name, handler] of Object.entries(plugin[group] || {})) {
+        if (typeof handler !== 'function') {
+          throw new Error(`Plugin ${group} must map names to functions: ${plugin.name}.${name}`)
+        }
+      }
+    }
+
+    plugins.set(plugin.name, plugin)
+  }
+
+  /**
+   * Check if a plugin is registered
+   * @param {string} name - Plugin name
+   * @returns {boolean} True if registered
+   */
+  static has(name) {
+    return plugins.has(name)
+  }
+
+  /**
+   * Get all registered plugins in registration order
+   * @returns {Array} Plugins
+   */
+  static list() {
+    return [...plugins.values()]
+  }
+
+  /**
+   * Collect the config defaults of all plugins. Each plugin action gets an interactions
+   * entry so it can be selected like a built-in one.
+   * @returns {Object} Defaults, shaped like the configuration
+   */
+  static getDefaults() {
+    const defaults = {}
+    for (const plugin of plugins.values()) {
+      Utils.deepExtend(defaults, plugin.defaults || {})
+      for (const name of Object.keys(plugin.actions || {})) {
+        defaults.interactions = defaults.interactions || {}
+        defaults.interactions[name] = defaults.interactions[name] || {}
+      }
+    }
+    return defaults
+  }
+
+  /**
+   * Get the flow stage types added by plugins
+   * @returns {Array} Stage type names
+   */
+  static getStageTypes() {
+    return [...plugins.values()].flatMap(plugin => Object.keys(plugin.stages || {}))
+  }
+
+  /**
+   * Merge plugin config defaults under a configuration; the configuration wins
+   * @param {Object} config - User configuration
+   * @returns {Object} New configuration
+   */
+  static applyDefaults(config) {
+    return Utils.deepExtend(PluginRegistry.getDefaults(), config)
+  }
+}
+
+export default PluginRegistry
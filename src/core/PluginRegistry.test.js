@@ -0,0 +1,67 @@
+describe('PluginRegistry', () => {
+  let PluginRegistry
+
+  // The registry is module-wide; each spec starts from a fresh copy
+  beforeEach(() => {
+    jest.resetModules()
+    PluginRegistry = require('./PluginRegistry.js').PluginRegistry
+  })
+
+  describe('register', () => {
+    it('lists plugins in registration order and replaces one with the same name', () => {
+      const first = { name: 'trail' }
+      const replacement = { name: 'trail', init: () => {} }
+
+      PluginRegistry.register(first)
+      PluginRegistry.register({ name: 'sparkle' })
+      PluginRegistry.register(replacement)
+
+      expect(PluginRegistry.list().map(plugin => plugin.name)).toEqual(['trail', 'sparkle'])
+      expect(PluginRegistry.list()[0]).toBe(replacement)
+      expect(PluginRegistry.has('sparkle')).toBe(true)
+      expect(PluginRegistry.has('missing')).toBe(false)
+    })
+
+    it.each([
+      [null, 'Plugin must be an object'],
+      [{}, 'Plugin name must be a non-empty string'],
+      [{ name: 'bad', beforeUpdate: true }, 'Plugin hook must be a function: bad.beforeUpdate'],
+      [{ name: 'bad', stages: { wave: 'wave' } }, 'Plugin stages must map names to functions: bad.wave'],
+      [{ name: 'bad', actions: { nudge: {} } }, 'Plugin actions must map names to functions: bad.nudge']
+    ])('rejects %p', (plugin, message) => {
+      expect(() => PluginRegistry.register(plugin)).toThrow(message)
+      expect(PluginRegistry.list()).toEqual([])
+    })
+  })
+
+  it('collects the stage types of every plugin', () => {
+    PluginRegistry.register({ name: 'a', stages: { wave: () => {} } })
+    PluginRegistry.register({ name: 'b', stages: { pulse: () => {}, spin: () => {} } })
+
+    expect(PluginRegistry.getStageTypes()).toEqual(['wave', 'pulse', 'spin'])
+  })
+
+  describe('defaults', () => {
+    it('merges plugin defaults and adds an interactions entry for each action', () => {
+      PluginRegistry.register({ name: 'a', defaults: { trail: { length: 4 } } })
+      PluginRegistry.register({
+        name: 'b',
+        defaults: { trail: { fade: true }, interactions: { nudge: { radius: 30 } } },
+        actions: { nudge: () => {}, pull: () => {} }
+      })
+
+      expect(PluginRegistry.getDefaults()).toEqual({
+        trail: { length: 4, fade: true },
+        interactions: { nudge: { radius: 30 }, pull: {} }
+      })
+    })
+
+    it('lets the configuration win over plugin defaults without changing it', () => {
+      PluginRegistry.register({ name: 'a', defaults: { trail: { length: 4, fade: true } } })
+      const config = { trail: { length: 8 } }
+
+      expect(PluginRegistry.applyDefaults(config)).toEqual({ trail: { length: 8, fade: true } })
+      expect(config).toEqual({ trail: { length: 8 } })
+    })
+  })
+})
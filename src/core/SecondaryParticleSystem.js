@@ -1,18 +1,40 @@
-import { Utils, ResponsiveCalculator } from '../utils/index.js'
+import { Utils, ResponsiveCalculator, SpatialHash } from '../utils/index.js'
 
 import { ConfigMerger } from '../utils/ConfigMerger.js'
+import { ParticleStore } from './ParticleStore.js'
+
+/**
+ * Calculate a responsive particle radius
+ * @param {Object} config - Merged secondary configuration
+ * @param {ResponsiveCalculator} responsiveCalculator - Responsive calculator
+ * @returns {number} Radius in CSS pixels
+ */
+function particleRadius(config, responsiveCalculator) {
+  const baseSize = config.size?.value || 2
+  const responsiveSize = responsiveCalculator.calculateResponsiveSize(baseSize)
+  const randomFactor = config.size?.random ? Math.max(Math.random(), 0.5) : 1
+
+  return Math.round(randomFactor * responsiveSize)
+}
 
 /**
  * Secondary particle system for background/foreground effects
  */
 export class SecondaryParticleSystem {
-  constructor(config, canvas, responsiveCalculator) {
+  constructor(config, canvas, responsiveCalculator, surface = canvas) {
     this.config = config
     this.canvas = canvas
-    this.context = canvas.getContext('2d', { willReadFrequently: true })
+    this.surface = surface // Layout size in CSS pixels
+    this.context = canvas.getContext('2d')
     this.particles = []
+    // Secondary particles follow the primary particles.storage setting
+    this.store = config.particles?.storage === 'typed' ? new ParticleStore() : null
     this.responsiveCalculator = responsiveCalculator
+    this.spatialHash = new SpatialHash()
+    this.spatialHashStale = true
     this.mergedConfig = null
+    // Restless jitter and random drift are skipped while set; see setReducedMotion
+    this.reducedMotion = false
 
     if (config.secondary_particles?.enabled) {
       this.initializeSystem()
@@ -31,6 +53,17 @@ export class SecondaryParticleSystem {
     this.createSecondaryParticles()
   }
 
+  /**
+   * Replace all secondary particles, e.g. after the canvas, viewport or configuration changes
+   */
+  regenerateParticles() {
+    this.clearParticles()
+    this.store = this.config.particles?.storage === 'typed' ? this.store || new ParticleStore() : null
+    if (this.config.secondary_particles?.enabled) {
+      this.initializeSystem()
+    }
+  }
+
   /**
    * Create secondary particles based on placement mode
    */
@@ -55,25 +88,69 @@ export class SecondaryParticleSystem {
     }
   }
 
+  /**
+   * Add a particle at a position, as an object or into the typed-array store
+   * @param {number} x - X position
+   * @param {number} y - Y position
+   */
+  addParticle(x, y) {
+    if (!this.store) {
+      const particle = new SecondaryParticle(
+        x,
+        y,
+        this.surface,
+        this.mergedConfig,
+        this.responsiveCalculator
+      )
+      if (this.reducedMotion) {
+        particle.vx = 0
+        particle.vy = 0
+      }
+      this.particles.push(particle)
+      this.spatialHashStale = true
+      return
+    }
+
+    // Same starting properties as SecondaryParticle
+    const config = this.mergedConfig
+    const random = config.movement?.random
+    const speed = random?.speed || 0.1
+    const direction = Math.random() * 2 * Math.PI
+    const radius = particleRadius(config, this.responsiveCalculator)
+
+    this.store.add({
+      x,
+      y,
+      destX: x,
+      destY: y,
+      vx: random?.enabled && !this.reducedMotion ? Math.cos(direction) * speed : 0,
+      vy: random?.enabled && !this.reducedMotion ? Math.sin(direction) * speed : 0,
+      friction: Math.random() * 0.01 + 0.92,
+      color: config.color || '#ffffff',
+      radius,
+      targetRadius: radius,
+      restlessMax: Math.ceil(Math.random() * (config.movement?.restless?.value || 10)),
+      jitterX: Math.floor(Math.random() * 7) - 3,
+      jitterY: Math.floor(Math.random() * 7) - 3,
+      direction,
+      flags: ParticleStore.SECONDARY
+    })
+    this.spatialHashStale = true
+  }
+
   /**
    * Create grid-based particles
    */
   createGridParticles() {
     const spacing = this.config.secondary_particles.grid_spacing || 20
-    const cols = Math.floor(this.canvas.width / spacing)
-    const rows = Math.floor(this.canvas.height / spacing)
+    const cols = Math.floor(this.surface.width / spacing)
+    const rows = Math.floor(this.surface.height / spacing)
     
     for (let i = 0; i < cols; i++) {
       for (let j = 0; j < rows; j++) {
         const x = (i + 0.5) * spacing
         const y = (j + 0.5) * spacing
-        this.particles.push(new SecondaryParticle(
-          x,
-          y,
-          this.canvas,
-          this.mergedConfig,
-          this.responsiveCalculator
-        ))
+        this.addParticle(x, y)
       }
     }
   }
@@ -88,9 +165,10 @@ export class SecondaryParticleSystem {
     const particleMultiplier = this.config.secondary_particles.particle_multiplier || 0.075
     const margin = this.config.secondary_particles.random_margin || 50
     const minSpacing = 10
+    const placed = new SpatialHash(minSpacing)
     
     const particleCount = Math.floor(
-      density * (this.canvas.width * this.canvas.height) / 10000 * particleMultiplier
+      density * (this.surface.width * this.surface.height) / 10000 * particleMultiplier
     )
     
     for (let i = 0; i < particleCount; i++) {
@@ -99,9 +177,9 @@ export class SecondaryParticleSystem {
       
       // Try to place particle without overlap
       do {
-        const centerX = this.canvas.width / 2
-        const centerY = this.canvas.height / 2
-        const maxRadius = (Math.min(this.canvas.width, this.canvas.height) * 
+        const centerX = this.surface.width / 2
+        const centerY = this.surface.height / 2
+        const maxRadius = (Math.min(this.surface.width, this.surface.height) * 
                          (this.config.secondary_particles.placement_radius_percentage || 100)) / 200
         
         const angle = Math.random() * 2 * Math.PI
@@ -109,16 +187,11 @@ export class SecondaryParticleSystem {
         x = centerX + Math.cos(angle) * distance
         y = centerY + Math.sin(angle) * distance
         attempts++
-      } while (attempts < 50 && Utils.hasOverlap(x, y, this.particles, minSpacing))
+      } while (attempts < 50 && Utils.hasOverlap(x, y, placed, minSpacing))
       
       if (attempts < 50) {
-        this.particles.push(new SecondaryParticle(
-          x,
-          y,
-          this.canvas,
-          this.mergedConfig,
-          this.responsiveCalculator
-        ))
+        placed.insert(i, x, y)
+        this.addParticle(x, y)
       }
     }
   }
@@ -133,14 +206,15 @@ export class SecondaryParticleSystem {
     const particleMultiplier = this.config.secondary_particles.particle_multiplier || 0.075
     const bufferPercent = (this.config.secondary_particles.placement_image_buffer || 20) / 100
     const minSpacing = 10
+    const placed = new SpatialHash(minSpacing)
     
     // Calculate elliptical bounds (would need image dimensions here)
-    const canvasCenterX = this.canvas.width / 2
-    const canvasCenterY = this.canvas.height / 2
-    const baseRadius = Math.min(this.canvas.width, this.canvas.height) / 2 * (1 + bufferPercent)
+    const canvasCenterX = this.surface.width / 2
+    const canvasCenterY = this.surface.height / 2
+    const baseRadius = Math.min(this.surface.width, this.surface.height) / 2 * (1 + bufferPercent)
     
     const particleCount = Math.floor(
-      density * (this.canvas.width * this.canvas.height) / 10000 * particleMultiplier
+      density * (this.surface.width * this.surface.height) / 10000 * particleMultiplier
     )
     
     for (let i = 0; i < particleCount; i++) {
@@ -153,16 +227,11 @@ export class SecondaryParticleSystem {
         x = canvasCenterX + Math.cos(angle) * baseRadius * Math.sqrt(normalizedRadius)
         y = canvasCenterY + Math.sin(angle) * baseRadius * Math.sqrt(normalizedRadius)
         attempts++
-      } while (attempts < 50 && Utils.hasOverlap(x, y, this.particles, minSpacing))
+      } while (attempts < 50 && Utils.hasOverlap(x, y, placed, minSpacing))
       
       if (attempts < 50) {
-        this.particles.push(new SecondaryParticle(
-          x,
-          y,
-          this.canvas,
-          this.mergedConfig,
-          this.responsiveCalculator
-        ))
+        placed.insert(i, x, y)
+        this.addParticle(x, y)
       }
     }
   }
@@ -171,35 +240,233 @@ export class SecondaryParticleSystem {
    * Update all secondary particles
    */
   updateParticles(interactionManager = null, interactionState = null) {
-    if (!this.particles.length) return
+    if (!this.getParticleCount()) return
+
+    if (this.store) {
+      this.updateStoredParticles(interactionManager, interactionState)
+      return
+    }
 
     for (const particle of this.particles) {
-      particle.update()
+      particle.prevX = particle.x
+      particle.prevY = particle.y
+      particle.update(this.reducedMotion)
+    }
+    this.spatialHashStale = true
+
+    if (interactionManager) {
+      interactionManager.applySecondaryInteractions(this, interactionState)
+    }
+  }
+
+  /**
+   * Update particles held in the typed-array store; mirrors SecondaryParticle.update
+   * @param {InteractionManager|null} interactionManager - Interaction manager
+   * @param {Object|null} interactionState - Cached interaction state
+   */
+  updateStoredParticles(interactionManager, interactionState) {
+    const store = this.store
+    const movement = this.mergedConfig?.movement
+    const restless = !this.reducedMotion && movement?.restless?.enabled
+    const randomEnabled = !this.reducedMotion && (movement?.random?.enabled || false)
+    const speed = movement?.random?.speed || 0.1
+    const now = performance.now()
+
+    for (let i = 0; i < store.count; i++) {
+      store.prevX[i] = store.x[i]
+      store.prevY[i] = store.y[i]
+
+      if (store.flags[i] & ParticleStore.MORPHING) {
+        this.updateStoredMorph(i, now)
+        continue
+      }
+
+      if (restless && !(store.flags[i] & ParticleStore.RESTLESS) && Math.random() < 0.02) {
+        store.setFlag(i, ParticleStore.RESTLESS, true)
+      }
+
+      // Handle scatter behavior
+      if (store.flags[i] & ParticleStore.SCATTERED) {
+        this.updateStoredScatter(i, randomEnabled)
+        continue
+      }
+
+      if (randomEnabled) {
+        // Smoothly blend towards the target velocity, then apply friction
+        store.vx[i] = (store.vx[i] * 0.9 + Math.cos(store.direction[i]) * speed * 0.1) * store.friction[i]
+        store.vy[i] = (store.vy[i] * 0.9 + Math.sin(store.direction[i]) * speed * 0.1) * store.friction[i]
+        store.x[i] += store.vx[i]
+        store.y[i] += store.vy[i]
+        this.bounceStoredParticle(i)
+      }
+
+      if (restless && store.flags[i] & ParticleStore.RESTLESS) {
+        store.x[i] += store.jitterX[i]
+        store.y[i] += store.jitterY[i]
+        const distance = Math.sqrt((store.destX[i] - store.x[i]) ** 2 + (store.destY[i] - store.y[i]) ** 2)
+        if (distance >= store.restlessMax[i]) {
+          store.setFlag(i, ParticleStore.RESTLESS, false)
+        }
+      } else if (!randomEnabled) {
+        // Apply friction when no random movement
+        store.vx[i] *= store.friction[i]
+        store.vy[i] *= store.friction[i]
+        store.x[i] += store.vx[i]
+        store.y[i] += store.vy[i]
+      }
+
+      // Smooth size transitions
+      if (Math.abs(store.radius[i] - store.targetRadius[i]) > 0.1) {
+        store.radius[i] += (store.targetRadius[i] - store.radius[i]) * 0.1
+      }
+    }
+
+    this.spatialHashStale = true
+
+    if (interactionManager) {
+      interactionManager.applySecondaryInteractions(this, interactionState)
+    }
+  }
+
+  /**
+   * Advance the timed move of a stored particle; mirrors SecondaryParticle.updateMorph
+   * @param {number} i - Store index
+   * @param {number} now - Current time in milliseconds
+   */
+  updateStoredMorph(i, now) {
+    const store = this.store
+    if (now < store.morphStart[i]) {
+      store.vx[i] *= store.friction[i]
+      store.vy[i] *= store.friction[i]
+      store.x[i] += store.vx[i]
+      store.y[i] += store.vy[i]
+      store.morphFromX[i] = store.x[i]
+      store.morphFromY[i] = store.y[i]
+      return
+    }
+
+    const duration = store.morphDuration[i]
+    const progress = duration > 0 ? Math.min((now - store.morphStart[i]) / duration, 1) : 1
+    const eased = store.easings[store.morphEasing[i]](progress)
+    store.x[i] = store.morphFromX[i] + (store.destX[i] - store.morphFromX[i]) * eased
+    store.y[i] = store.morphFromY[i] + (store.destY[i] - store.morphFromY[i]) * eased
+
+    if (progress >= 1) {
+      store.setFlag(i, ParticleStore.MORPHING, false)
+      store.vx[i] = 0
+      store.vy[i] = 0
+    }
+  }
+
+  /**
+   * Move a scattered stored particle; mirrors SecondaryParticle.updateScatterMovement
+   * @param {number} i - Store index
+   * @param {boolean} randomEnabled - Whether random movement is enabled
+   */
+  updateStoredScatter(i, randomEnabled) {
+    const store = this.store
+    store.accX[i] = (store.destX[i] - store.x[i]) / 500
+    store.accY[i] = (store.destY[i] - store.y[i]) / 500
+    store.vx[i] = (store.vx[i] + store.accX[i]) * store.friction[i]
+    store.vy[i] = (store.vy[i] + store.accY[i]) * store.friction[i]
+    store.x[i] += store.vx[i]
+    store.y[i] += store.vy[i]
 
-      if (interactionManager) {
-        interactionManager.applySecondaryInteraction(particle, interactionState)
+    // Check if particle has slowed down enough to transition
+    if (Math.sqrt(store.vx[i] * store.vx[i] + store.vy[i] * store.vy[i]) < 0.1) {
+      store.setFlag(i, ParticleStore.SCATTERED, false)
+      store.friction[i] = Math.random() * 0.01 + 0.92
+      if (randomEnabled) {
+        store.direction[i] = Math.random() * 2 * Math.PI
       }
     }
   }
 
+  /**
+   * Keep a randomly moving stored particle on the canvas; mirrors
+   * SecondaryParticle.handleBoundaryCollision
+   * @param {number} i - Store index
+   */
+  bounceStoredParticle(i) {
+    const store = this.store
+    const radius = store.radius[i]
+
+    if (store.x[i] < radius) {
+      store.x[i] = radius
+      store.direction[i] = Math.PI - store.direction[i]
+    }
+    if (store.x[i] > this.surface.width - radius) {
+      store.x[i] = this.surface.width - radius
+      store.direction[i] = Math.PI - store.direction[i]
+    }
+    if (store.y[i] < radius) {
+      store.y[i] = radius
+      store.direction[i] = -store.direction[i]
+    }
+    if (store.y[i] > this.surface.height - radius) {
+      store.y[i] = this.surface.height - radius
+      store.direction[i] = -store.direction[i]
+    }
+  }
+
   /**
    * Render all secondary particles
    * @param {number} opacity - Global opacity multiplier
    */
   renderParticles(opacity = 1.0) {
-    if (!this.particles.length) return
+    if (!this.getParticleCount()) return
 
-    for (const particle of this.particles) {
+    for (const particle of this.getParticles()) {
       particle.render(this.context, opacity)
     }
   }
 
   /**
-   * Get all particles
+   * Get all particles. With typed storage these are views onto the store.
    * @returns {Array} Array of secondary particles
    */
   getParticles() {
-    return this.particles
+    return this.store ? this.store.toArray() : this.particles
+  }
+
+  /**
+   * Get the typed-array particle store
+   * @returns {ParticleStore|null} Store, or null when particles are objects
+   */
+  getStore() {
+    return this.store
+  }
+
+  /**
+   * Get a spatial hash of current particle positions, rebuilt at most once per update.
+   * Items are particles, or store indices with typed storage.
+   * @returns {SpatialHash} Spatial hash
+   */
+  getSpatialHash() {
+    if (this.spatialHashStale) {
+      this.spatialHash.rebuild(this.store || this.particles)
+      this.spatialHashStale = false
+    }
+    return this.spatialHash
+  }
+
+  /**
+   * Reduce motion: skip restless jitter and random drift, whatever the configuration says
+   * @param {boolean} enabled - Whether motion is reduced
+   */
+  setReducedMotion(enabled) {
+    this.reducedMotion = enabled
+    if (!enabled) return
+
+    // Stop drift already under way
+    if (this.store) {
+      this.store.vx.fill(0)
+      this.store.vy.fill(0)
+    }
+    this.particles.forEach(particle => {
+      particle.vx = 0
+      particle.vy = 0
+    })
   }
 
   /**
@@ -207,6 +474,8 @@ export class SecondaryParticleSystem {
    */
   clearParticles() {
     this.particles = []
+    this.store?.clear()
+    this.spatialHashStale = true
   }
 
   /**
@@ -214,7 +483,7 @@ export class SecondaryParticleSystem {
    * @returns {number} Number of particles
    */
   getParticleCount() {
-    return this.particles.length
+    return this.store ? this.store.count : this.particles.length
   }
 }
 
@@ -222,10 +491,12 @@ export class SecondaryParticleSystem {
  * Individual secondary particle class
  */
 class SecondaryParticle {
-  constructor(x, y, canvas, config, responsiveCalculator) {
+  constructor(x, y, surface, config, responsiveCalculator) {
     this.x = x
     this.y = y
-    this.canvas = canvas
+    this.prevX = x
+    this.prevY = y
+    this.surface = surface
     this.destX = x  // Secondary particles don't move to a destination
     this.destY = y
     this.config = config
@@ -242,6 +513,8 @@ class SecondaryParticle {
     this.color = config.color || '#ffffff'
     this.radius = this.calculateRadius()
     this.targetRadius = this.radius
+    this.fade = 1.0 // Dissolve opacity, set by FadeEffect
+    this.fadeOrder = 0
     this.isSecondary = true
 
     // Movement properties
@@ -267,24 +540,31 @@ class SecondaryParticle {
 
     this.isScattered = false
     this.scatterOriginal = null
+
+    // Timed move state, set by startMorph
+    this.morph = null
   }
 
   /**
    * Calculate responsive particle radius
    */
   calculateRadius() {
-    const baseSize = this.config.size?.value || 2
-    const responsiveSize = this.responsiveCalculator.calculateResponsiveSize(baseSize)
-    const randomFactor = this.config.size?.random ? Math.max(Math.random(), 0.5) : 1
-    
-    return Math.round(randomFactor * responsiveSize)
+    return particleRadius(this.config, this.responsiveCalculator)
   }
 
   /**
    * Update particle physics and position
+   * @param {boolean} reducedMotion - Skip restless jitter and random drift
    */
-  update() {
-    if (this.config.movement?.restless?.enabled && !this.restlessness.onCurrFrame) {
+  update(reducedMotion = false) {
+    if (this.morph) {
+      this.updateMorph()
+      return
+    }
+
+    const restless = !reducedMotion && this.config.movement?.restless?.enabled
+    const random = !reducedMotion && this.randomMovement.enabled
+    if (restless && !this.restlessness.onCurrFrame) {
       if (Math.random() < 0.02) {
         this.restlessness.onCurrFrame = true
       }
@@ -297,14 +577,14 @@ class SecondaryParticle {
     }
 
     // Apply random movement if enabled
-    if (this.randomMovement.enabled) {
+    if (random) {
       this.updateRandomMovement()
     }
 
     // Apply restless movement if enabled
-    if (this.config.movement?.restless?.enabled && this.restlessness.onCurrFrame) {
+    if (restless && this.restlessness.onCurrFrame) {
       this.applyRestlessMovement()
-    } else if (!this.randomMovement.enabled) {
+    } else if (!random) {
       // Apply friction when no random movement
       this.vx *= this.friction
       this.vy *= this.friction
@@ -344,6 +624,47 @@ class SecondaryParticle {
     }
   }
 
+  /**
+   * Start a timed move to a new destination
+   * @param {number} toX - New destination X
+   * @param {number} toY - New destination Y
+   * @param {Object} timing - {startTime, duration, easing}
+   */
+  startMorph(toX, toY, timing) {
+    this.morph = { fromX: this.x, fromY: this.y, ...timing }
+    this.destX = toX
+    this.destY = toY
+  }
+
+  /**
+   * Advance the timed move; until its start time the particle drifts and the
+   * move then leaves from wherever it is
+   */
+  updateMorph() {
+    const morph = this.morph
+    const now = performance.now()
+    if (now < morph.startTime) {
+      this.vx *= this.friction
+      this.vy *= this.friction
+      this.x += this.vx
+      this.y += this.vy
+      morph.fromX = this.x
+      morph.fromY = this.y
+      return
+    }
+
+    const progress = morph.duration > 0 ? Math.min((now - morph.startTime) / morph.duration, 1) : 1
+    const eased = morph.easing(progress)
+    this.x = morph.fromX + (this.destX - morph.fromX) * eased
+    this.y = morph.fromY + (this.destY - morph.fromY) * eased
+
+    if (progress >= 1) {
+      this.morph = null
+      this.vx = 0
+      this.vy = 0
+    }
+  }
+
   /**
    * Update random movement
    */
@@ -376,16 +697,16 @@ class SecondaryParticle {
       this.x = this.radius
       this.randomMovement.currentDirection = Math.PI - this.randomMovement.currentDirection
     }
-    if (this.x > this.canvas.width - this.radius) {
-      this.x = this.canvas.width - this.radius
+    if (this.x > this.surface.width - this.radius) {
+      this.x = this.surface.width - this.radius
       this.randomMovement.currentDirection = Math.PI - this.randomMovement.currentDirection
     }
     if (this.y < this.radius) {
       this.y = this.radius
       this.randomMovement.currentDirection = -this.randomMovement.currentDirection
     }
-    if (this.y > this.canvas.height - this.radius) {
-      this.y = this.canvas.height - this.radius
+    if (this.y > this.surface.height - this.radius) {
+      this.y = this.surface.height - this.radius
       this.randomMovement.currentDirection = -this.randomMovement.currentDirection
     }
   }
@@ -410,7 +731,7 @@ class SecondaryParticle {
    */
   render(context, globalOpacity = 1.0) {
     context.fillStyle = this.color
-    context.globalAlpha = globalOpacity
+    context.globalAlpha = globalOpacity * this.fade
     context.beginPath()
     context.arc(this.x, this.y, this.radius, 0, Math.PI * 2, false)
     context.fill()
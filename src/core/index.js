@@ -1,3 +1,6 @@
 export { CoreParticleSystem } from './CoreParticleSystem.js'
 export { SecondaryParticleSystem } from './SecondaryParticleSystem.js'
-export { AnimationSystem } from './AnimationSystem.js'
\ No newline at end of file
+export { AnimationSystem } from './AnimationSystem.js'
+export { ParticleStore } from './ParticleStore.js'
+export { FlowEngine } from './FlowEngine.js'
+export { PluginRegistry } from './PluginRegistry.js'
\ No newline at end of file
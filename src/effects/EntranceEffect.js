@@ -0,0 +1,373 @@
+import { Utils } from '../utils/Utils.js'
+import { Easing } from '../utils/Easing.js'
+
+// Sweep directions -> side of the canvas particles enter from
+const SWEEP_SIDES = {
+  left_to_right: 'left',
+  right_to_left: 'right',
+  top_down: 'top',
+  bottom_up: 'bottom'
+}
+
+// Distance outside the canvas that off-screen starts are placed at
+const MARGIN = 20
+
+/**
+ * Entrance effect - brings particles in from a pattern of start positions
+ * to their destinations, staggered in a chosen order
+ */
+export class EntranceEffect {
+  /**
+   * @param {Object} config - Full configuration; reads particles.entrance
+   * @param {EventEmitter|null} events - Instance event emitter
+   * @param {Object} surface - Canvas layout size {width, height}
+   */
+  constructor(config, events = null, surface = { width: 0, height: 0 }) {
+    this.config = config?.particles?.entrance || {}
+    // The older start_scrambled flag is the scramble pattern
+    this.scrambled = config?.particles?.start_scrambled === true
+    this.events = events
+    this.surface = surface
+    this.groups = []
+    this.pattern = 'none'
+    this.startTime = null
+    this.total = 0
+    this.active = false
+  }
+
+  /**
+   * Get the pattern an entrance would use
+   * @param {Object} options - Overrides for particles.entrance
+   * @returns {string} Pattern name, 'none' if particles start in place
+   */
+  getPattern(options = {}) {
+    return options.pattern || (this.config.pattern !== 'none' && this.config.pattern) ||
+      (this.scrambled ? 'scramble' : 'none')
+  }
+
+  /**
+   * Move particles to their start positions and begin assembling them
+   * @param {Array} targets - Particles and ParticleStores
+   * @param {Object} options - Overrides for particles.entrance {pattern, order, duration_ms, stagger_ms, easing, direction, origin, turns}
+   * @returns {number} Milliseconds until the last particle arrives
+   */
+  start(targets, options = {}) {
+    const settings = { ...this.config, ...options }
+    // A new entrance takes over silently; waiters on the old one resolve when it settles
+    this.stop()
+    this.pattern = this.getPattern(options)
+
+    const count = targets.reduce((sum, target) => sum + (target.isParticleStore ? target.count : 1), 0)
+    if (this.pattern === 'none' || count === 0) {
+      this.finish(0, count)
+      return 0
+    }
+
+    const duration = Math.max(0, settings.duration_ms ?? 1200)
+    const stagger = Math.max(0, settings.stagger_ms ?? 0)
+    this.settings = {
+      duration,
+      easing: Easing.get(settings.easing || 'easeOutCubic'),
+      turns: settings.turns ?? 1
+    }
+
+    const layout = this.measure(targets, settings)
+    const startAt = this.getStartPosition(this.pattern, settings, layout)
+    const orderOf = this.getOrder(settings.order || 'distance', layout)
+
+    this.groups = []
+    const objects = { particles: [], startX: [], startY: [], delay: [] }
+    for (const target of targets) {
+      if (!target.isParticleStore) {
+        const [x, y] = startAt(target.destX, target.destY)
+        objects.particles.push(target)
+        objects.startX.push(x)
+        objects.startY.push(y)
+        objects.delay.push(orderOf(target.destX, target.destY, x, y))
+        continue
+      }
+
+      const group = {
+        store: target,
+        startX: new Float32Array(target.count),
+        startY: new Float32Array(target.count),
+        delay: new Float32Array(target.count)
+      }
+      for (let i = 0; i < target.count; i++) {
+        const [x, y] = startAt(target.destX[i], target.destY[i])
+        group.startX[i] = x
+        group.startY[i] = y
+        group.delay[i] = orderOf(target.destX[i], target.destY[i], x, y)
+      }
+      this.groups.push(group)
+    }
+    if (objects.particles.length > 0) {
+      this.groups.push(objects)
+    }
+
+    // Orders are relative until now; spread them over the stagger window
+    const maxOrder = Math.max(...this.groups.map(group => group.delay.reduce((max, value) => Math.max(max, value), 0)), 0)
+    const scale = maxOrder > 0 ? stagger / maxOrder : 0
+    this.groups.forEach(group => {
+      for (let i = 0; i < group.delay.length; i++) {
+        group.delay[i] *= scale
+      }
+    })
+
+    this.center = layout.center
+    this.particleCount = count
+    this.startTime = performance.now()
+    this.total = duration + stagger
+    this.active = true
+    this.apply(0, true)
+    return this.total
+  }
+
+  /**
+   * Measure the particle destinations and the area entrances start from
+   * @param {Array} targets - Particles and ParticleStores
+   * @param {Object} settings - Entrance settings
+   * @returns {Object} {minX, minY, maxX, maxY, center, area, origin}
+   */
+  measure(targets, settings) {
+    let minX = Infinity
+    let minY = Infinity
+    let maxX = -Infinity
+    let maxY = -Infinity
+    const include = (x, y) => {
+      minX = Math.min(minX, x)
+      minY = Math.min(minY, y)
+      maxX = Math.max(maxX, x)
+      maxY = Math.max(maxY, y)
+    }
+    for (const target of targets) {
+      if (target.isParticleStore) {
+        for (let i = 0; i < target.count; i++) {
+          include(target.destX[i], target.destY[i])
+        }
+      } else {
+        include(target.destX, target.destY)
+      }
+    }
+
+    // The canvas, grown to cover any particles placed outside it
+    const area = {
+      left: Math.min(0, minX),
+      top: Math.min(0, minY),
+      right: Math.max(this.surface.width || 0, maxX),
+      bottom: Math.max(this.surface.height || 0, maxY)
+    }
+    const center = { x: (minX + maxX) / 2, y: (minY + maxY) / 2 }
+    const origin = settings.origin ?? (this.surface.width
+      ? { x: this.surface.width / 2, y: this.surface.height / 2 }
+      : center)
+
+    return { minX, minY, maxX, maxY, center, area, origin }
+  }
+
+  /**
+   * Create the start position function for a pattern
+   * @param {string} pattern - Pattern name
+   * @param {Object} settings - Entrance settings
+   * @param {Object} layout - Result of measure()
+   * @returns {Function} (destX, destY) => [x, y]
+   */
+  getStartPosition(pattern, settings, layout) {
+    const { area, center, origin } = layout
+    const width = area.right - area.left
+    const height = area.bottom - area.top
+
+    switch (pattern) {
+      case 'scramble':
+        return () => [area.left + Math.random() * width, area.top + Math.random() * height]
+      case 'edges':
+        // Straight in from the nearest edge of the canvas
+        return (x, y) => {
+          const gaps = [x - area.left, area.right - x, y - area.top, area.bottom - y]
+          const side = gaps.indexOf(Math.min(...gaps))
+          return [
+            [area.left - MARGIN, area.right + MARGIN, x, x][side],
+            [y, y, area.top - MARGIN, area.bottom + MARGIN][side]
+          ]
+        }
+      case 'spiral': {
+        // Starts on a circle around the whole canvas; apply() winds the path in
+        const radius = Math.hypot(width, height) / 2 + MARGIN
+        return (x, y) => {
+          const angle = Math.atan2(y - center.y, x - center.x)
+          return [center.x + Math.cos(angle) * radius, center.y + Math.sin(angle) * radius]
+        }
+      }
+      case 'implode':
+        return () => [center.x, center.y]
+      case 'rain':
+        return x => [x, area.top - MARGIN - Math.random() * height / 2]
+      case 'sweep': {
+        const side = SWEEP_SIDES[settings.direction] || 'left'
+        const offset = size => MARGIN + Math.random() * size / 4
+        if (side === 'left' || side === 'right') {
+          return (x, y) => [side === 'left' ? area.left - offset(width) : area.right + offset(width), y]
+        }
+        return x => [x, side === 'top' ? area.top - offset(height) : area.bottom + offset(height)]
+      }
+      case 'pointer':
+        return () => [origin.x, origin.y]
+      default:
+        console.warn('Unknown entrance pattern:', pattern)
+        return (x, y) => [x, y]
+    }
+  }
+
+  /**
+   * Create the stagger order function
+   * @param {string} order - 'distance', 'row' or 'random'
+   * @param {Object} layout - Result of measure()
+   * @returns {Function} (destX, destY, startX, startY) => relative start delay
+   */
+  getOrder(order, layout) {
+    switch (order) {
+      case 'row':
+        return (x, y) => y - layout.minY
+      case 'random':
+        return () => Math.random()
+      case 'distance':
+        // Particles with the shortest trip leave first
+        return (x, y, startX, startY) => Math.hypot(x - startX, y - startY)
+      default:
+        console.warn('Unknown entrance order:', order)
+        return () => 0
+    }
+  }
+
+  /**
+   * Place particles for a point in time
+   * @param {number} elapsed - Milliseconds since the entrance started
+   * @param {boolean} snap - Also move the previous position, so nothing is drawn between the old and new place
+   */
+  apply(elapsed, snap = false) {
+    const { duration, easing, turns } = this.settings
+    const spiral = this.pattern === 'spiral'
+    const center = this.center
+
+    const place = (destX, destY, startX, startY, delay) => {
+      const progress = duration > 0 ? Utils.clamp((elapsed - delay) / duration, 0, 1) : 1
+      const eased = easing(progress)
+      if (spiral) {
+        // Interpolate radius and angle so the path winds in around the center
+        const fromRadius = Math.hypot(startX - center.x, startY - center.y)
+        const toRadius = Math.hypot(destX - center.x, destY - center.y)
+        const radius = fromRadius + (toRadius - fromRadius) * eased
+        const angle = Math.atan2(destY - center.y, destX - center.x) + (1 - eased) * turns * Math.PI * 2
+        return [center.x + Math.cos(angle) * radius, center.y + Math.sin(angle) * radius]
+      }
+      return [startX + (destX - startX) * eased, startY + (destY - startY) * eased]
+    }
+
+    for (const group of this.groups) {
+      const store = group.store
+      if (store) {
+        const count = Math.min(store.count, group.delay.length)
+        for (let i = 0; i < count; i++) {
+          const [x, y] = place(store.destX[i], store.destY[i], group.startX[i], group.startY[i], group.delay[i])
+          store.x[i] = x
+          store.y[i] = y
+          store.vx[i] = 0
+          store.vy[i] = 0
+          if (snap) {
+            store.prevX[i] = x
+            store.prevY[i] = y
+          }
+        }
+        continue
+      }
+
+      group.particles.forEach((particle, i) => {
+        const [x, y] = place(particle.destX, particle.destY, group.startX[i], group.startY[i], group.delay[i])
+        particle.x = x
+        particle.y = y
+        particle.vx = 0
+        particle.vy = 0
+        if (snap) {
+          particle.prevX = x
+          particle.prevY = y
+        }
+      })
+    }
+  }
+
+  /**
+   * Advance the entrance; particle physics has already run this step
+   */
+  update() {
+    if (!this.active) {
+      return
+    }
+
+    const elapsed = performance.now() - this.startTime
+    this.apply(Math.min(elapsed, this.total))
+
+    if (elapsed >= this.total) {
+      this.groups = []
+      this.active = false
+      this.finish(this.total, this.particleCount)
+    }
+  }
+
+  /**
+   * Announce that the particles have settled
+   * @param {number} duration - Entrance length in ms
+   * @param {number} particleCount - Particles assembled
+   */
+  finish(duration, particleCount, cancelled = false) {
+    this.events?.emit('assembled', {
+      timestamp: performance.now(),
+      pattern: this.pattern,
+      duration,
+      particleCount,
+      cancelled
+    })
+  }
+
+  /**
+   * Check if an entrance is in progress
+   * @returns {boolean} True while particles are assembling
+   */
+  isActive() {
+    return this.active
+  }
+
+  /**
+   * Stop the entrance, leaving particles to settle through normal physics.
+   * A running entrance still emits assembled, marked cancelled, so nothing waits on it forever
+   */
+  cancel() {
+    if (!this.active) {
+      return
+    }
+
+    const elapsed = Math.min(performance.now() - this.startTime, this.total)
+    this.stop()
+    this.finish(elapsed, this.particleCount, true)
+  }
+
+  /**
+   * Drop the running entrance without announcing it
+   */
+  stop() {
+    this.groups = []
+    this.active = false
+  }
+
+  /**
+   * Update entrance configuration
+   * @param {Object} newConfig - New configuration
+   */
+  updateConfig(newConfig) {
+    this.config = { ...this.config, ...newConfig?.particles?.entrance }
+    if (newConfig?.particles?.start_scrambled !== undefined) {
+      this.scrambled = newConfig.particles.start_scrambled === true
+    }
+  }
+}
+
+export default EntranceEffect
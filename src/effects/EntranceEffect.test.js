@@ -0,0 +1,108 @@
+import { EntranceEffect } from './EntranceEffect.js'
+import { EventEmitter } from '../utils/EventEmitter.js'
+
+const particle = (x, y) => ({ x, y, destX: x, destY: y, prevX: x, prevY: y, vx: 1, vy: 1 })
+
+function createEntrance(entrance = {}) {
+  const events = new EventEmitter()
+  const assembled = []
+  events.on('assembled', detail => assembled.push(detail))
+  const effect = new EntranceEffect({ particles: { entrance } }, events, { width: 200, height: 100 })
+  return { effect, assembled }
+}
+
+describe('EntranceEffect', () => {
+  let now
+
+  beforeEach(() => {
+    now = 1000
+    jest.spyOn(performance, 'now').mockImplementation(() => now)
+  })
+
+  afterEach(() => {
+    performance.now.mockRestore()
+  })
+
+  it('moves particles to the pattern start, then to their destinations', () => {
+    const { effect, assembled } = createEntrance({ duration_ms: 100 })
+    const particles = [particle(50, 50), particle(150, 20)]
+
+    expect(effect.start(particles, { pattern: 'implode' })).toBe(100)
+    // Implode starts everything at the center of the destinations
+    expect(particles.map(p => [p.x, p.y])).toEqual([[100, 35], [100, 35]])
+    expect(particles[0].prevX).toBe(100)
+
+    now += 100
+    effect.update()
+
+    expect(particles.map(p => [p.x, p.y])).toEqual([[50, 50], [150, 20]])
+    expect(effect.isActive()).toBe(false)
+    expect(assembled).toEqual([expect.objectContaining({ pattern: 'implode', duration: 100, particleCount: 2, cancelled: false })])
+  })
+
+  it('staggers particles in order of distance', () => {
+    const { effect } = createEntrance({ duration_ms: 100, stagger_ms: 100 })
+    const near = particle(110, 35)
+    const far = particle(190, 35)
+
+    const origin = { x: 100, y: 35 }
+    expect(effect.start([far, near], { pattern: 'pointer', origin, easing: 'linear' })).toBe(200)
+    now += 100
+    effect.update()
+
+    // The farthest particle leaves after the whole stagger window
+    expect(near.x).toBeGreaterThan(108)
+    expect(far.x).toBe(100)
+  })
+
+  it('finishes at once without a pattern', () => {
+    const { effect, assembled } = createEntrance()
+
+    expect(effect.start([particle(1, 1)])).toBe(0)
+    expect(effect.isActive()).toBe(false)
+    expect(assembled).toHaveLength(1)
+  })
+
+  it('starts the scramble pattern for start_scrambled', () => {
+    const effect = new EntranceEffect({ particles: { start_scrambled: true } })
+
+    expect(effect.getPattern()).toBe('scramble')
+    expect(effect.getPattern({ pattern: 'rain' })).toBe('rain')
+  })
+
+  it('announces a cancelled entrance', () => {
+    const { effect, assembled } = createEntrance({ duration_ms: 100 })
+    effect.start([particle(50, 50)], { pattern: 'edges' })
+
+    now += 40
+    effect.cancel()
+    effect.cancel()
+
+    expect(effect.isActive()).toBe(false)
+    expect(assembled).toEqual([expect.objectContaining({ pattern: 'edges', duration: 40, cancelled: true })])
+  })
+
+  it('replaces a running entrance without announcing it', () => {
+    const { effect, assembled } = createEntrance({ duration_ms: 100 })
+    effect.start([particle(50, 50)], { pattern: 'edges' })
+    effect.start([particle(50, 50)], { pattern: 'rain' })
+
+    expect(assembled).toEqual([])
+    now += 100
+    effect.update()
+    expect(assembled).toEqual([expect.objectContaining({ pattern: 'rain', cancelled: false })])
+  })
+
+  it('reads typed-array stores', () => {
+    const { ParticleStore } = jest.requireActual('../core/ParticleStore.js')
+    const store = new ParticleStore(4)
+    store.add({ x: 10, y: 10, destX: 10, destY: 10 })
+    const { effect } = createEntrance({ duration_ms: 50 })
+
+    effect.start([store], { pattern: 'implode' })
+    now += 50
+    effect.update()
+
+    expect([store.x[0], store.y[0]]).toEqual([10, 10])
+  })
+})
@@ -1,11 +1,47 @@
+import { Easing } from '../utils/Easing.js'
+
+// Wipe directions -> unit vector the fade travels along
+const WIPE_DIRECTIONS = {
+  left_to_right: [1, 0],
+  right_to_left: [-1, 0],
+  top_down: [0, 1],
+  bottom_up: [0, -1]
+}
+
+/**
+ * Smooth 2D value noise in the range 0-1
+ * @param {number} x - Sample X
+ * @param {number} y - Sample Y
+ * @returns {number} Noise value
+ */
+function valueNoise(x, y) {
+  const hash = (ix, iy) => {
+    const h = Math.sin(ix * 127.1 + iy * 311.7) * 43758.5453
+    return h - Math.floor(h)
+  }
+  const x0 = Math.floor(x)
+  const y0 = Math.floor(y)
+  const sx = (x - x0) * (x - x0) * (3 - 2 * (x - x0))
+  const sy = (y - y0) * (y - y0) * (3 - 2 * (y - y0))
+  const top = hash(x0, y0) + (hash(x0 + 1, y0) - hash(x0, y0)) * sx
+  const bottom = hash(x0, y0 + 1) + (hash(x0 + 1, y0 + 1) - hash(x0, y0 + 1)) * sx
+  return top + (bottom - top) * sy
+}
+
 /**
- * Fade effect for particles - gradual opacity transitions
+ * Fade effect for particles - opacity transitions in and out, either for the
+ * whole image at once or dissolving particle by particle in a pattern
  */
 export class FadeEffect {
-  constructor(config) {
-    this.config = config?.fade_out || {}
+  constructor(config, events = null) {
+    this.config = config?.particles?.fade_out || {}
+    this.inConfig = config?.particles?.fade_in || {}
+    this.events = events
     this.enabled = this.config.enabled || false
     this.duration = this.config.duration_ms || 1000
+    this.direction = 'out' // 'out' or 'in'
+    this.settings = null
+    this.targets = []
     this.startTime = null
     this.opacity = 1.0
     this.active = false
@@ -13,34 +49,183 @@ export class FadeEffect {
 
   /**
    * Start fade out effect
+   * @param {Array} targets - Particles and ParticleStores to dissolve
+   * @param {Object} options - Overrides for particles.fade_out
    */
-  startFadeOut() {
+  startFadeOut(targets = [], options = {}) {
     if (!this.enabled) {
       return
     }
-    
+
+    this.start('out', targets, { ...this.config, ...options })
+  }
+
+  /**
+   * Start fade in effect; particles are hidden immediately and appear over the duration
+   * @param {Array} targets - Particles and ParticleStores to reveal
+   * @param {Object} options - Overrides for particles.fade_in
+   */
+  startFadeIn(targets = [], options = {}) {
+    this.start('in', targets, { ...this.inConfig, ...options })
+  }
+
+  /**
+   * Start a fade in either direction
+   * @param {string} direction - 'out' or 'in'
+   * @param {Array} targets - Particles and ParticleStores
+   * @param {Object} settings - {duration_ms, easing, pattern, origin, direction, spread, noise_scale}
+   */
+  start(direction, targets, settings) {
+    // A new fade takes over from one still running
+    this.restoreTargets()
+
+    this.direction = direction
+    this.duration = settings.duration_ms ?? 1000
+    this.settings = {
+      pattern: settings.pattern || 'uniform',
+      easing: Easing.get(settings.easing || 'linear'),
+      // Fraction of the duration over which particle start times are spread
+      spread: settings.pattern && settings.pattern !== 'uniform' ? settings.spread ?? 0.7 : 0
+    }
+    this.targets = this.settings.pattern === 'uniform' ? [] : targets
+    this.assignOrder(this.targets, settings)
+
     this.startTime = performance.now()
-    this.opacity = 1.0
     this.active = true
+    this.apply(0)
+
+    this.events?.emit(direction === 'out' ? 'fadeOutStarted' : 'fadeInStarted', {
+      timestamp: this.startTime,
+      duration: this.duration,
+      pattern: this.settings.pattern
+    })
+  }
+
+  /**
+   * Give each particle its place (0-1) in the dissolve order
+   * @param {Array} targets - Particles and ParticleStores
+   * @param {Object} settings - Pattern settings
+   */
+  assignOrder(targets, settings) {
+    if (targets.length === 0) {
+      return
+    }
+
+    // Patterns are laid out over the bounds of the particles, whatever the canvas size
+    let minX = Infinity
+    let minY = Infinity
+    let maxX = -Infinity
+    let maxY = -Infinity
+    this.forEachParticle(targets, (x, y) => {
+      minX = Math.min(minX, x)
+      minY = Math.min(minY, y)
+      maxX = Math.max(maxX, x)
+      maxY = Math.max(maxY, y)
+    })
+    const width = Math.max(maxX - minX, 1)
+    const height = Math.max(maxY - minY, 1)
+
+    let order
+    switch (settings.pattern) {
+      case 'radial': {
+        const originX = minX + width * (settings.origin?.x_pct ?? 50) / 100
+        const originY = minY + height * (settings.origin?.y_pct ?? 50) / 100
+        const reach = Math.max(
+          Math.hypot(minX - originX, minY - originY), Math.hypot(maxX - originX, minY - originY),
+          Math.hypot(minX - originX, maxY - originY), Math.hypot(maxX - originX, maxY - originY), 1)
+        order = (x, y) => Math.hypot(x - originX, y - originY) / reach
+        break
+      }
+      case 'wipe': {
+        const [dx, dy] = WIPE_DIRECTIONS[settings.direction] || WIPE_DIRECTIONS.left_to_right
+        order = (x, y) => dx
+          ? (dx > 0 ? x - minX : maxX - x) / width
+          : (dy > 0 ? y - minY : maxY - y) / height
+        break
+      }
+      case 'noise': {
+        // noise_scale is the number of noise cells across the longer side
+        const scale = (settings.noise_scale ?? 4) / Math.max(width, height)
+        order = (x, y) => valueNoise((x - minX) * scale, (y - minY) * scale)
+        break
+      }
+      case 'random':
+        order = () => Math.random()
+        break
+      default:
+        console.warn('Unknown fade pattern:', settings.pattern)
+        order = () => 0
+    }
+
+    this.forEachParticle(targets, (x, y) => Math.min(Math.max(order(x, y), 0), 1))
+  }
+
+  /**
+   * Visit every particle of the targets
+   * @param {Array} targets - Particles and ParticleStores
+   * @param {Function} visit - (x, y, fadeOrder) => new fadeOrder or undefined
+   * @param {string} field - Particle field written with the visitor's return value
+   */
+  forEachParticle(targets, visit, field = 'fadeOrder') {
+    for (const target of targets) {
+      if (target.isParticleStore) {
+        for (let i = 0; i < target.count; i++) {
+          const value = visit(target.x[i], target.y[i], target.fadeOrder[i])
+          if (value !== undefined) target[field][i] = value
+        }
+      } else {
+        const value = visit(target.x, target.y, target.fadeOrder)
+        if (value !== undefined) target[field] = value
+      }
+    }
+  }
+
+  /**
+   * Set opacities for a point in time
+   * @param {number} elapsed - Milliseconds since the fade started
+   */
+  apply(elapsed) {
+    const { easing, spread } = this.settings
+    const value = progress => {
+      const eased = Math.min(Math.max(easing(progress), 0), 1)
+      return this.direction === 'out' ? 1 - eased : eased
+    }
+
+    if (this.targets.length === 0) {
+      this.opacity = value(this.duration > 0 ? Math.min(elapsed / this.duration, 1) : 1)
+      return
+    }
+
+    // Each particle runs its own fade of (1 - spread) * duration, starting at order * spread * duration
+    this.opacity = 1.0
+    const span = Math.max(this.duration * (1 - spread), 1)
+    this.forEachParticle(this.targets, (x, y, order) =>
+      value(Math.min(Math.max((elapsed - order * spread * this.duration) / span, 0), 1)), 'fade')
   }
 
   /**
    * Update fade effect
-   * @returns {boolean} True if fade is complete
+   * @returns {boolean} True if a fade out has completed
    */
   update() {
-    if (!this.enabled || !this.active) {
+    if (!this.active) {
       return false
     }
-    
+
     const elapsed = performance.now() - this.startTime
-    const progress = Math.min(elapsed / this.duration, 1)
-    
-    // Update opacity (fade to 0)
-    this.opacity = 1 - progress
-    
-    // Return true when fade is complete
-    return progress >= 1
+    this.apply(Math.min(elapsed, this.duration))
+
+    if (elapsed < this.duration) {
+      return false
+    }
+
+    this.active = false
+    if (this.direction === 'in') {
+      this.events?.emit('fadeInComplete', { timestamp: performance.now() })
+      return false
+    }
+    this.events?.emit('fadeOutComplete', { timestamp: performance.now() })
+    return true
   }
 
   /**
@@ -59,10 +244,19 @@ export class FadeEffect {
     return this.active
   }
 
+  /**
+   * Make particles touched by the last dissolve fully visible again
+   */
+  restoreTargets() {
+    this.forEachParticle(this.targets, () => 1, 'fade')
+    this.targets = []
+  }
+
   /**
    * Reset fade state
    */
   reset() {
+    this.restoreTargets()
     this.startTime = null
     this.opacity = 1.0
     this.active = false
@@ -70,12 +264,15 @@ export class FadeEffect {
 
   /**
    * Update fade configuration
-   * @param {Object} newConfig - New fade configuration
+   * @param {Object} newConfig - New configuration
    */
   updateConfig(newConfig) {
-    this.config = { ...this.config, ...newConfig }
+    this.config = { ...this.config, ...newConfig?.particles?.fade_out }
+    this.inConfig = { ...this.inConfig, ...newConfig?.particles?.fade_in }
     this.enabled = this.config.enabled || false
-    this.duration = this.config.duration_ms || 1000
+    if (!this.active) {
+      this.duration = this.config.duration_ms || 1000
+    }
   }
 }
 
@@ -1,35 +1,51 @@
 import { Utils } from '../utils/Utils.js'
+import { Easing } from '../utils/Easing.js'
+import { ParticleStore } from '../core/ParticleStore.js'
 
 /**
  * Scatter effect for particles - creates explosion-like dispersal
  */
 export class ScatterEffect {
-  constructor(config) {
-    this.config = config?.scatter || {}
+  constructor(config, events = null) {
+    this.config = config?.particles?.scatter || {}
+    this.events = events
     this.force = this.config.force || 3
     this.isScattered = false
     this.originalPositions = new Map()
+    this.reassembly = null
   }
 
   /**
    * Scatter particles away from current positions
-   * @param {Array} particles - Array of particles to scatter
+   * @param {Array} particles - Particles to scatter; typed-array ParticleStores may be mixed in
    */
   scatterParticles(particles) {
+    const stores = particles.filter(particle => particle.isParticleStore)
+    const objects = particles.filter(particle => !particle.isParticleStore)
+
     // Store original positions if not already scattered
     if (!this.isScattered) {
       this.originalPositions.clear()
-      particles.forEach(particle => {
+      objects.forEach(particle => {
         this.originalPositions.set(particle, {
           x: particle.destX ?? particle.x,
           y: particle.destY ?? particle.y
         })
       })
+      stores.forEach(store => {
+        this.originalPositions.set(store, {
+          x: store.destX.slice(0, store.count),
+          y: store.destY.slice(0, store.count)
+        })
+      })
     }
 
+    // Scattering again interrupts a reassembly; callers learn of it from particlesScattered
+    this.reassembly = null
     this.isScattered = true
+    stores.forEach(store => this.scatterStore(store))
     
-    particles.forEach(particle => {
+    objects.forEach(particle => {
       // Calculate random scatter direction
       const scatterAngle = Math.random() * 2 * Math.PI
       
@@ -50,6 +66,31 @@ export class ScatterEffect {
       particle.isScattered = true
     })
 
+    this.events?.emit('particlesScattered', {
+      timestamp: performance.now(),
+      particleCount: objects.length + stores.reduce((sum, store) => sum + store.count, 0),
+      force: this.force
+    })
+  }
+
+  /**
+   * Scatter every particle in a typed-array store
+   * @param {ParticleStore} store - Particle store
+   */
+  scatterStore(store) {
+    for (let i = 0; i < store.count; i++) {
+      const scatterAngle = Math.random() * 2 * Math.PI
+      const secondary = store.hasFlag(i, ParticleStore.SECONDARY)
+      const scatterDistance = this.force * (secondary ? 25 : 30)
+      const scatterVelocity = secondary ? this.force * 0.8 : this.force
+
+      store.destX[i] = store.x[i] + Math.cos(scatterAngle) * scatterDistance
+      store.destY[i] = store.y[i] + Math.sin(scatterAngle) * scatterDistance
+      store.vx[i] = Math.cos(scatterAngle) * scatterVelocity
+      store.vy[i] = Math.sin(scatterAngle) * scatterVelocity
+      store.friction[i] = 0.85
+      store.setFlag(i, ParticleStore.SCATTERED, true)
+    }
   }
 
   /**
@@ -69,7 +110,11 @@ export class ScatterEffect {
    * @param {Object} particle - Particle to return
    */
   returnParticle(particle) {
-    const original = this.originalPositions.get(particle)
+    // Views onto a typed-array store look up the store's saved destinations
+    const saved = particle.store && this.originalPositions.get(particle.store)
+    const original = saved
+      ? { x: saved.x[particle.index], y: saved.y[particle.index] }
+      : this.originalPositions.get(particle)
     if (original) {
       particle.destX = original.x
       particle.destY = original.y
@@ -78,6 +123,95 @@ export class ScatterEffect {
     }
   }
 
+  /**
+   * Move scattered particles back to the destinations saved when they scattered.
+   * particlesReassembled is emitted from update() once the last particle has arrived
+   * @param {Array} particles - Particles to return; typed-array ParticleStores may be mixed in
+   * @param {Object} options - {duration_ms, stagger_ms, easing}
+   * @returns {number} Number of particles sent back
+   */
+  reassembleParticles(particles, options = {}) {
+    const now = performance.now()
+    const duration = Math.max(0, options.duration_ms ?? 1000)
+    const stagger = Math.max(0, options.stagger_ms ?? 0)
+
+    if (!this.isScattered) {
+      this.reassembly = { endTime: now, duration: 0, particleCount: 0 }
+      this.finish()
+      return 0
+    }
+
+    const easing = Easing.get(options.easing || 'easeInOutCubic')
+    // Each particle starts at a random point within the stagger window
+    let endTime = now
+    const timing = () => {
+      const startTime = now + Math.random() * stagger
+      endTime = Math.max(endTime, startTime + duration)
+      return { startTime, duration, easing }
+    }
+    let returned = 0
+
+    particles.forEach(particle => {
+      if (particle.isParticleStore) {
+        const store = particle
+        const saved = this.originalPositions.get(store)
+        const count = saved ? Math.min(store.count, saved.x.length) : 0
+        for (let i = 0; i < count; i++) {
+          store.friction[i] = Math.random() * 0.01 + 0.92
+          store.setFlag(i, ParticleStore.SCATTERED, false)
+          store.startMorph(i, saved.x[i], saved.y[i], timing())
+        }
+        returned += count
+        return
+      }
+
+      const original = this.originalPositions.get(particle)
+      if (original) {
+        particle.friction = Math.random() * 0.01 + 0.92
+        particle.isScattered = false
+        particle.startMorph(original.x, original.y, timing())
+        returned++
+      }
+    })
+
+    this.reset()
+    this.reassembly = { endTime, duration: duration + stagger, particleCount: returned }
+    if (returned === 0) {
+      this.finish()
+    }
+    return returned
+  }
+
+  /**
+   * Announce the reassembly once its last morph has ended
+   */
+  update() {
+    if (this.reassembly && performance.now() >= this.reassembly.endTime) {
+      this.finish()
+    }
+  }
+
+  /**
+   * Emit particlesReassembled for the pending reassembly
+   */
+  finish() {
+    const { duration, particleCount } = this.reassembly
+    this.reassembly = null
+    this.events?.emit('particlesReassembled', {
+      timestamp: performance.now(),
+      duration,
+      particleCount
+    })
+  }
+
+  /**
+   * Check if particles are on their way back
+   * @returns {boolean} True until the last reassembling particle arrives
+   */
+  isReassembling() {
+    return this.reassembly !== null
+  }
+
   /**
    * Reset scatter state
    */
@@ -91,7 +225,7 @@ export class ScatterEffect {
    * @param {Object} newConfig - New scatter configuration
    */
   updateConfig(newConfig) {
-    this.config = { ...this.config, ...newConfig }
+    this.config = { ...this.config, ...newConfig?.particles?.scatter }
     this.force = this.config.force || 3
   }
 }
@@ -1,3 +1,4 @@
 export { FloatingEffect } from './FloatingEffect.js'
 export { ScatterEffect } from './ScatterEffect.js'
-export { FadeEffect } from './FadeEffect.js'
\ No newline at end of file
+export { FadeEffect } from './FadeEffect.js'
+export { EntranceEffect } from './EntranceEffect.js'
\ No newline at end of file
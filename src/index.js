@@ -1,12 +1,14 @@
 import { ReliqParticleImage } from './ReliqParticleImage.js'
-import { ConfigMerger, Utils } from './utils/index.js'
+import { ConfigMerger, Utils, FlowPresets, SpatialHash } from './utils/index.js'
+import { Renderer, Canvas2DRenderer } from './renderers/index.js'
 
 // Export main class and utilities
-export { ReliqParticleImage }
+export { ReliqParticleImage, ConfigMerger, FlowPresets, SpatialHash, Renderer, Canvas2DRenderer }
 
 // Export static factory methods for convenient usage
 export const create = ReliqParticleImage.create
 export const withFeatures = ReliqParticleImage.withFeatures
+export const use = ReliqParticleImage.use
 
 // Global exposure for legacy usage
 if (typeof window !== 'undefined') {
@@ -62,7 +64,15 @@ if (typeof window !== 'undefined') {
       }
     }
 
-    const instance = new ReliqParticleImage(container, config)
+    if (ConfigMerger.isLegacy(config)) {
+      const legacy = ConfigMerger.fromLegacy(config)
+      if (legacy.unmapped.length > 0) {
+        console.warn('Legacy particle params options not converted:', legacy.unmapped)
+      }
+      config = legacy.config
+    }
+
+    const instance = new ReliqParticleImage(container, { id: tagId, ...config })
     registerInstance(tagId, instance)
     await instance.initialize()
     return instance
@@ -0,0 +1,173 @@
+/**
+ * Accessibility layer for the canvas: role and label, a text alternative,
+ * keyboard activation with a visible focus ring, and the reduced-motion preference
+ */
+export class AccessibilityManager {
+  /**
+   * @param {HTMLCanvasElement} canvas - Canvas to describe
+   * @param {Object} config - Full configuration; reads config.accessibility
+   * @param {string} id - Instance id, used to derive element ids
+   */
+  constructor(canvas, config, id) {
+    this.canvas = canvas
+    this.config = config
+    this.id = id
+    this.descriptionElement = null
+    this.onActivate = null
+    this.isAttached = false
+
+    this.onKeyDown = this.handleKeyDown.bind(this)
+    this.onFocus = this.handleFocus.bind(this)
+    this.onBlur = this.handleBlur.bind(this)
+  }
+
+  /**
+   * Check whether motion should be reduced for a configuration
+   * @param {Object} config - Full configuration
+   * @returns {boolean} True if floating, jitter and scatter should be skipped
+   */
+  static prefersReducedMotion(config) {
+    const setting = config.accessibility?.reduced_motion ?? 'auto'
+    if (setting !== 'auto') {
+      return setting === true
+    }
+
+    return typeof window !== 'undefined' &&
+      !!window.matchMedia?.('(prefers-reduced-motion: reduce)').matches
+  }
+
+  /**
+   * Get the accessible name of the canvas
+   * @returns {string} Configured label, the text source, or a generic name
+   */
+  getLabel() {
+    const label = this.config.accessibility?.label
+    if (label) {
+      return label
+    }
+
+    const text = this.config.image?.src?.text
+    return text ? text.replace(/\s*\n\s*/g, ' ') : 'Particle image'
+  }
+
+  /**
+   * Apply role, label and description, and listen for keyboard activation
+   * @param {Function|null} onActivate - Called on Enter or Space; null leaves the canvas unfocusable
+   */
+  attach(onActivate = null) {
+    if (this.isAttached) return
+
+    const settings = this.config.accessibility || {}
+    this.canvas.setAttribute('role', settings.role || 'img')
+    this.canvas.setAttribute('aria-label', this.getLabel())
+
+    if (settings.description) {
+      this.descriptionElement = this.createDescription(settings.description)
+      this.canvas.setAttribute('aria-describedby', this.descriptionElement.id)
+    }
+
+    // Only a canvas that responds to activation belongs in the tab order
+    if (onActivate && settings.keyboard !== false) {
+      this.onActivate = onActivate
+      this.canvas.tabIndex = 0
+      this.canvas.addEventListener('keydown', this.onKeyDown)
+      this.canvas.addEventListener('focus', this.onFocus)
+      this.canvas.addEventListener('blur', this.onBlur)
+    }
+
+    this.isAttached = true
+  }
+
+  /**
+   * Remove listeners and the description element
+   */
+  detach() {
+    if (!this.isAttached) return
+
+    if (this.onActivate) {
+      this.canvas.removeEventListener('keydown', this.onKeyDown)
+      this.canvas.removeEventListener('focus', this.onFocus)
+      this.canvas.removeEventListener('blur', this.onBlur)
+      this.onActivate = null
+    }
+
+    this.descriptionElement?.remove()
+    this.descriptionElement = null
+
+    this.isAttached = false
+  }
+
+  /**
+   * Create a visually hidden text alternative next to the canvas
+   * @param {string} text - Description text
+   * @returns {HTMLElement} Description element
+   */
+  createDescription(text) {
+    const element = document.createElement('div')
+    element.id = `${this.id}-description`
+    element.textContent = text
+    Object.assign(element.style, {
+      position: 'absolute',
+      width: '1px',
+      height: '1px',
+      margin: '-1px',
+      padding: '0',
+      overflow: 'hidden',
+      clip: 'rect(0 0 0 0)',
+      whiteSpace: 'nowrap',
+      border: '0'
+    })
+    this.canvas.parentNode?.appendChild(element)
+    return element
+  }
+
+  /**
+   * Handle key down event; Enter and Space activate
+   */
+  handleKeyDown(e) {
+    if (e.repeat || (e.key !== 'Enter' && e.key !== ' ')) {
+      return
+    }
+
+    // Space would otherwise scroll the page
+    e.preventDefault()
+    this.onActivate()
+  }
+
+  /**
+   * Show the focus ring when focus arrived by keyboard
+   */
+  handleFocus() {
+    if (this.canvas.matches?.(':focus-visible') === false) {
+      return
+    }
+
+    const ring = this.config.accessibility?.focus_ring || {}
+    this.canvas.style.outline = `${ring.width ?? 2}px solid ${ring.color || '#4a90d9'}`
+    this.canvas.style.outlineOffset = `${ring.offset ?? 2}px`
+  }
+
+  /**
+   * Hide the focus ring
+   */
+  handleBlur() {
+    this.canvas.style.outline = ''
+    this.canvas.style.outlineOffset = ''
+  }
+
+  /**
+   * Update configuration and reapply attributes
+   * @param {Object} newConfig - New configuration
+   */
+  updateConfig(newConfig) {
+    this.config = { ...this.config, ...newConfig }
+
+    if (this.isAttached) {
+      const onActivate = this.onActivate
+      this.detach()
+      this.attach(onActivate)
+    }
+  }
+}
+
+export default AccessibilityManager
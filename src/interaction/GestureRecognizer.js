@@ -0,0 +1,201 @@
+/**
+ * Recognizes pinch, swipe and long-press gestures from tracked touch points.
+ * Fed by PointerHandler; recognized gestures are emitted as 'gesture' events.
+ */
+export class GestureRecognizer {
+  /**
+   * @param {Object} config - Full configuration; reads config.gestures
+   * @param {EventEmitter|null} events - Instance event emitter
+   */
+  constructor(config, events = null) {
+    this.config = config
+    this.events = events
+    this.pinch = null // {startDistance, fired}
+    this.press = null // {id, startX, startY, startTime, timer}
+    this.activeGesture = null
+  }
+
+  /**
+   * Get gesture settings with defaults
+   * @returns {Object} Gesture settings
+   */
+  getSettings() {
+    const gestures = this.config.gestures || {}
+    return {
+      pinchThreshold: gestures.pinch_threshold || 0.2,
+      swipeMinDistance: gestures.swipe_min_distance || 50,
+      swipeMaxDuration: gestures.swipe_max_duration || 500,
+      longPressMs: gestures.long_press_ms || 500,
+      moveTolerance: gestures.move_tolerance || 10
+    }
+  }
+
+  /**
+   * Handle touches being added
+   * @param {Map} touches - All active touches, id -> {x, y, startX, startY, startTime}
+   */
+  touchesStarted(touches) {
+    if (touches.size === 1) {
+      const [[id, touch]] = touches
+      this.startPress(id, touch)
+    } else {
+      // A second finger turns a press into a possible pinch
+      this.cancelPress()
+      this.activeGesture = null
+      this.pinch = touches.size === 2 ? { startDistance: this.getSpread(touches), fired: false } : null
+    }
+  }
+
+  /**
+   * Handle touches moving
+   * @param {Map} touches - All active touches
+   */
+  touchesMoved(touches) {
+    const settings = this.getSettings()
+
+    if (this.press) {
+      const touch = touches.get(this.press.id)
+      if (!touch || Math.hypot(touch.x - this.press.startX, touch.y - this.press.startY) > settings.moveTolerance) {
+        this.cancelPress()
+      }
+    }
+
+    if (this.pinch && touches.size === 2 && this.pinch.startDistance > 0) {
+      const scale = this.getSpread(touches) / this.pinch.startDistance
+      let type = null
+      if (scale >= 1 + settings.pinchThreshold) {
+        type = 'pinch_out'
+      } else if (scale <= 1 - settings.pinchThreshold) {
+        type = 'pinch_in'
+      }
+
+      if (type && type !== this.activeGesture) {
+        this.activeGesture = type
+        this.emit(type, { scale, center: this.getCenter(touches) })
+      }
+    }
+  }
+
+  /**
+   * Handle a touch lifting
+   * @param {Object} touch - The touch that ended {x, y, startX, startY, startTime}
+   * @param {Map} remaining - Touches still active
+   */
+  touchEnded(touch, remaining) {
+    const wasLongPress = this.activeGesture === 'long_press'
+    this.cancelPress()
+
+    if (remaining.size < 2) {
+      this.pinch = null
+    }
+    if (remaining.size === 0) {
+      const hadGesture = this.activeGesture !== null
+      this.activeGesture = null
+      if (!hadGesture && !wasLongPress) {
+        this.detectSwipe(touch)
+      }
+    }
+  }
+
+  /**
+   * Emit a swipe if a single touch travelled far enough, fast enough
+   * @param {Object} touch - Ended touch
+   */
+  detectSwipe(touch) {
+    const settings = this.getSettings()
+    const dx = touch.x - touch.startX
+    const dy = touch.y - touch.startY
+    const distance = Math.hypot(dx, dy)
+
+    if (distance < settings.swipeMinDistance || Date.now() - touch.startTime > settings.swipeMaxDuration) {
+      return
+    }
+
+    const direction = Math.abs(dx) > Math.abs(dy)
+      ? (dx > 0 ? 'right' : 'left')
+      : (dy > 0 ? 'down' : 'up')
+    this.emit(`swipe_${direction}`, { direction, distance })
+  }
+
+  /**
+   * Start timing a possible long press
+   * @param {number} id - Touch identifier
+   * @param {Object} touch - Touch state
+   */
+  startPress(id, touch) {
+    this.cancelPress()
+    this.press = {
+      id,
+      startX: touch.x,
+      startY: touch.y,
+      timer: setTimeout(() => {
+        this.press = null
+        this.activeGesture = 'long_press'
+        this.emit('long_press', { x: touch.x, y: touch.y })
+      }, this.getSettings().longPressMs)
+    }
+  }
+
+  /**
+   * Stop timing a long press
+   */
+  cancelPress() {
+    if (this.press) {
+      clearTimeout(this.press.timer)
+      this.press = null
+    }
+  }
+
+  /**
+   * Distance between the first two touches
+   * @param {Map} touches - Active touches
+   * @returns {number} Distance in CSS pixels
+   */
+  getSpread(touches) {
+    const [a, b] = touches.values()
+    return Math.hypot(a.x - b.x, a.y - b.y)
+  }
+
+  /**
+   * Midpoint of the active touches
+   * @param {Map} touches - Active touches
+   * @returns {Object} Position {x, y}
+   */
+  getCenter(touches) {
+    let x = 0
+    let y = 0
+    for (const touch of touches.values()) {
+      x += touch.x
+      y += touch.y
+    }
+    return { x: x / touches.size, y: y / touches.size }
+  }
+
+  /**
+   * Gesture currently held (pinch_in, pinch_out or long_press)
+   * @returns {string|null} Gesture name
+   */
+  getActiveGesture() {
+    return this.activeGesture
+  }
+
+  /**
+   * Emit a recognized gesture
+   * @param {string} type - Gesture name
+   * @param {Object} detail - Gesture details
+   */
+  emit(type, detail) {
+    this.events?.emit('gesture', { type, ...detail, timestamp: performance.now() })
+  }
+
+  /**
+   * Cancel pending timers
+   */
+  destroy() {
+    this.cancelPress()
+    this.pinch = null
+    this.activeGesture = null
+  }
+}
+
+export default GestureRecognizer
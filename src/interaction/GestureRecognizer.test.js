@@ -0,0 +1,143 @@
+import { GestureRecognizer } from './GestureRecognizer.js'
+import { EventEmitter } from '../utils/EventEmitter.js'
+
+function createRecognizer(gestures = {}) {
+  const events = new EventEmitter()
+  const recognized = []
+  events.on('gesture', detail => recognized.push(detail))
+  return { recognizer: new GestureRecognizer({ gestures }, events), recognized }
+}
+
+// Touch state as PointerHandler tracks it
+const touch = (x, y, startX = x, startY = y, startTime = Date.now()) => ({ x, y, startX, startY, startTime })
+
+describe('GestureRecognizer', () => {
+  beforeEach(() => {
+    jest.useFakeTimers()
+  })
+
+  afterEach(() => {
+    jest.useRealTimers()
+  })
+
+  describe('swipe', () => {
+    it('recognizes a quick single-finger swipe in its main direction', () => {
+      const { recognizer, recognized } = createRecognizer()
+      const start = touch(100, 100)
+
+      recognizer.touchesStarted(new Map([[1, start]]))
+      jest.advanceTimersByTime(100)
+      recognizer.touchEnded({ ...start, x: 220, y: 130 }, new Map())
+
+      expect(recognized).toHaveLength(1)
+      expect(recognized[0]).toMatchObject({ type: 'swipe_right', direction: 'right' })
+      expect(recognized[0].distance).toBeCloseTo(Math.hypot(120, 30))
+    })
+
+    it.each([
+      [-80, 0, 'swipe_left'],
+      [0, -80, 'swipe_up'],
+      [10, 80, 'swipe_down']
+    ])('reads a move of (%i, %i) as %s', (dx, dy, type) => {
+      const { recognizer, recognized } = createRecognizer()
+      const start = touch(100, 100)
+
+      recognizer.touchesStarted(new Map([[1, start]]))
+      recognizer.touchEnded({ ...start, x: 100 + dx, y: 100 + dy }, new Map())
+
+      expect(recognized.map(gesture => gesture.type)).toEqual([type])
+    })
+
+    it('ignores moves shorter than swipe_min_distance', () => {
+      const { recognizer, recognized } = createRecognizer({ swipe_min_distance: 100 })
+      const start = touch(0, 0)
+
+      recognizer.touchesStarted(new Map([[1, start]]))
+      recognizer.touchEnded({ ...start, x: 90 }, new Map())
+
+      expect(recognized).toEqual([])
+    })
+
+    it('ignores moves slower than swipe_max_duration', () => {
+      const { recognizer, recognized } = createRecognizer({ swipe_max_duration: 300, long_press_ms: 1000 })
+      const start = touch(0, 0)
+
+      recognizer.touchesStarted(new Map([[1, start]]))
+      jest.advanceTimersByTime(400)
+      recognizer.touchEnded({ ...start, x: 200 }, new Map())
+
+      expect(recognized).toEqual([])
+    })
+
+    it('does not follow a long press with a swipe', () => {
+      const { recognizer, recognized } = createRecognizer({ long_press_ms: 200, swipe_max_duration: 1000 })
+      const start = touch(0, 0)
+
+      recognizer.touchesStarted(new Map([[1, start]]))
+      jest.advanceTimersByTime(250)
+      recognizer.touchEnded({ ...start, x: 200 }, new Map())
+
+      expect(recognized.map(gesture => gesture.type)).toEqual(['long_press'])
+    })
+  })
+
+  describe('pinch', () => {
+    const twoTouches = (spread, center = 200) => new Map([
+      [1, touch(center - spread / 2, 100)],
+      [2, touch(center + spread / 2, 100)]
+    ])
+
+    it('recognizes pinch_out once the spread grows past the threshold', () => {
+      const { recognizer, recognized } = createRecognizer({ pinch_threshold: 0.2 })
+
+      recognizer.touchesStarted(twoTouches(100))
+      recognizer.touchesMoved(twoTouches(110))
+      expect(recognized).toEqual([])
+
+      recognizer.touchesMoved(twoTouches(130))
+      recognizer.touchesMoved(twoTouches(150))
+
+      expect(recognized).toHaveLength(1)
+      expect(recognized[0]).toMatchObject({ type: 'pinch_out', center: { x: 200, y: 100 } })
+      expect(recognized[0].scale).toBeCloseTo(1.3)
+      expect(recognizer.getActiveGesture()).toBe('pinch_out')
+    })
+
+    it('recognizes pinch_in when the spread shrinks', () => {
+      const { recognizer, recognized } = createRecognizer()
+
+      recognizer.touchesStarted(twoTouches(200))
+      recognizer.touchesMoved(twoTouches(100))
+
+      expect(recognized.map(gesture => gesture.type)).toEqual(['pinch_in'])
+    })
+
+    it('switches direction within one pinch', () => {
+      const { recognizer, recognized } = createRecognizer()
+
+      recognizer.touchesStarted(twoTouches(100))
+      recognizer.touchesMoved(twoTouches(150))
+      recognizer.touchesMoved(twoTouches(50))
+
+      expect(recognized.map(gesture => gesture.type)).toEqual(['pinch_out', 'pinch_in'])
+    })
+
+    it('cancels a pending long press and never ends in a swipe', () => {
+      const { recognizer, recognized } = createRecognizer({ long_press_ms: 200 })
+      const first = touch(150, 100)
+
+      recognizer.touchesStarted(new Map([[1, first]]))
+      recognizer.touchesStarted(twoTouches(100))
+      recognizer.touchesMoved(twoTouches(200))
+      jest.advanceTimersByTime(300)
+
+      const remaining = twoTouches(200)
+      remaining.delete(2)
+      recognizer.touchEnded({ ...touch(300, 100), startX: 250, startY: 100 }, remaining)
+      recognizer.touchEnded({ ...touch(0, 100), startX: 150, startY: 100 }, new Map())
+
+      expect(recognized.map(gesture => gesture.type)).toEqual(['pinch_out'])
+      expect(recognizer.getActiveGesture()).toBeNull()
+    })
+  })
+})
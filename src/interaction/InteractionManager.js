@@ -1,34 +1,51 @@
 import { Utils } from '../utils/Utils.js'
 
-import { MouseHandler } from './MouseHandler.js'
-import { TouchHandler } from './TouchHandler.js'
+import { PointerHandler } from './PointerHandler.js'
+
+// Actions configured with radius, strength and falloff under interactions.<name>
+const FIELD_ACTIONS = ['attract', 'swirl', 'bubble', 'grab']
+
+// Falloff curves: distance ratio (0 at the pointer, 1 at the radius) -> strength factor
+const FALLOFFS = {
+  none: () => 1,
+  linear: t => 1 - t,
+  quadratic: t => (1 - t) ** 2,
+  smooth: t => 1 - t * t * (3 - 2 * t)
+}
 
 /**
  * Unified interaction manager for particles
  */
 export class InteractionManager {
-  constructor(canvas, config) {
+  constructor(canvas, config, events = null) {
     this.canvas = canvas
     this.config = config
-    this.mouseHandler = null
-    this.touchHandler = null
+    this.events = events
+    this.pointerHandler = null
     this.isAttached = false
+    this.repulsing = new Set() // Particles (or store indices) inside the repulse radius last step
+    this.bubbled = new Set() // Particles (or store indices) enlarged by bubble last step
+    this.grabLinks = []
+    this.customActions = new Map() // Action name -> function(particle, context) from plugins
+  }
+
+  /**
+   * Register a custom pointer action, selectable wherever built-in actions are
+   * @param {string} name - Action name
+   * @param {Function} apply - Called as apply(particle, {pointer, distance, args, state}) for each
+   *   particle within interactions.<name>.radius (default 100) of a pointer
+   */
+  registerAction(name, apply) {
+    this.customActions.set(name, apply)
   }
 
   /**
    * Initialize interaction handlers based on configuration
    */
   initialize() {
-    // Check which interaction types are needed
-    const needsMouse = this.shouldEnableMouse()
-    const needsTouch = this.shouldEnableTouch()
-
-    if (needsMouse) {
-      this.mouseHandler = new MouseHandler(this.canvas, this.config)
-    }
-
-    if (needsTouch) {
-      this.touchHandler = new TouchHandler(this.canvas, this.config)
+    // One pointer handler serves mouse, touch and pen input
+    if (this.shouldEnableMouse() || this.shouldEnableTouch()) {
+      this.pointerHandler = new PointerHandler(this.canvas, this.config, this.events)
     }
   }
 
@@ -46,7 +63,7 @@ export class InteractionManager {
   shouldEnableTouch() {
     const particles = this.config.particles?.interactivity || {}
     const secondary = this.config.secondary_particles?.interactivity || {}
-    return particles.on_touch?.enabled || secondary.enabled
+    return particles.on_touch?.enabled || secondary.enabled || this.config.gestures?.enabled
   }
 
   /**
@@ -55,12 +72,8 @@ export class InteractionManager {
   attach() {
     if (this.isAttached) return
 
-    if (this.mouseHandler) {
-      this.mouseHandler.attach()
-    }
-
-    if (this.touchHandler) {
-      this.touchHandler.attach()
+    if (this.pointerHandler) {
+      this.pointerHandler.attach()
     }
 
     this.isAttached = true
@@ -72,12 +85,8 @@ export class InteractionManager {
   detach() {
     if (!this.isAttached) return
 
-    if (this.mouseHandler) {
-      this.mouseHandler.detach()
-    }
-
-    if (this.touchHandler) {
-      this.touchHandler.detach()
+    if (this.pointerHandler) {
+      this.pointerHandler.detach()
     }
 
     this.isAttached = false
@@ -93,24 +102,39 @@ export class InteractionManager {
       mouseY: null,
       touchX: null,
       touchY: null,
+      pointers: [], // Every active touch, mouse and pen pointer
+      gestureAction: null, // Action bound to the gesture being held
       isMouseOver: false,
       isMouseClicked: false,
       isTouchActive: false
     }
 
-    if (this.mouseHandler) {
-      const mousePos = this.mouseHandler.getMousePosition()
-      state.mouseX = mousePos.x
-      state.mouseY = mousePos.y
-      state.isMouseOver = this.mouseHandler.isMouseOver()
-      state.isMouseClicked = this.mouseHandler.isMouseClicked()
-    }
+    if (this.pointerHandler) {
+      const hover = this.pointerHandler.getHoverPointer()
+      if (hover && this.shouldEnableMouse()) {
+        state.mouseX = hover.x
+        state.mouseY = hover.y
+        state.isMouseOver = true
+        state.isMouseClicked = hover.isDown
+      }
 
-    if (this.touchHandler) {
-      const touchPos = this.touchHandler.getTouchPosition()
-      state.touchX = touchPos.x
-      state.touchY = touchPos.y
-      state.isTouchActive = this.touchHandler.isTouchActive()
+      const touch = this.pointerHandler.getTouchPointer()
+      if (touch && this.shouldEnableTouch()) {
+        state.touchX = touch.x
+        state.touchY = touch.y
+        state.isTouchActive = true
+      }
+
+      // Pointers of a disabled input type are not interaction sources
+      state.pointers = this.pointerHandler.getPointers().filter(pointer =>
+        pointer.pointerType === 'touch' ? state.isTouchActive : state.isMouseOver
+      )
+
+      const gesture = this.pointerHandler.getActiveGesture()
+      const binding = gesture ? this.config.gestures?.bindings?.[gesture] : null
+      if (binding && this.isInteractionAction(binding)) {
+        state.gestureAction = binding
+      }
     }
 
     return state
@@ -124,6 +148,10 @@ export class InteractionManager {
   getPrimaryAction(state) {
     const interactivity = this.config.particles?.interactivity || {}
 
+    if (state.gestureAction) {
+      return state.gestureAction
+    }
+
     if (state.isMouseClicked && interactivity.on_click?.enabled) {
       return interactivity.on_click.action || 'big_repulse'
     }
@@ -164,6 +192,7 @@ export class InteractionManager {
         max_displacement: Math.min(Math.max(strength / 200, 0.5), 5.0),
         repulse_duration: 0.12,
         force_curve: 'linear',
+        pressure_scaling: args.pressure_scaling,
       }
     }
 
@@ -171,65 +200,278 @@ export class InteractionManager {
   }
 
   /**
-   * Apply primary particle interactions
+   * Check whether a name is a pointer interaction action
+   * @param {string} name - Action name
+   * @returns {boolean} True for built-in actions and those configured under interactions
+   */
+  isInteractionAction(name) {
+    return name === 'repulse' || name === 'big_repulse' || FIELD_ACTIONS.includes(name) ||
+      this.customActions.has(name) || !!this.config.interactions?.[name]
+  }
+
+  /**
+   * Resolve field arguments for attract, swirl, bubble and grab
+   * @param {string} action - Action name
+   * @returns {Object} Arguments with radius, strength and a falloff function
+   */
+  getFieldArgs(action) {
+    const args = this.config.interactions?.[action] || {}
+    return {
+      ...args,
+      radius: args.radius || 100,
+      strength: args.strength ?? 1,
+      falloff: FALLOFFS[args.falloff] || FALLOFFS.linear
+    }
+  }
+
+  /**
+   * Apply a field action to a particle inside its radius
    * @param {Object} particle - Particle to affect
-   * @param {Object} state - Cached interaction state
+   * @param {string} action - 'attract', 'swirl' or 'bubble'
+   * @param {Object} args - Field arguments from getFieldArgs
+   * @param {Object} pointer - Pointer position {x, y}
+   * @param {number} distance - Distance from the pointer
    */
-  applyPrimaryInteraction(particle, state) {
-    if (!this.config.particles?.interactivity) {
+  applyField(particle, action, args, pointer, distance) {
+    const falloff = args.falloff(distance / args.radius)
+    const dx = particle.x - pointer.x
+    const dy = particle.y - pointer.y
+
+    if (action === 'bubble') {
+      // Radius eases toward the target through the particle's own smoothing
+      particle.targetRadius = particle.baseRadius * (1 + args.strength * falloff)
+      if (args.opacity !== undefined && !particle.morph) {
+        particle.alpha = Utils.clamp(1 + (args.opacity - 1) * falloff, 0, 1)
+      }
+      return
+    }
+
+    if (distance === 0) {
       return
     }
 
-    if (!state) {
+    const force = args.strength * falloff * 0.2
+    if (action === 'attract') {
+      particle.accX = (-dx / distance) * force
+      particle.accY = (-dy / distance) * force
+    } else {
+      // Tangent to the pointer; clockwise on screen unless reversed
+      const spin = args.direction === 'counterclockwise' ? -1 : 1
+      particle.accX = (-dy / distance) * force * spin
+      particle.accY = (dx / distance) * force * spin
+    }
+    particle.vx += particle.accX
+    particle.vy += particle.accY
+  }
+
+  /**
+   * Return a bubbled particle to its normal size and opacity
+   * @param {Object} particle - Particle to restore
+   */
+  releaseBubble(particle) {
+    particle.targetRadius = particle.baseRadius
+    if (this.config.interactions?.bubble?.opacity !== undefined && !particle.morph) {
+      particle.alpha = 1
+    }
+  }
+
+  /**
+   * Lines for the grab action from the last physics step, one group per pointer
+   * @returns {Array} Groups of {x, y, color, width, lines: [{x, y, alpha}]}
+   */
+  getGrabLinks() {
+    return this.grabLinks
+  }
+
+  /**
+   * Get every active pointer: all touch points, or the mouse
+   * @param {Object} state - Interaction state
+   * @returns {Array} Positions [{x, y}]
+   */
+  getPointers(state) {
+    if (state.pointers) {
+      return state.pointers
+    }
+    const pointer = this.getPointerPosition(state)
+    return pointer ? [pointer] : []
+  }
+
+  /**
+   * Get the active pointer position, preferring touch over mouse
+   * @param {Object} state - Interaction state
+   * @returns {Object|null} Position {x, y}, or null without a pointer
+   */
+  getPointerPosition(state) {
+    const x = state.touchX !== null ? state.touchX : state.mouseX
+    const y = state.touchY !== null ? state.touchY : state.mouseY
+    return x === null || y === null ? null : { x, y }
+  }
+
+  /**
+   * Apply primary interactions to the particles of a system that are near the
+   * pointer, found through the system's spatial hash
+   * @param {Object} system - Particle system with getSpatialHash() and getStore()
+   * @param {Object} state - Cached interaction state
+   */
+  applyPrimaryInteractions(system, state) {
+    if (!this.config.particles?.interactivity || !state) {
+      // Interactions stopped; restore the particles they still affect
+      this.releaseAll(system.getStore())
       return
     }
 
     const action = this.getPrimaryAction(state)
-    const args = this.getRepulseArgs(action)
-    if (!args) {
+    const pointers = this.getPointers(state)
+    const store = system.getStore()
+    const hash = system.getSpatialHash()
+    const resolve = item => store ? store.cursor(item) : item
+    const repulsed = new Set()
+    const bubbled = new Set()
+    this.grabLinks = []
+
+    // Each touch point is a separate source
+    for (const pointer of pointers) {
+      if (this.customActions.has(action)) {
+        const apply = this.customActions.get(action)
+        const args = this.config.interactions?.[action] || {}
+        hash.query(pointer.x, pointer.y, args.radius || 100, (item, distance) => {
+          apply(resolve(item), { pointer, distance, args, state })
+        })
+      } else if (FIELD_ACTIONS.includes(action)) {
+        const args = this.getFieldArgs(action)
+        const lines = []
+
+        hash.query(pointer.x, pointer.y, args.radius, (item, distance) => {
+          const particle = resolve(item)
+          if (action === 'grab') {
+            const alpha = Utils.clamp(args.strength * args.falloff(distance / args.radius), 0, 1)
+            lines.push({ x: particle.x, y: particle.y, alpha })
+            return
+          }
+          if (action === 'bubble') {
+            bubbled.add(item)
+          }
+          this.applyField(particle, action, args, pointer, distance)
+        })
+
+        if (action === 'grab') {
+          this.grabLinks.push({
+            x: pointer.x,
+            y: pointer.y,
+            color: args.line_color || '#ffffff',
+            width: args.line_width || 1,
+            lines
+          })
+        }
+      } else {
+        const args = this.getRepulseArgs(action)
+        if (args) {
+          hash.query(pointer.x, pointer.y, args.detection_radius || 100, item => {
+            repulsed.add(item)
+            this.applyRepulsion(resolve(item), args, state, pointer)
+          })
+        }
+      }
+    }
+
+    // Particles that left the radius start a fresh repulse timer next time
+    this.releaseItems(this.repulsing, repulsed, store, particle => {
+      particle.repulse_start_time = null
+    })
+    this.releaseItems(this.bubbled, bubbled, store, particle => this.releaseBubble(particle))
+    this.repulsing = repulsed
+    this.bubbled = bubbled
+  }
+
+  /**
+   * Restore every particle still bubbled or repulsed
+   * @param {ParticleStore|null} store - Store the tracked items index into, if any
+   */
+  releaseAll(store) {
+    if (this.bubbled.size === 0 && this.repulsing.size === 0 && this.grabLinks.length === 0) {
       return
     }
 
-    this.applyRepulsion(particle, args, state)
+    const none = new Set()
+    this.releaseItems(this.repulsing, none, store, particle => {
+      particle.repulse_start_time = null
+    })
+    this.releaseItems(this.bubbled, none, store, particle => this.releaseBubble(particle))
+    this.repulsing = new Set()
+    this.bubbled = new Set()
+    this.grabLinks = []
   }
 
   /**
-   * Apply secondary particle interactions
-   * @param {Object} particle - Secondary particle to affect
+   * Reset particles affected last step that are no longer affected
+   * @param {Set} previous - Items affected last step
+   * @param {Set} current - Items affected this step
+   * @param {ParticleStore|null} store - Store the items index into, if any
+   * @param {Function} reset - Called with each released particle
+   */
+  releaseItems(previous, current, store, reset) {
+    for (const item of previous) {
+      if (current.has(item)) {
+        continue
+      }
+      if (!store) {
+        reset(item)
+      } else if (item < store.count) {
+        reset(store.cursor(item))
+      }
+    }
+  }
+
+  /**
+   * Apply secondary interactions to the particles of a system that are near the pointer
+   * @param {Object} system - Particle system with getSpatialHash() and getStore()
    * @param {Object} state - Cached interaction state
    */
-  applySecondaryInteraction(particle, state) {
+  applySecondaryInteractions(system, state) {
     const secondary = this.config.secondary_particles?.interactivity
-    if (!secondary?.enabled) {
+    if (!secondary?.enabled || !state) {
       return
     }
 
-    if (!state) {
-      return
+    const store = system.getStore()
+    const hash = system.getSpatialHash()
+    for (const pointer of this.getPointers(state)) {
+      hash.query(pointer.x, pointer.y, secondary.detection_radius || 120, item => {
+        this.applyGentleInteraction(store ? store.cursor(item) : item, secondary, state, pointer)
+      })
     }
+  }
 
-    this.applyGentleInteraction(particle, secondary, state)
+  /**
+   * Force multiplier for a pointer's pressure
+   * @param {Object} args - Interaction arguments; pressure_scaling turns scaling on
+   * @param {Object} pointer - Pointer {pressure, pointerType}
+   * @returns {number} 1 at the default pressure of 0.5, up to 2 at full pressure
+   */
+  getPressureFactor(args, pointer) {
+    // Only pens report real pressure; mouse and most touch screens report a constant.
+    // A hovering pen reports 0 and interacts at normal strength.
+    if (!args.pressure_scaling || pointer.pointerType !== 'pen' || !(pointer.pressure > 0)) {
+      return 1
+    }
+    return Utils.clamp(pointer.pressure * 2, 0, 2)
   }
 
   /**
    * Apply repulsion interaction to particle
    * @param {Object} particle - Particle to affect
    * @param {Object} args - Interaction arguments
+   * @param {Object} state - Interaction state
+   * @param {Object|null} pointer - Source position {x, y}; defaults to the touch or mouse position
    */
-  applyRepulsion(particle, args, state = this.getInteractionState()) {
-    const mouseX = state.mouseX
-    const mouseY = state.mouseY
-    const touchX = state.touchX
-    const touchY = state.touchY
-
-    // Use touch position if available, otherwise mouse position
-    const x = touchX !== null ? touchX : mouseX
-    const y = touchY !== null ? touchY : mouseY
-
-    if (x === null || y === null) {
+  applyRepulsion(particle, args, state = this.getInteractionState(), pointer = this.getPointerPosition(state)) {
+    if (!pointer) {
       return
     }
 
+    const x = pointer.x
+    const y = pointer.y
+
     const dx_mouse = particle.x - x
     const dy_mouse = particle.y - y
     const mouse_dist = Math.sqrt(dx_mouse * dx_mouse + dy_mouse * dy_mouse)
@@ -284,7 +526,8 @@ export class InteractionManager {
           const constraint_factor = Math.max(0, 1 - (current_displacement / maxDisplacement))
 
           // Calculate and apply force
-          const force = required_acceleration * force_multiplier * constraint_factor
+          const force = required_acceleration * force_multiplier * constraint_factor *
+            this.getPressureFactor(args, pointer)
           particle.accX = ((particle.x - x) / mouse_dist) * force * 0.01
           particle.accY = ((particle.y - y) / mouse_dist) * force * 0.01
           particle.vx += particle.accX
@@ -301,15 +544,17 @@ export class InteractionManager {
    * Apply gentle interaction to secondary particles
    * @param {Object} particle - Secondary particle to affect
    * @param {Object} args - Interaction arguments
+   * @param {Object} state - Interaction state
+   * @param {Object|null} pointer - Source position {x, y}; defaults to the touch or mouse position
    */
-  applyGentleInteraction(particle, args, state = this.getInteractionState()) {
-    const x = state.touchX !== null ? state.touchX : state.mouseX
-    const y = state.touchY !== null ? state.touchY : state.mouseY
-
-    if (x === null || y === null) {
+  applyGentleInteraction(particle, args, state = this.getInteractionState(), pointer = this.getPointerPosition(state)) {
+    if (!pointer) {
       return
     }
 
+    const x = pointer.x
+    const y = pointer.y
+
     const dx_mouse = particle.x - x
     const dy_mouse = particle.y - y
     const mouse_dist = Math.sqrt(dx_mouse * dx_mouse + dy_mouse * dy_mouse)
@@ -341,23 +586,17 @@ export class InteractionManager {
   updateConfig(newConfig) {
     this.config = { ...this.config, ...newConfig }
 
-    if (this.touchHandler) {
-      this.touchHandler.updateConfig(this.config)
-    }
-
-    if (this.mouseHandler) {
-      this.mouseHandler.updateConfig?.(this.config)
+    if (this.pointerHandler) {
+      this.pointerHandler.updateConfig(this.config)
     }
 
-    const shouldReinit =
-      (!this.mouseHandler && this.shouldEnableMouse()) ||
-      (!this.touchHandler && this.shouldEnableTouch())
+    const needsPointer = this.shouldEnableMouse() || this.shouldEnableTouch()
+    const needsGestures = !!this.config.gestures?.enabled && !this.pointerHandler?.gestures
 
-    if (shouldReinit) {
+    if (needsPointer && (!this.pointerHandler || needsGestures)) {
       const wasAttached = this.isAttached
       this.detach()
-      this.mouseHandler = null
-      this.touchHandler = null
+      this.pointerHandler = null
       this.initialize()
       if (wasAttached) {
         this.attach()
@@ -0,0 +1,127 @@
+import { InteractionManager } from './InteractionManager.js'
+import { SpatialHash } from '../utils/SpatialHash.js'
+
+// System stand-in holding object particles in a spatial hash
+function createSystem(particles) {
+  const hash = new SpatialHash(50)
+  hash.rebuild(particles)
+  return { getStore: () => null, getSpatialHash: () => hash }
+}
+
+const particle = (x, y) => ({ x, y, vx: 0, vy: 0, radius: 2, baseRadius: 2, targetRadius: 2, alpha: 1 })
+
+// Interaction state with a touch at each position
+const touches = (...positions) => ({
+  mouseX: null,
+  mouseY: null,
+  touchX: positions[0].x,
+  touchY: positions[0].y,
+  pointers: positions.map(position => ({ ...position, pointerType: 'touch' })),
+  gestureAction: null,
+  isMouseOver: false,
+  isMouseClicked: false,
+  isTouchActive: true
+})
+
+describe('InteractionManager', () => {
+  describe('field actions', () => {
+    const config = (action, args = {}) => ({
+      particles: { interactivity: { on_touch: { enabled: true, action } } },
+      interactions: { [action]: { radius: 100, strength: 1, ...args } }
+    })
+    const apply = (manager, particles, ...pointers) =>
+      manager.applyPrimaryInteractions(createSystem(particles), touches(...pointers))
+
+    it('attract pulls particles toward the pointer', () => {
+      const target = particle(50, 0)
+      const manager = new InteractionManager(null, config('attract', { falloff: 'none' }))
+
+      apply(manager, [target], { x: 0, y: 0 })
+
+      expect(target.vx).toBeCloseTo(-0.2)
+      expect(target.vy).toBeCloseTo(0)
+    })
+
+    it('swirl pushes particles along the tangent, clockwise unless reversed', () => {
+      const clockwise = particle(50, 0)
+      const counterclockwise = particle(50, 0)
+
+      apply(new InteractionManager(null, config('swirl', { falloff: 'none' })), [clockwise], { x: 0, y: 0 })
+      apply(new InteractionManager(null, config('swirl', { falloff: 'none', direction: 'counterclockwise' })),
+        [counterclockwise], { x: 0, y: 0 })
+
+      expect(clockwise.vx).toBeCloseTo(0)
+      expect(clockwise.vy).toBeGreaterThan(0)
+      expect(counterclockwise.vy).toBeCloseTo(-clockwise.vy)
+    })
+
+    it('weakens the force toward the radius by the falloff curve', () => {
+      const linear = particle(50, 0)
+      const quadratic = particle(50, 0)
+
+      apply(new InteractionManager(null, config('attract')), [linear], { x: 0, y: 0 })
+      apply(new InteractionManager(null, config('attract', { falloff: 'quadratic' })), [quadratic], { x: 0, y: 0 })
+
+      expect(linear.vx).toBeCloseTo(-0.1)
+      expect(quadratic.vx).toBeCloseTo(-0.05)
+    })
+
+    it('bubble grows nearby particles and restores them once the pointer moves away', () => {
+      const target = particle(0, 0)
+      const manager = new InteractionManager(null, config('bubble', { strength: 2, opacity: 0.5, falloff: 'none' }))
+
+      apply(manager, [target], { x: 10, y: 0 })
+      expect(target.targetRadius).toBe(6)
+      expect(target.alpha).toBe(0.5)
+
+      apply(manager, [target], { x: 500, y: 0 })
+      expect(target.targetRadius).toBe(2)
+      expect(target.alpha).toBe(1)
+    })
+
+    it('grab links each pointer to the particles in its radius without moving them', () => {
+      const near = particle(30, 0)
+      const manager = new InteractionManager(null, config('grab', { line_color: '#00ff00' }))
+
+      apply(manager, [near, particle(400, 0)], { x: 0, y: 0 }, { x: 600, y: 600 })
+
+      expect(manager.getGrabLinks()).toEqual([
+        { x: 0, y: 0, color: '#00ff00', width: 1, lines: [{ x: 30, y: 0, alpha: expect.closeTo(0.7) }] },
+        { x: 600, y: 600, color: '#00ff00', width: 1, lines: [] }
+      ])
+      expect(near.vx).toBe(0)
+    })
+  })
+
+  describe('custom actions', () => {
+    const config = () => ({
+      particles: { interactivity: { on_touch: { enabled: true, action: 'nudge' } } },
+      interactions: { nudge: { radius: 30 } }
+    })
+
+    it('applies the action around every pointer', () => {
+      const near = [particle(10, 10), particle(300, 300)]
+      const far = particle(150, 150)
+      const manager = new InteractionManager(null, config())
+      const apply = jest.fn()
+      manager.registerAction('nudge', apply)
+
+      manager.applyPrimaryInteractions(createSystem([...near, far]), touches({ x: 0, y: 0 }, { x: 310, y: 300 }))
+
+      expect(apply).toHaveBeenCalledTimes(2)
+      expect(apply.mock.calls.map(([target]) => target)).toEqual(near)
+      expect(apply.mock.calls[1][1]).toMatchObject({ pointer: { x: 310, y: 300 }, distance: 10, args: { radius: 30 } })
+    })
+
+    it('calls the action once per pointer for a particle near both', () => {
+      const shared = particle(50, 50)
+      const manager = new InteractionManager(null, config())
+      const apply = jest.fn()
+      manager.registerAction('nudge', apply)
+
+      manager.applyPrimaryInteractions(createSystem([shared]), touches({ x: 40, y: 50 }, { x: 60, y: 50 }))
+
+      expect(apply.mock.calls.map(([, context]) => context.pointer.x)).toEqual([40, 60])
+    })
+  })
+})
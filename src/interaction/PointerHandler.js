@@ -0,0 +1,283 @@
+import { GestureRecognizer } from './GestureRecognizer.js'
+
+/**
+ * Pointer Events input handler. Mouse, touch and pen share one code path; every
+ * active pointer is tracked with its type and pressure. Mouse and pen pointers
+ * hover, touch pointers exist only while down.
+ */
+export class PointerHandler {
+  /**
+   * @param {HTMLCanvasElement} canvas - Canvas to listen on
+   * @param {Object} config - Configuration; gestures.drag_threshold and gestures.tap_max_duration tell taps from drags
+   * @param {EventEmitter|null} events - Emitter for recognized gestures; without one gestures are not recognized
+   * @param {Object} options - {onTap}: called with the pointerup event of a completed primary tap
+   */
+  constructor(canvas, config, events = null, options = {}) {
+    this.canvas = canvas
+    this.config = config
+    this.onTap = options.onTap || null
+    this.pointers = new Map() // pointerId -> {id, x, y, pressure, pointerType, isDown, startX, startY, startTime, dragged}
+    this.touches = new Map() // Touch pointers only, as fed to the gesture recognizer
+    this.gestures = config.gestures?.enabled && events ? new GestureRecognizer(config, events) : null
+    this.readTapLimits()
+    this.previousTouchAction = ''
+    this.isAttached = false
+
+    this.onPointerDown = this.handlePointerDown.bind(this)
+    this.onPointerMove = this.handlePointerMove.bind(this)
+    this.onPointerUp = this.handlePointerUp.bind(this)
+    this.onPointerCancel = this.handlePointerCancel.bind(this)
+    this.onPointerLeave = this.handlePointerLeave.bind(this)
+  }
+
+  /**
+   * Attach pointer event listeners
+   */
+  attach() {
+    if (this.isAttached) return
+
+    this.canvas.addEventListener('pointerdown', this.onPointerDown)
+    this.canvas.addEventListener('pointermove', this.onPointerMove)
+    this.canvas.addEventListener('pointerup', this.onPointerUp)
+    this.canvas.addEventListener('pointercancel', this.onPointerCancel)
+    this.canvas.addEventListener('pointerleave', this.onPointerLeave)
+
+    // Keep the browser from panning or zooming so touch pointers are not cancelled
+    if (this.canvas.style) {
+      this.previousTouchAction = this.canvas.style.touchAction
+      this.canvas.style.touchAction = 'none'
+    }
+
+    this.isAttached = true
+  }
+
+  /**
+   * Detach pointer event listeners
+   */
+  detach() {
+    if (!this.isAttached) return
+
+    this.canvas.removeEventListener('pointerdown', this.onPointerDown)
+    this.canvas.removeEventListener('pointermove', this.onPointerMove)
+    this.canvas.removeEventListener('pointerup', this.onPointerUp)
+    this.canvas.removeEventListener('pointercancel', this.onPointerCancel)
+    this.canvas.removeEventListener('pointerleave', this.onPointerLeave)
+
+    if (this.canvas.style) {
+      this.canvas.style.touchAction = this.previousTouchAction
+    }
+    this.pointers.clear()
+    this.touches.clear()
+    this.gestures?.destroy()
+
+    this.isAttached = false
+  }
+
+  /**
+   * Get a pointer position relative to the canvas
+   * @param {PointerEvent} e - Browser pointer event
+   * @returns {Object} Position {x, y}
+   */
+  toCanvasPosition(e) {
+    const rect = this.canvas.getBoundingClientRect()
+    return { x: e.clientX - rect.left, y: e.clientY - rect.top }
+  }
+
+  /**
+   * Create or update the tracked state of a pointer
+   * @param {PointerEvent} e - Browser pointer event
+   * @returns {Object} Tracked pointer
+   */
+  track(e) {
+    let pointer = this.pointers.get(e.pointerId)
+    if (!pointer) {
+      pointer = {
+        id: e.pointerId,
+        x: 0,
+        y: 0,
+        pressure: 0,
+        pointerType: e.pointerType || 'mouse',
+        isDown: false,
+        startX: null,
+        startY: null,
+        startTime: null,
+        dragged: false
+      }
+      this.pointers.set(e.pointerId, pointer)
+    }
+
+    Object.assign(pointer, this.toCanvasPosition(e))
+    pointer.pressure = e.pressure ?? 0
+    return pointer
+  }
+
+  /**
+   * Handle pointer down event
+   */
+  handlePointerDown(e) {
+    const pointer = this.track(e)
+    pointer.isDown = true
+    pointer.startX = pointer.x
+    pointer.startY = pointer.y
+    pointer.startTime = Date.now()
+    pointer.dragged = false
+
+    // Keep receiving moves for this pointer if it is dragged off the canvas
+    this.canvas.setPointerCapture?.(e.pointerId)
+
+    if (pointer.pointerType === 'touch') {
+      this.touches.set(pointer.id, pointer)
+      this.gestures?.touchesStarted(this.touches)
+    }
+  }
+
+  /**
+   * Handle pointer move event
+   */
+  handlePointerMove(e) {
+    // Touch pointers are only tracked while down
+    if (e.pointerType === 'touch' && !this.pointers.has(e.pointerId)) {
+      return
+    }
+
+    const pointer = this.track(e)
+
+    // A pointer that moved too far is a drag, not a tap
+    if (pointer.startX !== null &&
+        Math.hypot(pointer.x - pointer.startX, pointer.y - pointer.startY) > this.dragThreshold) {
+      pointer.dragged = true
+    }
+
+    if (pointer.pointerType === 'touch') {
+      this.gestures?.touchesMoved(this.touches)
+    }
+  }
+
+  /**
+   * Handle pointer up event
+   */
+  handlePointerUp(e) {
+    const pointer = this.pointers.get(e.pointerId)
+    if (!pointer) {
+      return
+    }
+
+    Object.assign(pointer, this.toCanvasPosition(e))
+    const isTap = pointer.startTime !== null && !pointer.dragged &&
+      Date.now() - pointer.startTime < this.tapMaxDuration
+    this.release(pointer)
+
+    if (isTap && e.isPrimary !== false && this.onTap) {
+      this.onTap(e)
+    }
+  }
+
+  /**
+   * Handle pointer cancel event (the browser took over the pointer)
+   */
+  handlePointerCancel(e) {
+    const pointer = this.pointers.get(e.pointerId)
+    if (pointer) {
+      this.release(pointer)
+    }
+    this.pointers.delete(e.pointerId)
+  }
+
+  /**
+   * Handle pointer leaving the canvas
+   */
+  handlePointerLeave(e) {
+    const pointer = this.pointers.get(e.pointerId)
+    // Captured pointers that are still down keep interacting
+    if (pointer && !pointer.isDown) {
+      this.pointers.delete(e.pointerId)
+    }
+  }
+
+  /**
+   * End the pressed state of a pointer; touch pointers stop being tracked
+   * @param {Object} pointer - Tracked pointer
+   */
+  release(pointer) {
+    // The gesture recognizer needs where and when the press started
+    const ended = { ...pointer }
+    pointer.isDown = false
+    pointer.pressure = 0
+    pointer.startX = null
+    pointer.startY = null
+    pointer.startTime = null
+    pointer.dragged = false
+
+    if (pointer.pointerType === 'touch') {
+      this.pointers.delete(pointer.id)
+      this.touches.delete(pointer.id)
+      this.gestures?.touchEnded(ended, this.touches)
+    }
+  }
+
+  /**
+   * Get every active pointer
+   * @returns {Array} Pointers [{id, x, y, pressure, pointerType}]
+   */
+  getPointers() {
+    return Array.from(this.pointers.values(), ({ id, x, y, pressure, pointerType }) => ({
+      id,
+      x,
+      y,
+      pressure,
+      pointerType
+    }))
+  }
+
+  /**
+   * Get the hovering or pressed mouse or pen pointer, if any
+   * @returns {Object|null} Tracked pointer
+   */
+  getHoverPointer() {
+    for (const pointer of this.pointers.values()) {
+      if (pointer.pointerType !== 'touch') {
+        return pointer
+      }
+    }
+    return null
+  }
+
+  /**
+   * Get the first active touch pointer, if any
+   * @returns {Object|null} Tracked pointer
+   */
+  getTouchPointer() {
+    const [first] = this.touches.values()
+    return first || null
+  }
+
+  /**
+   * Get the gesture currently held, if gesture recognition is enabled
+   * @returns {string|null} 'pinch_in', 'pinch_out', 'long_press' or null
+   */
+  getActiveGesture() {
+    return this.gestures?.getActiveGesture() || null
+  }
+
+  /**
+   * Update configuration
+   * @param {Object} newConfig - New configuration
+   */
+  updateConfig(newConfig) {
+    this.config = { ...this.config, ...newConfig }
+    this.readTapLimits()
+    if (this.gestures) {
+      this.gestures.config = this.config
+    }
+  }
+
+  /**
+   * Read how far and how long a pointer may move and stay down and still count as a tap
+   */
+  readTapLimits() {
+    this.dragThreshold = this.config.gestures?.drag_threshold ?? 10
+    this.tapMaxDuration = this.config.gestures?.tap_max_duration ?? 300
+  }
+}
+
+export default PointerHandler
@@ -0,0 +1,68 @@
+import { PointerHandler } from './PointerHandler.js'
+import { EventEmitter } from '../utils/EventEmitter.js'
+import { createElement } from '../../test/fakeDom.js'
+
+// Attached handler on a fake canvas that counts taps
+function createHandler(config = {}, events = null) {
+  const canvas = createElement('canvas')
+  const onTap = jest.fn()
+  const handler = new PointerHandler(canvas, config, events, { onTap })
+  handler.attach()
+  return { canvas, handler, onTap }
+}
+
+const pointer = (clientX, clientY, pointerType = 'mouse') => ({ pointerId: 1, pointerType, clientX, clientY })
+
+describe('PointerHandler', () => {
+  beforeEach(() => {
+    jest.useFakeTimers()
+  })
+
+  afterEach(() => {
+    jest.useRealTimers()
+  })
+
+  describe('taps', () => {
+    it('calls onTap for a short press that stays in place', () => {
+      const { canvas, onTap } = createHandler()
+
+      canvas.dispatch('pointerdown', pointer(10, 10))
+      canvas.dispatch('pointermove', pointer(15, 10))
+      canvas.dispatch('pointerup', pointer(15, 10))
+
+      expect(onTap).toHaveBeenCalledTimes(1)
+    })
+
+    it('reads the drag threshold from gestures.drag_threshold', () => {
+      const { canvas, onTap } = createHandler({ gestures: { drag_threshold: 3 } })
+
+      canvas.dispatch('pointerdown', pointer(10, 10))
+      canvas.dispatch('pointermove', pointer(15, 10))
+      canvas.dispatch('pointerup', pointer(15, 10))
+
+      expect(onTap).not.toHaveBeenCalled()
+    })
+
+    it('reads the longest tap from gestures.tap_max_duration', () => {
+      const { canvas, handler, onTap } = createHandler()
+
+      canvas.dispatch('pointerdown', pointer(10, 10))
+      jest.advanceTimersByTime(500)
+      canvas.dispatch('pointerup', pointer(10, 10))
+      expect(onTap).not.toHaveBeenCalled()
+
+      handler.updateConfig({ gestures: { tap_max_duration: 1000 } })
+      canvas.dispatch('pointerdown', pointer(10, 10))
+      jest.advanceTimersByTime(500)
+      canvas.dispatch('pointerup', pointer(10, 10))
+      expect(onTap).toHaveBeenCalledTimes(1)
+    })
+  })
+
+  it('recognizes gestures only with an emitter to report them', () => {
+    const config = { gestures: { enabled: true } }
+
+    expect(createHandler(config).handler.gestures).toBeNull()
+    expect(createHandler(config, new EventEmitter()).handler.gestures).not.toBeNull()
+  })
+})
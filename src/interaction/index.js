@@ -1,3 +1,4 @@
-export { MouseHandler } from './MouseHandler.js'
-export { TouchHandler } from './TouchHandler.js'
-export { InteractionManager } from './InteractionManager.js'
\ No newline at end of file
+export { PointerHandler } from './PointerHandler.js'
+export { InteractionManager } from './InteractionManager.js'
+export { GestureRecognizer } from './GestureRecognizer.js'
+export { AccessibilityManager } from './AccessibilityManager.js'
\ No newline at end of file
@@ -0,0 +1,374 @@
+import { Renderer } from './Renderer.js'
+
+// Sprites kept before the least recently used is dropped; enough for a few hundred colors and sizes
+const MAX_SPRITES = 512
+
+/**
+ * Canvas 2D renderer that batches particles to minimise context state changes.
+ * 'path' batching fills all particles sharing a color and alpha as one path,
+ * 'sprite' batching stamps pre-rendered circles, and 'none' draws each particle
+ * individually.
+ */
+export class Canvas2DRenderer extends Renderer {
+  constructor(canvas, surface, config) {
+    super(canvas, surface, config)
+    this.context = canvas.getContext('2d')
+    this.batching = config.renderer?.batching || 'path'
+    this.sprites = new Map() // color|radius -> pre-rendered circle canvas, least recently used first
+    this.offset = null
+    this.interpolation = 1
+    this.supportsParticleStore = true
+  }
+
+  /**
+   * Clear the previous frame
+   */
+  clear() {
+    this.context.clearRect(0, 0, this.surface.width, this.surface.height)
+  }
+
+  /**
+   * Start drawing a frame
+   * @param {Object} offset - Translation {x, y} applied to everything drawn this frame
+   * @param {number} interpolation - Progress (0-1) from each particle's prevX/prevY to x/y
+   */
+  begin(offset = { x: 0, y: 0 }, interpolation = 1) {
+    this.interpolation = interpolation
+    this.offset = offset.x !== 0 || offset.y !== 0 ? offset : null
+    if (this.offset) {
+      this.context.save()
+      this.context.translate(this.offset.x, this.offset.y)
+    }
+  }
+
+  /**
+   * Draw a list of particles
+   * @param {Array|ParticleStore} particles - Particles to draw, or a typed-array store
+   * @param {number} opacity - Global opacity multiplier
+   */
+  drawParticles(particles, opacity = 1.0) {
+    const store = particles.isParticleStore ? particles : null
+    if ((store ? store.count : particles.length) === 0 || opacity <= 0) {
+      return
+    }
+
+    if (this.batching === 'none') {
+      if (store) {
+        this.drawStoreEach(store, opacity)
+      } else {
+        this.drawEach(particles, opacity)
+      }
+      this.context.globalAlpha = 1.0 // Reset global alpha
+      return
+    }
+
+    const batches = store ? this.groupStore(store, opacity) : this.groupParticles(particles, opacity)
+    if (this.batching === 'sprite') {
+      this.drawSpriteBatches(batches)
+    } else {
+      this.drawPathBatches(batches)
+    }
+    this.context.globalAlpha = 1.0 // Reset global alpha
+  }
+
+  /**
+   * Fill each particle on its own, with its exact opacity
+   * @param {Array} particles - Particles to draw
+   * @param {number} opacity - Global opacity multiplier
+   */
+  drawEach(particles, opacity) {
+    const context = this.context
+
+    for (const particle of particles) {
+      const alpha = opacity * (particle.alpha ?? 1) * (particle.fade ?? 1)
+      if (alpha <= 0 || particle.radius <= 0) {
+        continue
+      }
+
+      context.fillStyle = particle.color
+      context.globalAlpha = alpha
+      context.beginPath()
+      context.arc(this.interpolateX(particle), this.interpolateY(particle), particle.radius, 0, Math.PI * 2, false)
+      context.fill()
+    }
+  }
+
+  /**
+   * Fill each stored particle on its own, with its exact opacity
+   * @param {ParticleStore} store - Typed-array particle store
+   * @param {number} opacity - Global opacity multiplier
+   */
+  drawStoreEach(store, opacity) {
+    const context = this.context
+    const t = this.interpolation
+
+    for (let i = 0; i < store.count; i++) {
+      const alpha = opacity * store.alpha[i] * store.fade[i]
+      if (alpha <= 0 || store.radius[i] <= 0) {
+        continue
+      }
+
+      context.fillStyle = store.palette[store.color[i]]
+      context.globalAlpha = alpha
+      context.beginPath()
+      context.arc(
+        store.prevX[i] + (store.x[i] - store.prevX[i]) * t,
+        store.prevY[i] + (store.y[i] - store.prevY[i]) * t,
+        store.radius[i], 0, Math.PI * 2, false
+      )
+      context.fill()
+    }
+  }
+
+  /**
+   * Group particles by color and alpha
+   * @param {Array} particles - Particles to group
+   * @param {number} opacity - Global opacity multiplier
+   * @returns {Map} color|alpha key -> {color, alpha, particles}
+   */
+  groupParticles(particles, opacity) {
+    const batches = new Map()
+
+    for (const particle of particles) {
+      // Quantise alpha so fading particles still share batches
+      const alpha = Math.round(opacity * (particle.alpha ?? 1) * (particle.fade ?? 1) * 50) / 50
+      if (alpha <= 0 || particle.radius <= 0) {
+        continue
+      }
+
+      const key = particle.color + '|' + alpha
+      let batch = batches.get(key)
+      if (!batch) {
+        batch = { color: particle.color, alpha, particles: [] }
+        batches.set(key, batch)
+      }
+      batch.particles.push(particle)
+    }
+
+    return batches
+  }
+
+  /**
+   * Group stored particles by color and alpha
+   * @param {ParticleStore} store - Typed-array particle store
+   * @param {number} opacity - Global opacity multiplier
+   * @returns {Map} color index|alpha key -> {color, alpha, store, indices}
+   */
+  groupStore(store, opacity) {
+    const batches = new Map()
+
+    for (let i = 0; i < store.count; i++) {
+      const alpha = Math.round(opacity * store.alpha[i] * store.fade[i] * 50) / 50
+      if (alpha <= 0 || store.radius[i] <= 0) {
+        continue
+      }
+
+      // alpha * 50 is a whole number below 64, so keys stay numeric and unique
+      const key = store.color[i] * 64 + alpha * 50
+      let batch = batches.get(key)
+      if (!batch) {
+        batch = { color: store.palette[store.color[i]], alpha, store, indices: [] }
+        batches.set(key, batch)
+      }
+      batch.indices.push(i)
+    }
+
+    return batches
+  }
+
+  /**
+   * Fill each batch as a single path
+   * @param {Map} batches - Grouped particles
+   */
+  drawPathBatches(batches) {
+    const context = this.context
+
+    for (const batch of batches.values()) {
+      context.fillStyle = batch.color
+      context.globalAlpha = batch.alpha
+      context.beginPath()
+      if (batch.store) {
+        this.traceStoreBatch(batch)
+      } else {
+        for (const particle of batch.particles) {
+          const x = this.interpolateX(particle)
+          const y = this.interpolateY(particle)
+          context.moveTo(x + particle.radius, y)
+          context.arc(x, y, particle.radius, 0, Math.PI * 2, false)
+        }
+      }
+      context.fill()
+    }
+  }
+
+  /**
+   * Stamp pre-rendered circles for each batch
+   * @param {Map} batches - Grouped particles
+   */
+  drawSpriteBatches(batches) {
+    const context = this.context
+
+    for (const batch of batches.values()) {
+      context.globalAlpha = batch.alpha
+      if (batch.store) {
+        this.stampStoreBatch(batch)
+        continue
+      }
+      for (const particle of batch.particles) {
+        const radius = Math.round(particle.radius * 2) / 2 // Half-pixel steps keep the cache small
+        const sprite = this.getSprite(batch.color, radius)
+        context.drawImage(
+          sprite,
+          this.interpolateX(particle) - radius,
+          this.interpolateY(particle) - radius,
+          radius * 2,
+          radius * 2
+        )
+      }
+    }
+  }
+
+  /**
+   * Add circles for a batch of stored particles to the current path
+   * @param {Object} batch - Batch from groupStore
+   */
+  traceStoreBatch({ store, indices }) {
+    const context = this.context
+    const t = this.interpolation
+
+    for (const i of indices) {
+      const x = store.prevX[i] + (store.x[i] - store.prevX[i]) * t
+      const y = store.prevY[i] + (store.y[i] - store.prevY[i]) * t
+      context.moveTo(x + store.radius[i], y)
+      context.arc(x, y, store.radius[i], 0, Math.PI * 2, false)
+    }
+  }
+
+  /**
+   * Stamp pre-rendered circles for a batch of stored particles
+   * @param {Object} batch - Batch from groupStore
+   */
+  stampStoreBatch({ store, indices, color }) {
+    const context = this.context
+    const t = this.interpolation
+
+    for (const i of indices) {
+      const radius = Math.round(store.radius[i] * 2) / 2
+      const x = store.prevX[i] + (store.x[i] - store.prevX[i]) * t
+      const y = store.prevY[i] + (store.y[i] - store.prevY[i]) * t
+      context.drawImage(this.getSprite(color, radius), x - radius, y - radius, radius * 2, radius * 2)
+    }
+  }
+
+  /**
+   * Get the interpolated draw position of a particle
+   * @param {Object} particle - Particle with x and optional prevX
+   * @returns {number} X coordinate
+   */
+  interpolateX(particle) {
+    return particle.prevX === undefined
+      ? particle.x
+      : particle.prevX + (particle.x - particle.prevX) * this.interpolation
+  }
+
+  /**
+   * Get the interpolated draw position of a particle
+   * @param {Object} particle - Particle with y and optional prevY
+   * @returns {number} Y coordinate
+   */
+  interpolateY(particle) {
+    return particle.prevY === undefined
+      ? particle.y
+      : particle.prevY + (particle.y - particle.prevY) * this.interpolation
+  }
+
+  /**
+   * Get or create a pre-rendered circle. The cache holds MAX_SPRITES circles, so
+   * colors and sizes from earlier images or morphs do not pile up.
+   * @param {string} color - Fill color
+   * @param {number} radius - Radius in CSS pixels
+   * @returns {HTMLCanvasElement|OffscreenCanvas} Sprite canvas
+   */
+  getSprite(color, radius) {
+    const key = color + '|' + radius
+    let sprite = this.sprites.get(key)
+    if (sprite) {
+      // Map order is insertion order; re-inserting marks the sprite as recently used
+      this.sprites.delete(key)
+      this.sprites.set(key, sprite)
+      return sprite
+    }
+
+    if (this.sprites.size >= MAX_SPRITES) {
+      this.sprites.delete(this.sprites.keys().next().value)
+    }
+
+    // Render at device resolution so sprites stay sharp
+    const scale = this.surface.pixelRatio || 1
+    const size = Math.max(1, Math.ceil(radius * 2 * scale))
+    // Workers have no document; OffscreenCanvas works there and on the main thread
+    if (typeof document !== 'undefined') {
+      sprite = document.createElement('canvas')
+      sprite.width = size
+      sprite.height = size
+    } else {
+      sprite = new OffscreenCanvas(size, size)
+    }
+    const spriteContext = sprite.getContext('2d')
+    spriteContext.fillStyle = color
+    spriteContext.beginPath()
+    spriteContext.arc(size / 2, size / 2, size / 2, 0, Math.PI * 2, false)
+    spriteContext.fill()
+
+    this.sprites.set(key, sprite)
+    return sprite
+  }
+
+  /**
+   * Draw lines from a point to particles, as used by the grab interaction
+   * @param {Object} links - {x, y, color, width, lines: [{x, y, alpha}]}
+   */
+  drawLinks(links) {
+    const context = this.context
+    context.strokeStyle = links.color
+    context.lineWidth = links.width
+
+    for (const line of links.lines) {
+      if (line.alpha <= 0) {
+        continue
+      }
+      context.globalAlpha = line.alpha
+      context.beginPath()
+      context.moveTo(links.x, links.y)
+      context.lineTo(line.x, line.y)
+      context.stroke()
+    }
+    context.globalAlpha = 1.0 // Reset global alpha
+  }
+
+  /**
+   * Finish drawing a frame
+   */
+  end() {
+    if (this.offset) {
+      this.context.restore()
+      this.offset = null
+    }
+  }
+
+  /**
+   * Drop sprites rendered for the previous pixel ratio
+   */
+  resize() {
+    this.sprites.clear()
+  }
+
+  /**
+   * Release cached sprites
+   */
+  destroy() {
+    this.sprites.clear()
+  }
+}
+
+export default Canvas2DRenderer
@@ -0,0 +1,44 @@
+import { Canvas2DRenderer } from './Canvas2DRenderer.js'
+import { createElement, installDom } from '../../test/fakeDom.js'
+
+describe('Canvas2DRenderer', () => {
+  let uninstall
+
+  beforeEach(() => {
+    uninstall = installDom()
+  })
+
+  afterEach(() => {
+    uninstall()
+  })
+
+  const createRenderer = () => new Canvas2DRenderer(
+    createElement('canvas'),
+    { width: 400, height: 300, pixelRatio: 1 },
+    { renderer: { batching: 'sprite' } }
+  )
+
+  describe('sprite cache', () => {
+    it('reuses the sprite for a color and radius', () => {
+      const renderer = createRenderer()
+
+      expect(renderer.getSprite('#ff0000', 2)).toBe(renderer.getSprite('#ff0000', 2))
+      expect(renderer.getSprite('#ff0000', 2.5)).not.toBe(renderer.getSprite('#ff0000', 2))
+    })
+
+    it('drops the least recently used sprite once full', () => {
+      const renderer = createRenderer()
+      const first = renderer.getSprite('#000000', 1)
+      const second = renderer.getSprite('#000001', 1)
+
+      renderer.getSprite('#000000', 1)
+      for (let i = 2; i < 513; i++) {
+        renderer.getSprite(`#${i.toString(16).padStart(6, '0')}`, 1)
+      }
+
+      expect(renderer.sprites.size).toBe(512)
+      expect(renderer.getSprite('#000000', 1)).toBe(first)
+      expect(renderer.getSprite('#000001', 1)).not.toBe(second)
+    })
+  })
+})
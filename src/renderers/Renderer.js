@@ -0,0 +1,62 @@
+/**
+ * Base renderer defining the interface renderSystems delegates to.
+ * Particles passed to drawParticles expose x, y, prevX, prevY, radius, color and optional alpha and fade.
+ * Renderers that set supportsParticleStore also accept a typed-array ParticleStore in place of the list.
+ */
+export class Renderer {
+  /**
+   * @param {HTMLCanvasElement} canvas - Target canvas
+   * @param {Object} surface - Layout size {width, height, pixelRatio} in CSS pixels
+   * @param {Object} config - Full particle configuration
+   */
+  constructor(canvas, surface, config) {
+    this.canvas = canvas
+    this.surface = surface
+    this.config = config
+    this.supportsParticleStore = false
+  }
+
+  /**
+   * Clear the previous frame
+   */
+  clear() {}
+
+  /**
+   * Start drawing a frame
+   * @param {Object} offset - Translation {x, y} applied to everything drawn this frame
+   * @param {number} interpolation - Progress (0-1) from each particle's prevX/prevY to x/y
+   */
+  begin(offset = { x: 0, y: 0 }, interpolation = 1) {}
+
+  /**
+   * Draw a list of particles
+   * @param {Array|ParticleStore} particles - Particles to draw
+   * @param {number} opacity - Global opacity multiplier
+   */
+  drawParticles(particles, opacity = 1.0) {
+    throw new Error('Renderer must implement drawParticles')
+  }
+
+  /**
+   * Draw lines from a point to particles, as used by the grab interaction
+   * @param {Object} links - {x, y, color, width, lines: [{x, y, alpha}]}
+   */
+  drawLinks(links) {}
+
+  /**
+   * Finish drawing a frame
+   */
+  end() {}
+
+  /**
+   * Called after the canvas size or pixel ratio changes
+   */
+  resize() {}
+
+  /**
+   * Release resources held by the renderer
+   */
+  destroy() {}
+}
+
+export default Renderer
@@ -0,0 +1,53 @@
+import { Canvas2DRenderer } from './Canvas2DRenderer.js'
+
+/**
+ * Registry of renderer classes selectable through renderer.type
+ */
+const renderers = new Map()
+
+export class RendererRegistry {
+  /**
+   * Register a renderer class
+   * @param {string} name - Name referenced by renderer.type
+   * @param {Function} RendererClass - Class constructed with (canvas, surface, config)
+   */
+  static register(name, RendererClass) {
+    if (!name || typeof name !== 'string') {
+      throw new Error('Renderer name must be a non-empty string')
+    }
+    if (typeof RendererClass !== 'function') {
+      throw new Error('Renderer must be a class: ' + name)
+    }
+
+    renderers.set(name, RendererClass)
+  }
+
+  /**
+   * Check if a renderer is registered
+   * @param {string} name - Renderer name
+   * @returns {boolean} True if registered
+   */
+  static has(name) {
+    return renderers.has(name)
+  }
+
+  /**
+   * Create a renderer by name
+   * @param {string} name - Renderer name
+   * @param {HTMLCanvasElement} canvas - Target canvas
+   * @param {Object} surface - Layout size {width, height, pixelRatio}
+   * @param {Object} config - Full particle configuration
+   * @returns {Object} Renderer instance
+   */
+  static create(name, canvas, surface, config) {
+    const RendererClass = renderers.get(name)
+    if (!RendererClass) {
+      throw new Error('Unknown renderer: ' + name)
+    }
+    return new RendererClass(canvas, surface, config)
+  }
+}
+
+RendererRegistry.register('canvas2d', Canvas2DRenderer)
+
+export default RendererRegistry
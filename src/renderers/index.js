@@ -0,0 +1,3 @@
+export { Renderer } from './Renderer.js'
+export { Canvas2DRenderer } from './Canvas2DRenderer.js'
+export { RendererRegistry } from './RendererRegistry.js'
\ No newline at end of file
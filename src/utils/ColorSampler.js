@@ -0,0 +1,107 @@
+/**
+ * Color sampling helpers for source-colored particles
+ */
+export class ColorSampler {
+  /**
+   * Read the RGB value of a pixel
+   * @param {ImageData} pixelData - Image pixel data
+   * @param {number} x - Pixel column
+   * @param {number} y - Pixel row
+   * @returns {Array} RGB triple [r, g, b]
+   */
+  static samplePixel(pixelData, x, y) {
+    const index = (x + y * pixelData.width) * 4
+    return [
+      pixelData.data[index],
+      pixelData.data[index + 1],
+      pixelData.data[index + 2]
+    ]
+  }
+
+  /**
+   * Build a reduced palette from sampled colors using median cut
+   * @param {Array} colors - Array of RGB triples
+   * @param {number} size - Maximum number of palette entries
+   * @returns {Array} Array of RGB triples
+   */
+  static buildPalette(colors, size = 8) {
+    if (!colors.length) {
+      return []
+    }
+
+    let boxes = [colors]
+    while (boxes.length < size) {
+      // Split the box with the widest channel range
+      let target = -1
+      let targetRange = 0
+      let targetChannel = 0
+
+      boxes.forEach((box, index) => {
+        if (box.length < 2) return
+        for (let channel = 0; channel < 3; channel++) {
+          let min = 255
+          let max = 0
+          for (const color of box) {
+            if (color[channel] < min) min = color[channel]
+            if (color[channel] > max) max = color[channel]
+          }
+          if (max - min > targetRange) {
+            target = index
+            targetRange = max - min
+            targetChannel = channel
+          }
+        }
+      })
+
+      if (target === -1) {
+        break
+      }
+
+      const sorted = [...boxes[target]].sort((a, b) => a[targetChannel] - b[targetChannel])
+      const middle = Math.floor(sorted.length / 2)
+      boxes.splice(target, 1, sorted.slice(0, middle), sorted.slice(middle))
+    }
+
+    return boxes.map(box => {
+      const sum = [0, 0, 0]
+      for (const color of box) {
+        sum[0] += color[0]
+        sum[1] += color[1]
+        sum[2] += color[2]
+      }
+      return sum.map(channel => Math.round(channel / box.length))
+    })
+  }
+
+  /**
+   * Find the closest palette entry for a color
+   * @param {Array} color - RGB triple
+   * @param {Array} palette - Array of RGB triples
+   * @returns {Array} Closest palette entry
+   */
+  static nearest(color, palette) {
+    let best = palette[0]
+    let bestDist = Infinity
+    for (const entry of palette) {
+      const dist = (color[0] - entry[0]) ** 2 +
+                   (color[1] - entry[1]) ** 2 +
+                   (color[2] - entry[2]) ** 2
+      if (dist < bestDist) {
+        best = entry
+        bestDist = dist
+      }
+    }
+    return best
+  }
+
+  /**
+   * Convert an RGB triple to a CSS color string
+   * @param {Array} color - RGB triple
+   * @returns {string} CSS rgb() color
+   */
+  static toCss(color) {
+    return `rgb(${color[0]}, ${color[1]}, ${color[2]})`
+  }
+}
+
+export default ColorSampler
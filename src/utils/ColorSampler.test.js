@@ -0,0 +1,90 @@
+import { ColorSampler } from './ColorSampler.js'
+import { ConfigMerger } from './ConfigMerger.js'
+import { ResponsiveCalculator } from './ResponsiveCalculator.js'
+import { CoreParticleSystem } from '../core/CoreParticleSystem.js'
+import { createElement, installDom } from '../../test/fakeDom.js'
+
+// Opaque pixel data from rows of RGB triples
+function pixels(rows) {
+  const height = rows.length
+  const width = rows[0].length
+  const data = new Uint8ClampedArray(width * height * 4)
+  rows.flat().forEach((color, index) => {
+    data.set([...color, 255], index * 4)
+  })
+  return { data, width, height }
+}
+
+const RED = [255, 0, 0]
+const DARK_RED = [200, 10, 10]
+const BLUE = [0, 0, 255]
+const NAVY = [10, 10, 180]
+
+describe('ColorSampler', () => {
+  it('reads the RGB value of a pixel', () => {
+    const image = pixels([[RED, BLUE], [NAVY, DARK_RED]])
+
+    expect(ColorSampler.samplePixel(image, 1, 0)).toEqual(BLUE)
+    expect(ColorSampler.samplePixel(image, 0, 1)).toEqual(NAVY)
+  })
+
+  describe('buildPalette', () => {
+    it('splits colors along the widest channel and averages each group', () => {
+      const palette = ColorSampler.buildPalette([RED, DARK_RED, BLUE, NAVY], 2)
+
+      expect(palette).toHaveLength(2)
+      expect(palette).toContainEqual([5, 5, 218])
+      expect(palette).toContainEqual([228, 5, 5])
+    })
+
+    it('stops splitting once every group holds one color', () => {
+      expect(ColorSampler.buildPalette([RED, RED, RED], 4)).toEqual([RED])
+      expect(ColorSampler.buildPalette([], 4)).toEqual([])
+    })
+  })
+
+  it('finds the nearest palette entry', () => {
+    expect(ColorSampler.nearest(DARK_RED, [BLUE, RED])).toBe(RED)
+  })
+
+  it('formats CSS colors', () => {
+    expect(ColorSampler.toCss([1, 2, 3])).toBe('rgb(1, 2, 3)')
+  })
+
+  describe('particles.color_mode', () => {
+    let uninstall
+
+    beforeEach(() => {
+      uninstall = installDom()
+    })
+
+    afterEach(() => {
+      uninstall()
+    })
+
+    // Particle colors for a 4x1 image sampled at every pixel
+    function sampleColors(particles) {
+      const config = ConfigMerger.setDefaults({
+        image: { src: { path: 'logo.png' } },
+        responsive: { enabled: false },
+        particles: { density: 4, ...particles }
+      })
+      const system = new CoreParticleSystem(config, createElement('canvas'), new ResponsiveCalculator(config))
+      return system.samplePoints(pixels([[RED, DARK_RED, BLUE, NAVY]])).map(point => point.color)
+    }
+
+    it('leaves colors to particles.color by default', () => {
+      expect(sampleColors({})).toEqual([null, null, null, null])
+    })
+
+    it('takes the color of the sampled pixel with source', () => {
+      expect(sampleColors({ color_mode: 'source' })).toEqual([RED, DARK_RED, BLUE, NAVY])
+    })
+
+    it('reduces source colors to palette_size entries with source_quantized', () => {
+      const colors = sampleColors({ color_mode: 'source_quantized', palette_size: 2 })
+
+      expect(colors).toEqual([[228, 5, 5], [228, 5, 5], [5, 5, 218], [5, 5, 218]])
+    })
+  })
+})
@@ -1,4 +1,18 @@
 import { Utils } from './Utils.js'
+import { FlowPresets } from './FlowPresets.js'
+import { ConfigSchema } from './ConfigSchema.js'
+
+// Flow stage types run by the instance and by the flow engine itself
+const STAGE_TYPES = [
+  'float', 'wait_for_click', 'wait_for_hover', 'wait_for_leave', 'wait_for_visible', 'animation',
+  'disable_floating', 'scatter', 'reassemble', 'assemble', 'fade_out', 'fade_in',
+  'delay', 'wait_for_event', 'goto', 'loop', 'parallel'
+]
+
+// The original library drew a still image with pointer interactions and no viewport scaling
+const LEGACY_BEHAVIOR = {
+  features: { responsive: false }
+}
 
 /**
  * Configuration merger for secondary particles
@@ -37,52 +51,207 @@ export class ConfigMerger {
   }
 
   /**
-   * Validate particle configuration
+   * Check if parameters are in the original particle-image params.json format
+   * @param {Object} params - Parameters to check
+   * @returns {boolean} True if the parameters need fromLegacy()
+   */
+  static isLegacy(params) {
+    const interactions = params?.interactions || {}
+    return Array.isArray(params?.particles?.array) ||
+      params?.particles?.interactivity?.fn_array !== undefined ||
+      typeof params?.image?.src === 'string' ||
+      interactions.repulse?.distance !== undefined ||
+      interactions.repulse?.strength !== undefined ||
+      interactions.grab?.distance !== undefined
+  }
+
+  /**
+   * Convert original particle-image params to a configuration
+   * @param {Object} params - Original params.json contents
+   * @returns {Object} {config, unmapped}; unmapped lists the paths of options that were dropped
+   */
+  static fromLegacy(params) {
+    const config = ConfigSchema.migrate(Utils.deepExtend({}, params))
+    const unmapped = []
+
+    // Runtime state the original kept in its params; only carried over when empty
+    const particles = config.particles || {}
+    for (const [owner, key, path] of [
+      [particles, 'array', 'particles.array'],
+      [particles.interactivity, 'fn_array', 'particles.interactivity.fn_array']
+    ]) {
+      if (owner?.[key] === undefined) {
+        continue
+      }
+      if (!Array.isArray(owner[key]) || owner[key].length > 0) {
+        unmapped.push(path)
+      }
+      delete owner[key]
+    }
+
+    if (typeof config.image?.src === 'string') {
+      config.image.src = { path: config.image.src }
+    }
+
+    // repulse took the distance/strength pair big_repulse still uses
+    const repulse = config.interactions?.repulse
+    if (repulse && (repulse.distance !== undefined || repulse.strength !== undefined)) {
+      const { distance, strength, ...rest } = repulse
+      config.interactions.repulse = rest
+      if (Utils.isValidNumber(distance) && rest.detection_radius === undefined) {
+        rest.detection_radius = distance
+      }
+      if (Utils.isValidNumber(strength) && rest.max_displacement === undefined) {
+        rest.max_displacement = Utils.clamp(strength / 200, 0.5, 5.0)
+      }
+    }
+
+    const grab = config.interactions?.grab
+    if (grab?.distance !== undefined) {
+      const { distance, ...rest } = grab
+      config.interactions.grab = { radius: distance, ...rest }
+    }
+
+    unmapped.push(...ConfigSchema.removeUnknown(config))
+
+    return {
+      config: Utils.deepExtend(Utils.deepExtend({}, LEGACY_BEHAVIOR), config),
+      unmapped
+    }
+  }
+
+  /**
+   * List the options a partial configuration would change, following the merge rules of deepExtend
+   * @param {Object} config - Current configuration
+   * @param {Object} changes - Partial configuration
+   * @param {string} path - Path of config within the full configuration
+   * @returns {Array} Paths of the changed options, e.g. 'particles.density'
+   */
+  static diffConfig(config, changes, path = '') {
+    const changed = []
+    for (const [key, value] of Object.entries(changes || {})) {
+      const childPath = path ? `${path}.${key}` : key
+      const current = config?.[key]
+      if (value && value.constructor === Object) {
+        changed.push(...ConfigMerger.diffConfig(current, value, childPath))
+      } else if (Array.isArray(value)
+        ? JSON.stringify(value) !== JSON.stringify(current)
+        : value !== current) {
+        changed.push(childPath)
+      }
+    }
+    return changed
+  }
+
+  /**
+   * Validate a configuration against the option schema and the rules spanning several options.
+   * Messages start with the JSON path of the option; unknown and deprecated options are warnings.
    * @param {Object} config - Configuration to validate
-   * @returns {Object} Validation result {valid: boolean, errors: Array}
+   * @param {Object} options - {strict, stageTypes, known}: strict (default config.strict) turns
+   *   warnings into errors, stageTypes and known add plugin stage types and options
+   * @returns {Object} Validation result {valid: boolean, errors: Array, warnings: Array}
    */
-  static validateConfig(config) {
-    const errors = []
+  static validateConfig(config, options = {}) {
+    const { errors, warnings } = ConfigSchema.validate(config, options.known)
     
     if (!config.particles) {
-      errors.push('Missing particles configuration')
+      errors.push('particles: required')
     }
     
     if (!config.image) {
-      errors.push('Missing image configuration')
+      errors.push('image: required')
     }
-    
-    if (config.particles?.density && !Utils.isValidNumber(config.particles.density)) {
-      errors.push('Invalid particles density')
+
+    const interactivity = config.particles?.interactivity || {}
+    const actions = ['repulse', 'big_repulse', 'attract', 'swirl', 'bubble', 'grab']
+    for (const trigger of ['on_hover', 'on_click', 'on_touch']) {
+      const action = interactivity[trigger]?.action
+      if (typeof action === 'string' && !actions.includes(action) && !config.interactions?.[action]) {
+        errors.push(`particles.interactivity.${trigger}.action: unknown action '${action}'`)
+      }
+    }
+
+    if (config.gestures?.bindings) {
+      const gestureNames = [
+        'pinch_in', 'pinch_out', 'long_press', 'swipe_left', 'swipe_right', 'swipe_up', 'swipe_down'
+      ]
+      const commands = ['next_stage', 'scatter', 'reassemble', 'fade_out', 'play_animation', 'stop_animation']
+      for (const [gesture, binding] of Object.entries(config.gestures.bindings)) {
+        if (!gestureNames.includes(gesture)) {
+          errors.push(`gestures.bindings.${gesture}: unknown gesture`)
+        } else if (typeof binding === 'string' && !commands.includes(binding) && !actions.includes(binding) &&
+            !config.interactions?.[binding]) {
+          errors.push(`gestures.bindings.${gesture}: unknown command or action '${binding}'`)
+        }
+      }
     }
     
-    if (config.particles?.size?.value && !Utils.isValidNumber(config.particles.size.value)) {
-      errors.push('Invalid particles size value')
+    if (config.secondary_particles?.enabled && !config.secondary_particles.placement_mode) {
+      errors.push('secondary_particles.placement_mode: required when secondary particles are enabled')
     }
     
-    if (config.secondary_particles?.enabled) {
-      const sp = config.secondary_particles
-      if (!sp.placement_mode || !['grid', 'random', 'around_image'].includes(sp.placement_mode)) {
-        errors.push('Invalid secondary particles placement mode')
-      }
+    if (typeof config.flow?.preset === 'string' && !config.flow.stages && !FlowPresets.has(config.flow.preset)) {
+      errors.push(`flow.preset: unknown preset '${config.flow.preset}'`)
+    }
+
+    if (Array.isArray(config.flow?.stages)) {
+      const stageTypes = [...STAGE_TYPES, ...(options.stageTypes || [])]
+      ConfigMerger.validateStages(config.flow.stages, errors, 'flow.stages', stageTypes)
     }
     
     if (config.animation?.enabled) {
       const anim = config.animation
-      if (!Array.isArray(anim.frames) || anim.frames.length === 0) {
-        errors.push('Animation enabled but no frames specified')
-      }
-      if (anim.frame_duration_ms && !Utils.isValidNumber(anim.frame_duration_ms)) {
-        errors.push('Invalid animation frame duration')
+      if (anim.sprite_sheet) {
+        const sheet = anim.sprite_sheet
+        if (!sheet.path && !sheet.atlas) {
+          errors.push('animation.sprite_sheet: requires a path or atlas')
+        }
+        if (!sheet.atlas && (!Utils.isValidNumber(sheet.columns) || !Utils.isValidNumber(sheet.rows) ||
+            sheet.columns < 1 || sheet.rows < 1)) {
+          errors.push('animation.sprite_sheet: a grid requires columns and rows')
+        }
+      } else if (!Array.isArray(anim.frames) || anim.frames.length === 0) {
+        errors.push('animation.frames: required when animation is enabled')
       }
     }
+
+    if (options.strict ?? config.strict === true) {
+      errors.push(...warnings.splice(0))
+    }
     
     return {
       valid: errors.length === 0,
-      errors
+      errors,
+      warnings
     }
   }
 
+  /**
+   * Validate the parameters of flow stages, including parallel children
+   * @param {Array} stages - Stage definitions
+   * @param {Array} errors - Error list to append to
+   * @param {string} path - JSON path of the stage list
+   * @param {Array} stageTypes - Known stage types
+   */
+  static validateStages(stages, errors, path = 'flow.stages', stageTypes = STAGE_TYPES) {
+    stages.forEach((stage, index) => {
+      const stagePath = `${path}[${index}]`
+      if (!stage || typeof stage.type !== 'string') {
+        errors.push(`${stagePath}.type: required`)
+      } else if (!stageTypes.includes(stage.type)) {
+        errors.push(`${stagePath}.type: unknown stage type '${stage.type}'`)
+      } else if (stage.type === 'delay' && (!Utils.isValidNumber(stage.ms) || stage.ms < 0)) {
+        errors.push(`${stagePath}.ms: expected a number of at least 0`)
+      } else if (stage.type === 'wait_for_event' && (!stage.event || typeof stage.event !== 'string')) {
+        errors.push(`${stagePath}.event: required`)
+      } else if (stage.type === 'goto' && stage.target === undefined) {
+        errors.push(`${stagePath}.target: required`)
+      } else if (stage.type === 'parallel') {
+        ConfigMerger.validateStages(stage.stages || [], errors, `${stagePath}.stages`, stageTypes)
+      }
+    })
+  }
+
 /**
    * Set default configuration values
    * @param {Object} config - Configuration object
@@ -92,6 +261,9 @@ export class ConfigMerger {
     const defaults = {
       particles: {
         color: '#ffffff',
+        color_mode: 'config',
+        palette_size: 8,
+        storage: 'objects',
         density: 100,
         size: {
           value: 2,
@@ -113,9 +285,31 @@ export class ConfigMerger {
         scatter: {
           force: 3
         },
+        reassemble: {
+          duration_ms: 1000,
+          stagger_ms: 0,
+          easing: 'easeInOutCubic'
+        },
         fade_out: {
           enabled: false,
-          duration: 2000
+          duration_ms: 1000,
+          pattern: 'uniform',
+          easing: 'linear',
+          spread: 0.7
+        },
+        entrance: {
+          pattern: 'none',
+          order: 'distance',
+          duration_ms: 1200,
+          stagger_ms: 600,
+          easing: 'easeOutCubic'
+        },
+        fade_in: {
+          enabled: false,
+          duration_ms: 1000,
+          pattern: 'uniform',
+          easing: 'linear',
+          spread: 0.7
         },
         interactivity: {
           on_hover: {
@@ -152,32 +346,93 @@ export class ConfigMerger {
           detection_radius: 100,
           max_displacement: 0.5,
           repulse_duration: 0.1,
-          force_curve: 'linear'
+          force_curve: 'linear',
+          pressure_scaling: false
         },
         big_repulse: {
           distance: 100,
-          strength: 500
+          strength: 500,
+          pressure_scaling: false
+        },
+        attract: {
+          radius: 150,
+          strength: 1,
+          falloff: 'linear'
+        },
+        swirl: {
+          radius: 150,
+          strength: 1,
+          falloff: 'linear',
+          direction: 'clockwise'
+        },
+        bubble: {
+          radius: 100,
+          strength: 1,
+          falloff: 'linear'
+        },
+        grab: {
+          radius: 140,
+          strength: 1,
+          falloff: 'linear',
+          line_color: '#ffffff',
+          line_width: 1
         }
       },
+      gestures: {
+        enabled: false,
+        pinch_threshold: 0.2,
+        swipe_min_distance: 50,
+        swipe_max_duration: 500,
+        long_press_ms: 500,
+        move_tolerance: 10,
+        drag_threshold: 10,
+        tap_max_duration: 300,
+        bindings: {}
+      },
       flow: {
-        preset: 'float_click_animate_scatter_fade',
-        stages: [
-          { type: 'float', enabled: true },
-          { type: 'wait_for_click', enabled: true },
-          { type: 'animation', enabled: true, play_once: true },
-          { type: 'disable_floating', enabled: true },
-          { type: 'scatter', enabled: true },
-          { type: 'fade_out', enabled: true }
-        ],
         current_stage_index: 0,
         auto_progress: true
       },
-      responsive: {
-        enabled: false
+      morph: {
+        duration_ms: 800,
+        easing: 'easeInOutCubic',
+        frames: {
+          enabled: true,
+          easing: 'easeOutQuad'
+        }
+      },
+      render_mode: 'main',
+      physics: {
+        timestep_ms: 1000 / 60,
+        max_steps_per_frame: 5,
+        interpolate: true
+      },
+      renderer: {
+        type: 'canvas2d',
+        batching: 'path'
+      },
+      canvas: {
+        pixel_ratio: null,
+        max_pixel_ratio: 2
+      },
+      events: {
+        document_bridge: false
+      },
+      accessibility: {
+        label: null,
+        role: 'img',
+        description: null,
+        keyboard: true,
+        focus_ring: {
+          color: '#4a90d9',
+          width: 2,
+          offset: 2
+        },
+        reduced_motion: 'auto'
       }
     }
     
-    return ConfigMerger.normalizeConfig(Utils.deepExtend(defaults, config))
+    return ConfigMerger.normalizeConfig(Utils.deepExtend(defaults, ConfigSchema.migrate(config)))
   }
 
   /**
@@ -188,13 +443,12 @@ export class ConfigMerger {
   static normalizeConfig(config) {
     const features = config.features || {}
 
-    if (!config.animation && config.image?.animation) {
-      config.animation = { ...config.image.animation }
-      delete config.image.animation
-    }
-
-    if (!config.responsive && config.particles?.responsive) {
-      config.responsive = { ...config.particles.responsive }
+    // particles.responsive is the documented location; top-level responsive wins on conflicts
+    if (config.particles?.responsive) {
+      config.responsive = Utils.deepExtend(
+        Utils.deepExtend({}, config.particles.responsive),
+        config.responsive || {}
+      )
     }
 
     if (config.flow?.play_once && config.animation) {
@@ -205,6 +459,11 @@ export class ConfigMerger {
       config.animation.auto_start = false
     }
 
+    // Explicit stages win over the named preset
+    if (config.flow && !Array.isArray(config.flow.stages) && config.flow.preset) {
+      config.flow.stages = FlowPresets.expand(config.flow.preset, config.flow.overrides) || []
+    }
+
     if (features.responsive !== false && config.responsive?.enabled === undefined) {
       config.responsive = { ...config.responsive, enabled: true }
     }
@@ -0,0 +1,138 @@
+import { ConfigMerger } from './ConfigMerger.js'
+
+const base = () => ({ image: { src: { path: 'logo.png' } }, particles: { density: 6 } })
+
+describe('ConfigMerger', () => {
+  describe('validateConfig', () => {
+    it('requires particles and image', () => {
+      const { valid, errors } = ConfigMerger.validateConfig({})
+
+      expect(valid).toBe(false)
+      expect(errors).toEqual(['particles: required', 'image: required'])
+    })
+
+    it('keeps warnings apart from errors by default', () => {
+      const config = { ...base(), particles: { density: 6, densty: 4 } }
+
+      expect(ConfigMerger.validateConfig(config)).toEqual({
+        valid: true,
+        errors: [],
+        warnings: ['particles.densty: unknown option']
+      })
+    })
+
+    it('turns warnings into errors in strict mode', () => {
+      const config = { ...base(), particles: { density: 6, densty: 4 } }
+      const expected = {
+        valid: false,
+        errors: ['particles.densty: unknown option'],
+        warnings: []
+      }
+
+      expect(ConfigMerger.validateConfig(config, { strict: true })).toEqual(expected)
+      expect(ConfigMerger.validateConfig({ ...config, strict: true })).toEqual(expected)
+    })
+
+    it('lets the strict option override config.strict', () => {
+      const config = { ...base(), strict: true, particles: { density: 6, densty: 4 } }
+
+      expect(ConfigMerger.validateConfig(config, { strict: false }).valid).toBe(true)
+    })
+
+    it('reports stage errors by path, including parallel children', () => {
+      const config = {
+        ...base(),
+        flow: {
+          stages: [
+            { type: 'float' },
+            { type: 'parallel', stages: [{ type: 'explode' }] }
+          ]
+        }
+      }
+
+      const { errors } = ConfigMerger.validateConfig(config)
+
+      expect(errors).toEqual([expect.stringMatching(/^flow\.stages\[1\]\.stages\[0\]\.type: /)])
+      expect(ConfigMerger.validateConfig(config, { stageTypes: ['explode'] }).valid).toBe(true)
+    })
+
+    it('rejects unknown flow presets', () => {
+      const { errors } = ConfigMerger.validateConfig({ ...base(), flow: { preset: 'nope' } })
+
+      expect(errors).toEqual(["flow.preset: unknown preset 'nope'"])
+    })
+  })
+
+  describe('isLegacy', () => {
+    it('detects the original params.json format', () => {
+      expect(ConfigMerger.isLegacy({ image: { src: 'logo.png' } })).toBe(true)
+      expect(ConfigMerger.isLegacy({ particles: { array: [] } })).toBe(true)
+      expect(ConfigMerger.isLegacy({ interactions: { repulse: { distance: 100 } } })).toBe(true)
+      expect(ConfigMerger.isLegacy(base())).toBe(false)
+    })
+  })
+
+  describe('fromLegacy', () => {
+    const legacy = () => ({
+      particles: {
+        array: [],
+        density: 10,
+        interactivity: { fn_array: [{ name: 'repulse' }] }
+      },
+      image: { src: 'logo.png', size: { canvas_pct: 60 } },
+      interactions: {
+        repulse: { distance: 80, strength: 400 },
+        grab: { distance: 120 }
+      }
+    })
+
+    it('converts the original options to their current form', () => {
+      const { config } = ConfigMerger.fromLegacy(legacy())
+
+      expect(config.image).toEqual({ src: { path: 'logo.png' }, size: { canvas_pct: 60 } })
+      expect(config.interactions.repulse).toEqual({ detection_radius: 80, max_displacement: 2 })
+      expect(config.interactions.grab).toEqual({ radius: 120 })
+      expect(config.particles.density).toBe(10)
+    })
+
+    it('keeps the original fixed-size behavior', () => {
+      expect(ConfigMerger.fromLegacy(legacy()).config.features).toEqual({ responsive: false })
+    })
+
+    it('drops runtime state and lists what could not be carried over', () => {
+      const { config, unmapped } = ConfigMerger.fromLegacy(legacy())
+
+      expect(config.particles.array).toBeUndefined()
+      expect(config.particles.interactivity.fn_array).toBeUndefined()
+      // An empty particles.array holds no state, so nothing is lost
+      expect(unmapped).toEqual(['particles.interactivity.fn_array'])
+    })
+
+    it('lists unknown options as unmapped', () => {
+      const params = { ...legacy(), retina_detect: true }
+
+      expect(ConfigMerger.fromLegacy(params).unmapped).toContain('retina_detect')
+    })
+
+    it('clamps the repulse strength into the displacement range', () => {
+      const params = legacy()
+      params.interactions.repulse.strength = 5000
+
+      expect(ConfigMerger.fromLegacy(params).config.interactions.repulse.max_displacement).toBe(5)
+    })
+
+    it('produces a configuration that validates', () => {
+      const { config } = ConfigMerger.fromLegacy(legacy())
+
+      expect(ConfigMerger.validateConfig(config, { strict: true }).errors).toEqual([])
+    })
+
+    it('does not change the params', () => {
+      const params = legacy()
+
+      ConfigMerger.fromLegacy(params)
+
+      expect(params).toEqual(legacy())
+    })
+  })
+})
@@ -0,0 +1,605 @@
+import { Utils } from './Utils.js'
+import { Easing } from './Easing.js'
+
+// Schema node builders. Numbers take hard limits (min, max, above, below), which are errors,
+// and a documented range, which is only a warning when left.
+const number = (limits = {}) => ({ type: 'number', ...limits })
+const integer = (limits = {}) => ({ type: 'integer', ...limits })
+const oneOf = (...values) => ({ type: 'enum', values })
+const object = (properties, options = {}) => ({ type: 'object', properties, ...options })
+const arrayOf = items => ({ type: 'array', items })
+const anyOf = (...options) => ({ anyOf: options })
+const nullable = node => ({ ...node, nullable: true })
+
+const BOOLEAN = { type: 'boolean' }
+const STRING = { type: 'string' }
+const COLOR = { type: 'color' }
+const EASING = { type: 'easing' }
+const DURATION = number({ min: 0 })
+const DIRECTION = oneOf('left_to_right', 'right_to_left', 'top_down', 'bottom_up')
+const FALLOFF = oneOf('none', 'linear', 'quadratic', 'smooth')
+
+const FADE = object({
+  enabled: BOOLEAN,
+  duration_ms: number({ min: 0, range: [100, 5000] }),
+  pattern: oneOf('uniform', 'radial', 'wipe', 'random', 'noise'),
+  easing: EASING,
+  spread: number({ min: 0, max: 1 }),
+  origin: object({ x_pct: number(), y_pct: number() }),
+  direction: DIRECTION,
+  noise_scale: number({ above: 0 })
+})
+
+const BREAKPOINT = object({ max_width: number({ above: 0 }), multiplier: number({ min: 0 }) })
+const BREAKPOINTS = object({ mobile: BREAKPOINT, tablet: BREAKPOINT, desktop: BREAKPOINT })
+
+const RESPONSIVE = object({
+  enabled: BOOLEAN,
+  size: object({
+    base_viewport: number({ above: 0 }),
+    scale_factor: number(),
+    min_size: number({ min: 0 }),
+    max_size: number({ min: 0 }),
+    breakpoints: BREAKPOINTS
+  }),
+  density: object({
+    base_density: number({ min: 0 }),
+    base_viewport: number({ above: 0 }),
+    scale_factor: number(),
+    min_density: number({ min: 0 }),
+    max_density: number({ min: 0 }),
+    breakpoints: BREAKPOINTS
+  }),
+  breakpoints: BREAKPOINTS
+})
+
+const MOVEMENT = {
+  speed: number({ min: 0, range: [0.1, 10] }),
+  restless: object({ enabled: BOOLEAN, value: number({ min: 0, range: [1, 50] }) }),
+  floating: object({
+    enabled: BOOLEAN,
+    amplitude: number({ min: 0, range: [1, 20] }),
+    frequency: number({ min: 0, range: [0.1, 2] }),
+    phase_offset: number({ range: [0, 2 * Math.PI] })
+  })
+}
+
+const TRIGGER = object({ enabled: BOOLEAN, action: STRING })
+
+// Options of particles, also inherited and overridable by secondary_particles
+const PARTICLES = {
+  color: anyOf(COLOR, arrayOf(COLOR)),
+  color_mode: oneOf('config', 'source', 'source_quantized'),
+  palette_size: number({ min: 1, range: [1, 64] }),
+  storage: oneOf('objects', 'typed'),
+  density: number({ min: 0, range: [1, 500] }),
+  size: object({ value: number({ min: 0, range: [0.5, 10] }), random: BOOLEAN }),
+  start_scrambled: BOOLEAN,
+  responsive: RESPONSIVE,
+  movement: object(MOVEMENT),
+  scatter: object({ force: number({ min: 0, range: [1, 20] }) }),
+  reassemble: object({ duration_ms: DURATION, stagger_ms: DURATION, easing: EASING }),
+  fade_out: FADE,
+  fade_in: FADE,
+  entrance: object({
+    pattern: oneOf('none', 'scramble', 'edges', 'spiral', 'implode', 'rain', 'sweep', 'pointer'),
+    order: oneOf('distance', 'row', 'random'),
+    duration_ms: DURATION,
+    stagger_ms: DURATION,
+    easing: EASING,
+    direction: DIRECTION,
+    turns: number(),
+    origin: object({ x: number(), y: number() })
+  }),
+  interactivity: object({ on_hover: TRIGGER, on_click: TRIGGER, on_touch: TRIGGER })
+}
+
+const SECONDARY_PARTICLES = object({
+  ...PARTICLES,
+  enabled: BOOLEAN,
+  placement_mode: oneOf('grid', 'random', 'around_image'),
+  particle_multiplier: number({ min: 0, range: [0.01, 0.5] }),
+  placement_image_buffer: number({ min: 0, range: [10, 200] }),
+  placement_radius_percentage: number({ min: 0 }),
+  grid_spacing: number({ above: 0 }),
+  random_margin: number({ min: 0 }),
+  render_order: oneOf('background', 'foreground'),
+  movement: object({
+    ...MOVEMENT,
+    random: object({ enabled: BOOLEAN, speed: number({ min: 0, range: [0.1, 2] }) })
+  }),
+  interactivity: object({
+    enabled: BOOLEAN,
+    detection_radius: number({ above: 0, range: [50, 300] }),
+    touch_sensitivity: number({ min: 0, range: [0.01, 1] }),
+    touch_max_offset: number({ min: 0, range: [0.5, 10] })
+  })
+})
+
+const IMAGE = object({
+  src: object({
+    path: nullable(STRING),
+    is_external: BOOLEAN,
+    text: STRING,
+    font: STRING,
+    weight: anyOf(STRING, number()),
+    style: STRING,
+    size: number({ above: 0 }),
+    align: oneOf('left', 'center', 'right'),
+    line_height: number({ above: 0 }),
+    max_width: number({ above: 0 }),
+    color: COLOR
+  }),
+  position: object({
+    x_img_pct: number({ range: [-100, 100] }),
+    y_img_pct: number({ range: [-100, 100] })
+  }),
+  size: object({
+    canvas_pct: number({ above: 0 }),
+    min_px: number({ min: 0 }),
+    max_px: number({ min: 0 })
+  })
+})
+
+const INTERACTIONS = object({
+  repulse: object({
+    detection_radius: number({ above: 0, range: [10, 300] }),
+    max_displacement: number({ min: 0, range: [0.1, 5] }),
+    repulse_duration: number({ min: 0, range: [0.05, 1] }),
+    force_curve: oneOf('linear', 'top_heavy', 'bottom_heavy'),
+    pressure_scaling: BOOLEAN
+  }),
+  big_repulse: object({
+    distance: number({ above: 0, range: [50, 500] }),
+    strength: number({ range: [100, 2000] }),
+    pressure_scaling: BOOLEAN
+  }),
+  attract: object({ radius: number({ above: 0 }), strength: number(), falloff: FALLOFF }),
+  swirl: object({
+    radius: number({ above: 0 }),
+    strength: number(),
+    falloff: FALLOFF,
+    direction: oneOf('clockwise', 'counterclockwise')
+  }),
+  bubble: object({
+    radius: number({ above: 0 }),
+    strength: number(),
+    falloff: FALLOFF,
+    opacity: number({ min: 0, max: 1 })
+  }),
+  grab: object({
+    radius: number({ above: 0 }),
+    strength: number(),
+    falloff: FALLOFF,
+    line_color: COLOR,
+    line_width: number({ min: 0 })
+  })
+})
+
+const ANIMATION = object({
+  enabled: BOOLEAN,
+  frames: arrayOf(anyOf(STRING, number())),
+  frame_base_path: STRING,
+  frame_suffix: STRING,
+  frame_duration_ms: number({ above: 0, range: [50, 1000] }),
+  loop: BOOLEAN,
+  auto_start: BOOLEAN,
+  is_external: BOOLEAN,
+  sprite_sheet: object({
+    path: STRING,
+    is_external: BOOLEAN,
+    columns: integer({ min: 1 }),
+    rows: integer({ min: 1 }),
+    frame_count: integer({ min: 1 }),
+    frame_width: number({ above: 0 }),
+    frame_height: number({ above: 0 }),
+    margin: number({ min: 0 }),
+    spacing: number({ min: 0 }),
+    atlas: anyOf(STRING, object({}, { open: true })),
+    tag: STRING
+  })
+})
+
+const SCHEMA = object({
+  id: STRING,
+  strict: BOOLEAN,
+  features: object({
+    responsive: BOOLEAN,
+    secondaryParticles: BOOLEAN,
+    animation: BOOLEAN,
+    floating: BOOLEAN,
+    scatter: BOOLEAN,
+    fade: BOOLEAN,
+    entrance: BOOLEAN,
+    interactivity: BOOLEAN
+  }),
+  particles: object(PARTICLES),
+  image: IMAGE,
+  responsive: RESPONSIVE,
+  secondary_particles: SECONDARY_PARTICLES,
+  animation: ANIMATION,
+  interactions: INTERACTIONS,
+  gestures: object({
+    enabled: BOOLEAN,
+    pinch_threshold: number({ above: 0, below: 1 }),
+    swipe_min_distance: number({ min: 0 }),
+    swipe_max_duration: number({ min: 0 }),
+    long_press_ms: number({ min: 0 }),
+    move_tolerance: number({ min: 0 }),
+    drag_threshold: number({ min: 0 }),
+    tap_max_duration: number({ min: 0 }),
+    // Gesture names and binding targets are checked against each other by ConfigMerger
+    bindings: object({}, { entries: STRING })
+  }),
+  flow: object({
+    preset: STRING,
+    overrides: object({}, { open: true }),
+    // Stage fields depend on the stage type; ConfigMerger.validateStages checks them
+    stages: { type: 'array' },
+    current_stage_index: integer({ min: 0 }),
+    auto_progress: BOOLEAN,
+    play_once: BOOLEAN,
+    click_to_play: BOOLEAN,
+    disable_interactivity_during_animation: BOOLEAN
+  }),
+  morph: object({
+    duration_ms: DURATION,
+    easing: EASING,
+    frames: object({ enabled: BOOLEAN, easing: EASING })
+  }),
+  render_mode: oneOf('main', 'worker'),
+  physics: object({
+    timestep_ms: number({ above: 0 }),
+    max_steps_per_frame: integer({ min: 1 }),
+    interpolate: BOOLEAN
+  }),
+  renderer: object({ type: STRING, batching: oneOf('path', 'sprite', 'none') }),
+  canvas: object({
+    pixel_ratio: nullable(number({ above: 0 })),
+    max_pixel_ratio: number({ above: 0 })
+  }),
+  events: object({ document_bridge: BOOLEAN }),
+  accessibility: object({
+    label: nullable(STRING),
+    role: STRING,
+    description: nullable(STRING),
+    keyboard: BOOLEAN,
+    focus_ring: object({ color: COLOR, width: number({ min: 0 }), offset: number() }),
+    reduced_motion: anyOf(oneOf('auto'), BOOLEAN)
+  })
+})
+
+// Deprecated option paths -> their replacements, applied in order
+const RENAMED = [
+  ['scatter', 'particles.scatter'],
+  ['fade_out', 'particles.fade_out'],
+  ['image.animation', 'animation'],
+  ['particles.fade_out.duration', 'particles.fade_out.duration_ms'],
+  ['particles.fade_in.duration', 'particles.fade_in.duration_ms'],
+  ['animation.base_path', 'animation.frame_base_path'],
+  ['animation.framePath', 'animation.frame_base_path']
+]
+
+/**
+ * Check if a value is a plain object
+ * @param {*} value - Value to check
+ * @returns {boolean} True for {} style objects
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value)
+}
+
+/**
+ * Check if a value is a CSS color; without CSS.supports (e.g. in a worker) only the syntax is checked
+ * @param {*} value - Value to check
+ * @returns {boolean} True if the value can be used as a color
+ */
+function isColor(value) {
+  if (typeof value !== 'string') {
+    return false
+  }
+  if (typeof CSS !== 'undefined' && typeof CSS.supports === 'function') {
+    return CSS.supports('color', value)
+  }
+  return /^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i.test(value) ||
+    /^(rgba?|hsla?)\([^()]*\)$/i.test(value) ||
+    /^[a-z]+$/i.test(value)
+}
+
+/**
+ * Describe what a schema node accepts, for error messages
+ * @param {Object} node - Schema node
+ * @returns {string} Description
+ */
+function describe(node) {
+  if (node.anyOf) {
+    return node.anyOf.map(describe).join(' or ')
+  }
+  if (node.type === 'enum') {
+    return node.values.map(quote).join(', ')
+  }
+  return {
+    number: 'a number',
+    integer: 'an integer',
+    string: 'a string',
+    boolean: 'a boolean',
+    color: 'a color',
+    easing: 'an easing name or function',
+    object: 'an object',
+    array: 'an array'
+  }[node.type]
+}
+
+/**
+ * Name the type of a value, for error messages
+ * @param {*} value - Value
+ * @returns {string} Type name
+ */
+function typeOf(value) {
+  if (Array.isArray(value)) {
+    return 'array'
+  }
+  return value === null ? 'null' : typeof value
+}
+
+/**
+ * Quote a value for messages
+ * @param {*} value - Value
+ * @returns {string} Quoted strings, the type of objects, other values as they print
+ */
+function quote(value) {
+  if (typeof value === 'string') {
+    return `'${value}'`
+  }
+  return typeof value === 'object' ? typeOf(value) : String(value)
+}
+
+/**
+ * Format a number for messages, e.g. 2π as 6.28
+ * @param {number} value - Number
+ * @returns {string} Formatted number
+ */
+function format(value) {
+  return String(Math.round(value * 100) / 100)
+}
+
+/**
+ * Check a value against a schema node, collecting problems
+ * @param {*} value - Value to check
+ * @param {Object} node - Schema node
+ * @param {string} path - JSON path of the value
+ * @param {Object} result - {errors, warnings} to append to
+ * @param {Object} known - Extra options to accept without checking, shaped like the configuration
+ */
+function check(value, node, path, result, known) {
+  if (value === undefined) {
+    return
+  }
+  if (value === null) {
+    if (!node.nullable) {
+      result.errors.push(`${path}: expected ${describe(node)}, got null`)
+    }
+    return
+  }
+
+  if (node.anyOf) {
+    // The first option without errors decides; its warnings still count
+    const attempts = node.anyOf.map(option => {
+      const attempt = { errors: [], warnings: [] }
+      check(value, option, path, attempt, known)
+      return attempt
+    })
+    const match = attempts.find(attempt => attempt.errors.length === 0)
+    if (match) {
+      result.warnings.push(...match.warnings)
+      return
+    }
+    // An option that only failed further down (e.g. one bad color in an array) has the useful message
+    const nested = attempts.find(attempt => attempt.errors.every(error => !error.startsWith(`${path}:`)))
+    result.errors.push(...(nested?.errors || [`${path}: expected ${describe(node)}, got ${typeOf(value)}`]))
+    return
+  }
+
+  switch (node.type) {
+    case 'number':
+    case 'integer':
+      checkNumber(value, node, path, result)
+      break
+    case 'string':
+    case 'boolean':
+      if (typeof value !== node.type) {
+        result.errors.push(`${path}: expected ${describe(node)}, got ${typeOf(value)}`)
+      }
+      break
+    case 'color':
+      if (!isColor(value)) {
+        result.errors.push(`${path}: invalid color ${quote(value)}`)
+      }
+      break
+    case 'easing':
+      if (typeof value !== 'function' && !Easing.has(value)) {
+        result.errors.push(`${path}: unknown easing ${quote(value)}`)
+      }
+      break
+    case 'enum':
+      if (!node.values.includes(value)) {
+        result.errors.push(`${path}: expected one of ${describe(node)}, got ${quote(value)}`)
+      }
+      break
+    case 'array':
+      if (!Array.isArray(value)) {
+        result.errors.push(`${path}: expected an array, got ${typeOf(value)}`)
+      } else if (node.items) {
+        value.forEach((item, index) => check(item, node.items, `${path}[${index}]`, result))
+      }
+      break
+    case 'object':
+      checkObject(value, node, path, result, known)
+      break
+  }
+}
+
+/**
+ * Check a number against its hard limits and documented range
+ * @param {*} value - Value to check
+ * @param {Object} node - Number schema node
+ * @param {string} path - JSON path of the value
+ * @param {Object} result - {errors, warnings} to append to
+ */
+function checkNumber(value, node, path, result) {
+  if (!Utils.isValidNumber(value) || (node.type === 'integer' && !Number.isInteger(value))) {
+    result.errors.push(`${path}: expected ${describe(node)}, got ${typeOf(value)}`)
+  } else if (node.min !== undefined && value < node.min) {
+    result.errors.push(`${path}: must be at least ${format(node.min)}, got ${value}`)
+  } else if (node.max !== undefined && value > node.max) {
+    result.errors.push(`${path}: must be at most ${format(node.max)}, got ${value}`)
+  } else if (node.above !== undefined && value <= node.above) {
+    result.errors.push(`${path}: must be greater than ${format(node.above)}, got ${value}`)
+  } else if (node.below !== undefined && value >= node.below) {
+    result.errors.push(`${path}: must be less than ${format(node.below)}, got ${value}`)
+  } else if (node.range && (value < node.range[0] || value > node.range[1])) {
+    result.warnings.push(
+      `${path}: ${value} is outside the documented range ${format(node.range[0])} to ${format(node.range[1])}`)
+  }
+}
+
+/**
+ * Check an object's options; options the schema does not describe are warned about
+ * @param {*} value - Value to check
+ * @param {Object} node - Object schema node
+ * @param {string} path - JSON path of the value
+ * @param {Object} result - {errors, warnings} to append to
+ * @param {Object} known - Extra options to accept without checking
+ */
+function checkObject(value, node, path, result, known) {
+  if (!isPlainObject(value)) {
+    result.errors.push(`${path || 'configuration'}: expected an object, got ${typeOf(value)}`)
+    return
+  }
+
+  for (const [key, child] of Object.entries(value)) {
+    const childPath = path ? `${path}.${key}` : key
+    const schema = node.properties[key] || node.entries
+    if (schema) {
+      check(child, schema, childPath, result, known?.[key])
+    } else if (!node.open && known?.[key] === undefined) {
+      result.warnings.push(`${childPath}: unknown option`)
+    }
+  }
+}
+
+/**
+ * Remove the options a schema object does not describe
+ * @param {Object} value - Object to clean in place
+ * @param {Object} node - Object schema node
+ * @param {string} path - JSON path of the object
+ * @param {Array} removed - Paths of removed options, appended to
+ */
+function removeUnknown(value, node, path, removed) {
+  for (const [key, child] of Object.entries(value)) {
+    const childPath = path ? `${path}.${key}` : key
+    const schema = node.properties[key] || node.entries
+    if (!schema && !node.open) {
+      delete value[key]
+      removed.push(childPath)
+    } else if (schema?.type === 'object' && isPlainObject(child)) {
+      removeUnknown(child, schema, childPath, removed)
+    }
+  }
+}
+
+/**
+ * Read a dotted path
+ * @param {Object} config - Configuration
+ * @param {string} path - Dotted path
+ * @returns {*} Value, or undefined if missing
+ */
+function getPath(config, path) {
+  return path.split('.').reduce((value, key) => isPlainObject(value) ? value[key] : undefined, config)
+}
+
+/**
+ * Write a dotted path, creating objects along the way
+ * @param {Object} config - Configuration
+ * @param {string} path - Dotted path
+ * @param {*} value - Value to write
+ */
+function setPath(config, path, value) {
+  const keys = path.split('.')
+  const last = keys.pop()
+  let target = config
+  for (const key of keys) {
+    if (!isPlainObject(target[key])) {
+      target[key] = {}
+    }
+    target = target[key]
+  }
+  target[last] = value
+}
+
+/**
+ * Schema of every documented configuration option
+ */
+export class ConfigSchema {
+  /**
+   * Check a configuration against the schema
+   * @param {Object} config - User configuration
+   * @param {Object} known - Extra options to accept, e.g. plugin defaults, shaped like the configuration
+   * @returns {Object} {errors: Array, warnings: Array}; messages start with the option's JSON path
+   */
+  static validate(config, known = {}) {
+    const result = { errors: [], warnings: [] }
+    const migrated = ConfigSchema.migrate(config, (from, to) => {
+      result.warnings.push(`${from}: deprecated, use ${to}`)
+    })
+    check(migrated, SCHEMA, '', result, known)
+    return result
+  }
+
+  /**
+   * Remove options the schema does not describe
+   * @param {Object} config - Configuration, changed in place
+   * @returns {Array} Paths of the removed options
+   */
+  static removeUnknown(config) {
+    const removed = []
+    if (isPlainObject(config)) {
+      removeUnknown(config, SCHEMA, '', removed)
+    }
+    return removed
+  }
+
+  /**
+   * Move deprecated options to their current names; the current name wins if both are set
+   * @param {Object} config - User configuration, left unchanged
+   * @param {Function} onRename - Called with (from, to) for each deprecated option found
+   * @returns {Object} The configuration, copied if anything was moved
+   */
+  static migrate(config, onRename = () => {}) {
+    let migrated = config
+    for (const [from, to] of RENAMED) {
+      if (getPath(migrated, from) === undefined) {
+        continue
+      }
+      if (migrated === config) {
+        migrated = Utils.deepExtend({}, config)
+      }
+      const value = getPath(migrated, from)
+
+      const keys = from.split('.')
+      const last = keys.pop()
+      delete (keys.length > 0 ? getPath(migrated, keys.join('.')) : migrated)[last]
+
+      const current = getPath(migrated, to)
+      if (isPlainObject(value) && isPlainObject(current)) {
+        setPath(migrated, to, Utils.deepExtend(Utils.deepExtend({}, value), current))
+      } else if (current === undefined) {
+        setPath(migrated, to, value)
+      }
+      onRename(from, to)
+    }
+    return migrated
+  }
+}
+
+export default ConfigSchema
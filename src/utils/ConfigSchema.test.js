@@ -0,0 +1,92 @@
+import { ConfigSchema } from './ConfigSchema.js'
+import { ConfigMerger } from './ConfigMerger.js'
+
+describe('ConfigSchema', () => {
+  describe('validate', () => {
+    it('accepts the defaults', () => {
+      const config = ConfigMerger.setDefaults({ image: { src: { path: 'logo.png' } } })
+
+      expect(ConfigSchema.validate(config)).toEqual({ errors: [], warnings: [] })
+    })
+
+    it('reports errors with the JSON path of the option', () => {
+      const { errors } = ConfigSchema.validate({
+        particles: { density: 'high', size: { value: -1 } }
+      })
+
+      expect(errors).toEqual([
+        'particles.density: expected a number, got string',
+        'particles.size.value: must be at least 0, got -1'
+      ])
+    })
+
+    it('warns about unknown options', () => {
+      const { errors, warnings } = ConfigSchema.validate({ particles: { densty: 4 } })
+
+      expect(errors).toEqual([])
+      expect(warnings).toEqual(['particles.densty: unknown option'])
+    })
+
+    it('warns about values outside the documented range', () => {
+      const { errors, warnings } = ConfigSchema.validate({ particles: { fade_out: { duration_ms: 20000 } } })
+
+      expect(errors).toEqual([])
+      expect(warnings).toEqual([
+        'particles.fade_out.duration_ms: 20000 is outside the documented range 100 to 5000'
+      ])
+    })
+
+    it('accepts extra options described by known', () => {
+      const config = { particles: { trail: { length: 3 } } }
+
+      expect(ConfigSchema.validate(config).warnings).toEqual(['particles.trail: unknown option'])
+      expect(ConfigSchema.validate(config, { particles: { trail: { length: 1 } } }).warnings).toEqual([])
+    })
+
+    it('warns about deprecated names and checks them under the current name', () => {
+      const { errors, warnings } = ConfigSchema.validate({ fade_out: { duration: -1 } })
+
+      expect(warnings).toEqual([
+        'fade_out: deprecated, use particles.fade_out',
+        'particles.fade_out.duration: deprecated, use particles.fade_out.duration_ms'
+      ])
+      expect(errors).toEqual([expect.stringMatching(/^particles\.fade_out\.duration_ms: /)])
+    })
+  })
+
+  describe('migrate', () => {
+    it('moves deprecated options without changing the original', () => {
+      const config = { scatter: { force: 4 }, particles: { density: 6 } }
+      const renamed = jest.fn()
+
+      const migrated = ConfigSchema.migrate(config, renamed)
+
+      expect(migrated).toEqual({ particles: { density: 6, scatter: { force: 4 } } })
+      expect(config).toEqual({ scatter: { force: 4 }, particles: { density: 6 } })
+      expect(renamed).toHaveBeenCalledWith('scatter', 'particles.scatter')
+    })
+
+    it('lets the current name win when both are set', () => {
+      const migrated = ConfigSchema.migrate({
+        particles: { fade_out: { duration: 100, duration_ms: 900 } }
+      })
+
+      expect(migrated.particles.fade_out).toEqual({ duration_ms: 900 })
+    })
+
+    it('returns the same object when nothing is deprecated', () => {
+      const config = { particles: { density: 6 } }
+
+      expect(ConfigSchema.migrate(config)).toBe(config)
+    })
+  })
+
+  describe('removeUnknown', () => {
+    it('removes options the schema does not describe and lists their paths', () => {
+      const config = { particles: { density: 6, array: [] }, extra: true }
+
+      expect(ConfigSchema.removeUnknown(config)).toEqual(['particles.array', 'extra'])
+      expect(config).toEqual({ particles: { density: 6 } })
+    })
+  })
+})
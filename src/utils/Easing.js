@@ -0,0 +1,82 @@
+// Easings that can be selected by name
+const NAMES = ['linear', 'easeInQuad', 'easeOutQuad', 'easeInOutQuad',
+  'easeInCubic', 'easeOutCubic', 'easeInOutCubic', 'easeOutBack']
+
+/**
+ * Easing functions mapping progress (0-1) to eased progress
+ */
+export class Easing {
+  static linear(t) {
+    return t
+  }
+
+  static easeInQuad(t) {
+    return t * t
+  }
+
+  static easeOutQuad(t) {
+    return t * (2 - t)
+  }
+
+  static easeInOutQuad(t) {
+    return t < 0.5 ? 2 * t * t : -1 + (4 - 2 * t) * t
+  }
+
+  static easeInCubic(t) {
+    return t * t * t
+  }
+
+  static easeOutCubic(t) {
+    return 1 - (1 - t) ** 3
+  }
+
+  static easeInOutCubic(t) {
+    return t < 0.5 ? 4 * t * t * t : 1 - (-2 * t + 2) ** 3 / 2
+  }
+
+  static easeOutBack(t) {
+    const c1 = 1.70158
+    const c3 = c1 + 1
+    return 1 + c3 * (t - 1) ** 3 + c1 * (t - 1) ** 2
+  }
+
+  /**
+   * Check if an easing name is known
+   * @param {string} name - Easing name
+   * @returns {boolean} True if the name can be passed to get()
+   */
+  static has(name) {
+    return NAMES.includes(name)
+  }
+
+  /**
+   * Find the name of a built-in easing function
+   * @param {Function} easing - Easing function
+   * @returns {string|null} Name, or null for a custom function
+   */
+  static getName(easing) {
+    return NAMES.find(name => Easing[name] === easing) || null
+  }
+
+  /**
+   * Resolve an easing by name or pass a custom function through
+   * @param {string|Function} easing - Easing name or function
+   * @returns {Function} Easing function
+   */
+  static get(easing) {
+    if (typeof easing === 'function') {
+      return easing
+    }
+
+    if (Easing.has(easing)) {
+      return Easing[easing]
+    }
+
+    if (easing) {
+      console.warn('Unknown easing:', easing, '- defaulting to linear')
+    }
+    return Easing.linear
+  }
+}
+
+export default Easing
@@ -0,0 +1,103 @@
+/**
+ * Minimal event emitter scoped to a single particle image instance
+ */
+export class EventEmitter {
+  constructor() {
+    this.listeners = new Map() // eventName -> Set of handlers
+    this.bridge = null
+  }
+
+  /**
+   * Subscribe to an event
+   * @param {string} eventName - Event name
+   * @param {Function} handler - Called with the event detail
+   * @returns {Function} Unsubscribe function
+   */
+  on(eventName, handler) {
+    if (!this.listeners.has(eventName)) {
+      this.listeners.set(eventName, new Set())
+    }
+    this.listeners.get(eventName).add(handler)
+    return () => this.off(eventName, handler)
+  }
+
+  /**
+   * Unsubscribe from an event
+   * @param {string} eventName - Event name
+   * @param {Function} handler - Previously registered handler
+   */
+  off(eventName, handler) {
+    const handlers = this.listeners.get(eventName)
+    if (!handlers) {
+      return
+    }
+
+    for (const registered of handlers) {
+      if (registered === handler || registered.original === handler) {
+        handlers.delete(registered)
+      }
+    }
+
+    if (handlers.size === 0) {
+      this.listeners.delete(eventName)
+    }
+  }
+
+  /**
+   * Subscribe to a single occurrence of an event
+   * @param {string} eventName - Event name
+   * @param {Function} handler - Called with the event detail
+   * @returns {Function} Unsubscribe function
+   */
+  once(eventName, handler) {
+    const wrapper = detail => {
+      this.off(eventName, wrapper)
+      handler(detail)
+    }
+    wrapper.original = handler
+    return this.on(eventName, wrapper)
+  }
+
+  /**
+   * Emit an event to all subscribers
+   * @param {string} eventName - Event name
+   * @param {Object} detail - Event payload
+   */
+  emit(eventName, detail = {}) {
+    const handlers = this.listeners.get(eventName)
+    if (handlers) {
+      for (const handler of [...handlers]) {
+        try {
+          handler(detail)
+        } catch (error) {
+          console.error(`Error in ${eventName} handler:`, error)
+        }
+      }
+    }
+
+    if (this.bridge) {
+      this.bridge.target.dispatchEvent(new CustomEvent(eventName, {
+        detail: { ...detail, ...this.bridge.detail }
+      }))
+    }
+  }
+
+  /**
+   * Re-dispatch every emitted event as a CustomEvent on a DOM target
+   * @param {EventTarget} target - Target such as document
+   * @param {Object} detail - Extra fields merged into every event detail
+   */
+  bridgeTo(target, detail = {}) {
+    this.bridge = target ? { target, detail } : null
+  }
+
+  /**
+   * Remove all subscribers and the DOM bridge
+   */
+  clear() {
+    this.listeners.clear()
+    this.bridge = null
+  }
+}
+
+export default EventEmitter
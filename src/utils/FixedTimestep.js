@@ -0,0 +1,39 @@
+/**
+ * Fixed timestep accumulator so physics advances the same at any refresh rate
+ */
+export class FixedTimestep {
+  constructor() {
+    this.lastTime = null
+    this.accumulator = 0
+  }
+
+  /**
+   * Accumulate elapsed time and work out how many physics steps to run
+   * @param {number} now - Current time in milliseconds
+   * @param {Object} physics - Physics configuration {timestep_ms, max_steps_per_frame, interpolate}
+   * @returns {Object} {steps, interpolation} where interpolation is progress (0-1) into the next step
+   */
+  advance(now, physics = {}) {
+    const timestep = physics.timestep_ms || 1000 / 60
+    const maxSteps = physics.max_steps_per_frame || 5
+
+    // Cap elapsed time so throttled tabs resume without a burst of steps
+    this.accumulator += this.lastTime === null
+      ? timestep
+      : Math.min(now - this.lastTime, timestep * maxSteps)
+    this.lastTime = now
+
+    let steps = 0
+    while (this.accumulator >= timestep && steps < maxSteps) {
+      this.accumulator -= timestep
+      steps++
+    }
+
+    return {
+      steps,
+      interpolation: physics.interpolate === false ? 1 : this.accumulator / timestep
+    }
+  }
+}
+
+export default FixedTimestep
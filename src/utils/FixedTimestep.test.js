@@ -0,0 +1,55 @@
+import { FixedTimestep } from './FixedTimestep.js'
+
+const PHYSICS = { timestep_ms: 10, max_steps_per_frame: 5 }
+
+// Total steps over one second of frames at a refresh rate
+function stepsPerSecond(hz) {
+  const timestep = new FixedTimestep()
+  let steps = 0
+  for (let frame = 0; frame <= hz; frame++) {
+    steps += timestep.advance(frame * 1000 / hz, PHYSICS).steps
+  }
+  return steps
+}
+
+describe('FixedTimestep', () => {
+  it('runs one step on the first frame', () => {
+    expect(new FixedTimestep().advance(5000, PHYSICS)).toEqual({ steps: 1, interpolation: 0 })
+  })
+
+  it('advances physics at the same rate at any refresh rate', () => {
+    expect(stepsPerSecond(30)).toBe(101)
+    expect(stepsPerSecond(60)).toBe(101)
+    expect(stepsPerSecond(144)).toBe(101)
+  })
+
+  it('carries the remainder into the next frame and reports it as interpolation', () => {
+    const timestep = new FixedTimestep()
+    timestep.advance(0, PHYSICS)
+
+    expect(timestep.advance(15, PHYSICS)).toEqual({ steps: 1, interpolation: 0.5 })
+    expect(timestep.advance(20, PHYSICS)).toEqual({ steps: 1, interpolation: 0 })
+  })
+
+  it('caps the steps after a long pause', () => {
+    const timestep = new FixedTimestep()
+    timestep.advance(0, PHYSICS)
+
+    expect(timestep.advance(2000, PHYSICS).steps).toBe(5)
+    expect(timestep.advance(2010, PHYSICS).steps).toBe(1)
+  })
+
+  it('reports full progress when interpolation is off', () => {
+    const timestep = new FixedTimestep()
+    timestep.advance(0, PHYSICS)
+
+    expect(timestep.advance(15, { ...PHYSICS, interpolate: false }).interpolation).toBe(1)
+  })
+
+  it('defaults to 60 steps a second', () => {
+    const timestep = new FixedTimestep()
+    timestep.advance(0)
+
+    expect(timestep.advance(1000 / 30).steps).toBe(2)
+  })
+})
@@ -0,0 +1,101 @@
+/**
+ * Registry of named flow presets that expand into flow stages
+ */
+const presets = new Map()
+
+export class FlowPresets {
+  /**
+   * Register a flow preset
+   * @param {string} name - Preset name referenced by flow.preset
+   * @param {Array} stages - Stage definitions; give stages an id to allow overrides by name
+   */
+  static register(name, stages) {
+    if (!name || typeof name !== 'string') {
+      throw new Error('Flow preset name must be a non-empty string')
+    }
+    if (!Array.isArray(stages)) {
+      throw new Error('Flow preset stages must be an array: ' + name)
+    }
+
+    presets.set(name, stages.map(stage => ({ ...stage })))
+  }
+
+  /**
+   * Check if a preset is registered
+   * @param {string} name - Preset name
+   * @returns {boolean} True if registered
+   */
+  static has(name) {
+    return presets.has(name)
+  }
+
+  /**
+   * Get names of all registered presets
+   * @returns {Array} Preset names
+   */
+  static list() {
+    return [...presets.keys()]
+  }
+
+  /**
+   * Expand a preset into a fresh stage array
+   * @param {string} name - Preset name
+   * @param {Object} overrides - Per-stage overrides keyed by stage id or index
+   * @returns {Array|null} Stage definitions or null if preset is unknown
+   */
+  static expand(name, overrides = {}) {
+    const stages = presets.get(name)
+    if (!stages) {
+      return null
+    }
+
+    return stages.map((stage, index) => {
+      const override = (stage.id !== undefined && overrides[stage.id]) || overrides[index]
+      return override ? { ...stage, ...override } : { ...stage }
+    })
+  }
+}
+
+FlowPresets.register('float_click_animate_scatter_fade', [
+  { id: 'float', type: 'float', enabled: true },
+  { id: 'click', type: 'wait_for_click', enabled: true },
+  { id: 'animate', type: 'animation', enabled: true, play_once: true },
+  { id: 'settle', type: 'disable_floating', enabled: true },
+  { id: 'scatter', type: 'scatter', enabled: true },
+  { id: 'fade', type: 'fade_out', enabled: true }
+])
+
+FlowPresets.register('assemble_and_idle', [
+  { id: 'assemble', type: 'assemble', enabled: true, pattern: 'scramble' },
+  { id: 'idle', type: 'float', enabled: true }
+])
+
+FlowPresets.register('hover_to_play_loop', [
+  { id: 'float', type: 'float', enabled: true },
+  { id: 'hover', type: 'wait_for_hover', enabled: true },
+  { id: 'animate', type: 'animation', enabled: true, play_once: false }
+])
+
+FlowPresets.register('scroll_reveal', [
+  { id: 'reveal', type: 'wait_for_visible', enabled: true, threshold: 0.25 },
+  { id: 'animate', type: 'animation', enabled: true, play_once: true },
+  { id: 'float', type: 'float', enabled: true }
+])
+
+FlowPresets.register('click_scatter_reassemble', [
+  { id: 'click', type: 'wait_for_click', enabled: true },
+  { id: 'scatter', type: 'scatter', enabled: true },
+  { id: 'hold', type: 'delay', enabled: true, ms: 1500 },
+  { id: 'reassemble', type: 'reassemble', enabled: true },
+  { id: 'repeat', type: 'loop', enabled: true }
+])
+
+FlowPresets.register('hover_scatter_reassemble', [
+  { id: 'hover', type: 'wait_for_hover', enabled: true },
+  { id: 'scatter', type: 'scatter', enabled: true },
+  { id: 'leave', type: 'wait_for_leave', enabled: true },
+  { id: 'reassemble', type: 'reassemble', enabled: true, duration_ms: 800, stagger_ms: 300 },
+  { id: 'repeat', type: 'loop', enabled: true }
+])
+
+export default FlowPresets
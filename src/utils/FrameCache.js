@@ -24,18 +24,33 @@ export class FrameCache {
 
   /**
    * Cache a single frame
-   * @param {number} frameNum - Frame number
+   * @param {number|string} frameNum - Frame number or atlas frame name
    * @param {Image} img - Loaded image object
    * @param {Object} bounds - Frame bounds {x_pos, y_pos, scaledWidth, scaledHeight}
    * @param {HTMLCanvasElement} tempCanvas - Temporary canvas for processing
+   * @param {Object} slice - Sprite sheet region {frame, sourceSize, offset} (optional)
    * @returns {Promise} Promise that resolves when frame is cached
    */
-  cacheFrame(frameNum, img, bounds, tempCanvas) {
+  cacheFrame(frameNum, img, bounds, tempCanvas, slice = null) {
     return new Promise((resolve) => {
       const tempCtx = tempCanvas.getContext('2d')
       
       tempCtx.clearRect(0, 0, tempCanvas.width, tempCanvas.height)
-      tempCtx.drawImage(img, bounds.x_pos, bounds.y_pos, bounds.scaledWidth, bounds.scaledHeight)
+      if (slice) {
+        // Scale the sheet region as if it were a standalone frame image
+        const scaleX = bounds.scaledWidth / slice.sourceSize.width
+        const scaleY = bounds.scaledHeight / slice.sourceSize.height
+        tempCtx.drawImage(
+          img,
+          slice.frame.x, slice.frame.y, slice.frame.width, slice.frame.height,
+          bounds.x_pos + slice.offset.x * scaleX,
+          bounds.y_pos + slice.offset.y * scaleY,
+          slice.frame.width * scaleX,
+          slice.frame.height * scaleY
+        )
+      } else {
+        tempCtx.drawImage(img, bounds.x_pos, bounds.y_pos, bounds.scaledWidth, bounds.scaledHeight)
+      }
       
       const pixelData = tempCtx.getImageData(
         bounds.x_pos, 
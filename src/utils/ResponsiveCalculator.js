@@ -6,6 +6,15 @@ import { Utils } from './Utils.js'
 export class ResponsiveCalculator {
   constructor(config) {
     this.config = config
+    this.currentBreakpoint = this.isEnabled() ? this.getBreakpoint() : null
+  }
+
+  /**
+   * Check if responsive scaling is enabled
+   * @returns {boolean} True if responsive settings apply
+   */
+  isEnabled() {
+    return this.config.responsive?.enabled === true
   }
 
   /**
@@ -15,21 +24,27 @@ export class ResponsiveCalculator {
    */
   calculateResponsiveSize(baseSize) {
     const viewport = Utils.getViewportSize()
-    const sizeConfig = this.config.particles?.size
-    
+    // responsive.size takes precedence over the legacy fields on particles.size
+    const sizeConfig = {
+      ...this.config.particles?.size,
+      ...(this.isEnabled() ? this.config.responsive.size : {})
+    }
+    const breakpointMultiplier = this.isEnabled()
+      ? this.getBreakpointMultiplier(this.config.responsive.size?.breakpoints)
+      : 1.0
+
     // Check if we have responsive properties in size config
-    if (!sizeConfig || 
-        (typeof sizeConfig.min_size === 'undefined' && 
-         typeof sizeConfig.max_size === 'undefined' &&
-         typeof sizeConfig.scale_factor === 'undefined')) {
-      return baseSize
+    if (typeof sizeConfig.min_size === 'undefined' &&
+        typeof sizeConfig.max_size === 'undefined' &&
+        typeof sizeConfig.scale_factor === 'undefined') {
+      return baseSize * breakpointMultiplier
     }
-    
+
     // EXACT OLD CALCULATION: viewportRatio + (scale_factor * viewport.width)
     const viewportRatio = viewport.width / (sizeConfig.base_viewport || 600)
     const dynamicMultiplier = Math.max(0.3, Math.min(2.0, viewportRatio + (sizeConfig.scale_factor || 0.0005) * viewport.width))
-    
-    const calculatedSize = baseSize * dynamicMultiplier
+
+    const calculatedSize = baseSize * dynamicMultiplier * breakpointMultiplier
     // EXACT OLD CLAMP: uses sizeConfig.min_size and sizeConfig.max_size directly
     return Math.min(Math.max(calculatedSize, sizeConfig.min_size || 0.8), sizeConfig.max_size || 4.0)
   }
@@ -40,29 +55,79 @@ export class ResponsiveCalculator {
    * @returns {number} Calculated responsive density
    */
   calculateResponsiveDensity(baseDensity) {
-    // Always return base density - no responsive density calculation
-    return baseDensity
+    if (!this.isEnabled()) {
+      return baseDensity
+    }
+
+    const viewport = Utils.getViewportSize()
+    const densityConfig = this.config.responsive.density || {}
+    let density = densityConfig.base_density || baseDensity
+
+    // scale_factor is the fractional density change per 100px away from base_viewport
+    if (Utils.isValidNumber(densityConfig.scale_factor)) {
+      const baseViewport = densityConfig.base_viewport || this.config.responsive.size?.base_viewport || 1024
+      density *= Math.max(0, 1 + densityConfig.scale_factor * (viewport.width - baseViewport) / 100)
+    }
+
+    density *= this.getBreakpointMultiplier(densityConfig.breakpoints)
+
+    return Utils.clamp(
+      density,
+      densityConfig.min_density || 1,
+      densityConfig.max_density || Infinity
+    )
   }
 
   /**
-   * Get responsive breakpoint multiplier
-   * @returns {number} Multiplier based on current viewport
+   * Get the name of the breakpoint matching the current viewport
+   * @param {Object} breakpoints - Breakpoint definitions (defaults to responsive.breakpoints)
+   * @returns {string|null} 'mobile', 'tablet', 'desktop' or null without breakpoints
    */
-  getBreakpointMultiplier() {
-    if (!this.config.responsive?.breakpoints) {
-      return 1.0
+  getBreakpoint(breakpoints = this.config.responsive?.breakpoints) {
+    if (!breakpoints) {
+      return null
     }
-    
+
     const viewport = Utils.getViewportSize()
-    const breakpoints = this.config.responsive.breakpoints
-    
+
     if (viewport.width <= (breakpoints.mobile?.max_width || 768)) {
-      return breakpoints.mobile?.multiplier || 0.6
+      return 'mobile'
     } else if (viewport.width <= (breakpoints.tablet?.max_width || 1024)) {
-      return breakpoints.tablet?.multiplier || 1.0
-    } else {
-      return breakpoints.desktop?.multiplier || 1.5
+      return 'tablet'
     }
+    return 'desktop'
+  }
+
+  /**
+   * Get responsive breakpoint multiplier
+   * @param {Object} breakpoints - Breakpoint definitions (defaults to responsive.breakpoints)
+   * @returns {number} Multiplier based on current viewport
+   */
+  getBreakpointMultiplier(breakpoints = this.config.responsive?.breakpoints) {
+    if (!breakpoints) {
+      return 1.0
+    }
+
+    switch (this.getBreakpoint(breakpoints)) {
+      case 'mobile':
+        return breakpoints.mobile?.multiplier || 0.6
+      case 'tablet':
+        return breakpoints.tablet?.multiplier || 1.0
+      default:
+        return breakpoints.desktop?.multiplier || 1.5
+    }
+  }
+
+  /**
+   * Re-evaluate the active breakpoint
+   * @returns {Object|null} {previous, current} when the breakpoint changed, otherwise null
+   */
+  updateBreakpoint() {
+    const previous = this.currentBreakpoint
+    const current = this.isEnabled() ? this.getBreakpoint() : null
+    this.currentBreakpoint = current
+
+    return previous !== current ? { previous, current } : null
   }
 }
 
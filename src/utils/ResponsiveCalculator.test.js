@@ -0,0 +1,92 @@
+import { ResponsiveCalculator } from './ResponsiveCalculator.js'
+import { Utils } from './Utils.js'
+
+// Without a window the calculator reads the viewport set here, as in the worker
+const viewport = width => Utils.setViewportSize({ width, height: 800 })
+
+const BREAKPOINTS = {
+  mobile: { max_width: 600, multiplier: 0.5 },
+  tablet: { max_width: 1000, multiplier: 0.8 },
+  desktop: { multiplier: 2 }
+}
+
+describe('ResponsiveCalculator', () => {
+  describe('calculateResponsiveDensity', () => {
+    it('returns the base density when responsive scaling is off', () => {
+      viewport(375)
+      const calculator = new ResponsiveCalculator({ responsive: { enabled: false, density: { base_density: 90 } } })
+
+      expect(calculator.calculateResponsiveDensity(40)).toBe(40)
+    })
+
+    it('scales base_density by scale_factor per 100px from base_viewport', () => {
+      const calculator = new ResponsiveCalculator({
+        responsive: { enabled: true, density: { base_density: 100, scale_factor: 0.1, base_viewport: 1000 } }
+      })
+
+      viewport(800)
+      expect(calculator.calculateResponsiveDensity(40)).toBeCloseTo(80)
+      viewport(1200)
+      expect(calculator.calculateResponsiveDensity(40)).toBeCloseTo(120)
+    })
+
+    it('clamps to min_density and max_density', () => {
+      const calculator = new ResponsiveCalculator({
+        responsive: { enabled: true, density: { scale_factor: 1, base_viewport: 1000, min_density: 10, max_density: 60 } }
+      })
+
+      viewport(200)
+      expect(calculator.calculateResponsiveDensity(40)).toBe(10)
+      viewport(1500)
+      expect(calculator.calculateResponsiveDensity(40)).toBe(60)
+    })
+
+    it('applies the density breakpoint multiplier', () => {
+      const calculator = new ResponsiveCalculator({ responsive: { enabled: true, density: { breakpoints: BREAKPOINTS } } })
+
+      viewport(500)
+      expect(calculator.calculateResponsiveDensity(40)).toBe(20)
+      viewport(1600)
+      expect(calculator.calculateResponsiveDensity(40)).toBe(80)
+    })
+  })
+
+  describe('calculateResponsiveSize', () => {
+    it('applies the size breakpoint multiplier', () => {
+      const calculator = new ResponsiveCalculator({ responsive: { enabled: true, size: { breakpoints: BREAKPOINTS } } })
+
+      viewport(800)
+      expect(calculator.calculateResponsiveSize(2)).toBeCloseTo(1.6)
+    })
+
+    it('ignores responsive.size while responsive scaling is off', () => {
+      viewport(800)
+      const calculator = new ResponsiveCalculator({ responsive: { enabled: false, size: { breakpoints: BREAKPOINTS } } })
+
+      expect(calculator.calculateResponsiveSize(2)).toBe(2)
+    })
+  })
+
+  describe('breakpoints', () => {
+    it('names the breakpoint for the viewport width', () => {
+      const calculator = new ResponsiveCalculator({ responsive: { enabled: true } })
+
+      viewport(600)
+      expect(calculator.getBreakpoint(BREAKPOINTS)).toBe('mobile')
+      viewport(601)
+      expect(calculator.getBreakpoint(BREAKPOINTS)).toBe('tablet')
+      viewport(1001)
+      expect(calculator.getBreakpoint(BREAKPOINTS)).toBe('desktop')
+      expect(calculator.getBreakpoint(null)).toBeNull()
+    })
+
+    it('reports a change of breakpoint once', () => {
+      viewport(500)
+      const calculator = new ResponsiveCalculator({ responsive: { enabled: true, breakpoints: BREAKPOINTS } })
+
+      viewport(1200)
+      expect(calculator.updateBreakpoint()).toEqual({ previous: 'mobile', current: 'desktop' })
+      expect(calculator.updateBreakpoint()).toBeNull()
+    })
+  })
+})
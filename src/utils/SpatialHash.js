@@ -0,0 +1,134 @@
+/**
+ * Uniform-grid spatial hash for neighbor and radius queries. Items are bucketed
+ * by the cell containing their position, so a query only visits the cells its
+ * circle overlaps instead of every item.
+ */
+export class SpatialHash {
+  /**
+   * @param {number} cellSize - Cell edge length in CSS pixels; close to the usual query radius works best
+   */
+  constructor(cellSize = 64) {
+    this.cellSize = Math.max(1, cellSize)
+    this.cells = new Map() // cell key -> flat [item, x, y, item, x, y, ...]
+    this.size = 0
+  }
+
+  /**
+   * Get the key of the cell at grid coordinates
+   * @param {number} cellX - Cell column
+   * @param {number} cellY - Cell row
+   * @returns {number} Cell key
+   */
+  key(cellX, cellY) {
+    // Numeric keys avoid string building; valid for 65536 cells in each direction
+    return (cellX + 32768) * 65536 + (cellY + 32768)
+  }
+
+  /**
+   * Remove all items
+   */
+  clear() {
+    this.cells.clear()
+    this.size = 0
+  }
+
+  /**
+   * Add an item at a position
+   * @param {*} item - Item to store (a particle, or an index into a ParticleStore)
+   * @param {number} x - X position
+   * @param {number} y - Y position
+   */
+  insert(item, x, y) {
+    const key = this.key(Math.floor(x / this.cellSize), Math.floor(y / this.cellSize))
+    let cell = this.cells.get(key)
+    if (!cell) {
+      cell = []
+      this.cells.set(key, cell)
+    }
+    cell.push(item, x, y)
+    this.size++
+  }
+
+  /**
+   * Replace the contents with the current positions of a set of particles
+   * @param {Array|ParticleStore} particles - Particle objects, or a typed-array store whose indices become the items
+   */
+  rebuild(particles) {
+    this.clear()
+
+    if (particles.isParticleStore) {
+      for (let i = 0; i < particles.count; i++) {
+        this.insert(i, particles.x[i], particles.y[i])
+      }
+      return
+    }
+
+    for (const particle of particles) {
+      this.insert(particle, particle.x, particle.y)
+    }
+  }
+
+  /**
+   * Visit every item within a radius of a point
+   * @param {number} x - Center X
+   * @param {number} y - Center Y
+   * @param {number} radius - Query radius (inclusive)
+   * @param {Function} callback - Called with (item, distance); return true to stop early
+   * @returns {boolean} True if the callback stopped the query
+   */
+  query(x, y, radius, callback) {
+    const minX = Math.floor((x - radius) / this.cellSize)
+    const maxX = Math.floor((x + radius) / this.cellSize)
+    const minY = Math.floor((y - radius) / this.cellSize)
+    const maxY = Math.floor((y + radius) / this.cellSize)
+    const radiusSq = radius * radius
+
+    for (let cellX = minX; cellX <= maxX; cellX++) {
+      for (let cellY = minY; cellY <= maxY; cellY++) {
+        const cell = this.cells.get(this.key(cellX, cellY))
+        if (!cell) {
+          continue
+        }
+
+        for (let i = 0; i < cell.length; i += 3) {
+          const dx = cell[i + 1] - x
+          const dy = cell[i + 2] - y
+          const distSq = dx * dx + dy * dy
+          if (distSq <= radiusSq && callback(cell[i], Math.sqrt(distSq))) {
+            return true
+          }
+        }
+      }
+    }
+
+    return false
+  }
+
+  /**
+   * Get every item within a radius of a point
+   * @param {number} x - Center X
+   * @param {number} y - Center Y
+   * @param {number} radius - Query radius (inclusive)
+   * @returns {Array} Items found
+   */
+  queryRadius(x, y, radius) {
+    const found = []
+    this.query(x, y, radius, item => {
+      found.push(item)
+    })
+    return found
+  }
+
+  /**
+   * Check whether any item is closer than a distance to a point
+   * @param {number} x - X position
+   * @param {number} y - Y position
+   * @param {number} distance - Minimum spacing (exclusive, as in Utils.hasOverlap)
+   * @returns {boolean} True if an item is closer than distance
+   */
+  hasNeighbor(x, y, distance) {
+    return this.query(x, y, distance, (item, dist) => dist < distance)
+  }
+}
+
+export default SpatialHash
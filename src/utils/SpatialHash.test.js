@@ -0,0 +1,71 @@
+import { SpatialHash } from './SpatialHash.js'
+import { ParticleStore } from '../core/ParticleStore.js'
+
+const point = (x, y) => ({ x, y })
+
+describe('SpatialHash', () => {
+  it('finds items within the radius across cells, including the edge', () => {
+    const hash = new SpatialHash(10)
+    const near = [point(0, 0), point(-5, 9), point(19, 0)]
+    hash.rebuild([...near, point(20, 1), point(-30, -30)])
+
+    expect(hash.queryRadius(5, 0, 14)).toEqual(expect.arrayContaining(near))
+    expect(hash.queryRadius(5, 0, 14)).toHaveLength(3)
+  })
+
+  it('matches a brute-force search', () => {
+    const points = Array.from({ length: 200 }, (_, i) => point((i * 37) % 311, (i * 91) % 197))
+    const hash = new SpatialHash(24)
+    hash.rebuild(points)
+
+    for (const [x, y, radius] of [[50, 50, 30], [150, 100, 64], [300, 10, 12]]) {
+      const expected = points.filter(p => Math.hypot(p.x - x, p.y - y) <= radius)
+      expect(new Set(hash.queryRadius(x, y, radius))).toEqual(new Set(expected))
+    }
+  })
+
+  it('passes the distance and stops when the callback returns true', () => {
+    const hash = new SpatialHash(10)
+    hash.rebuild([point(3, 4), point(1, 1), point(2, 2)])
+    const seen = []
+
+    const stopped = hash.query(0, 0, 10, (item, distance) => {
+      seen.push(distance)
+      return distance === 5
+    })
+
+    expect(stopped).toBe(true)
+    expect(seen).toContain(5)
+    expect(seen.length).toBeLessThanOrEqual(3)
+  })
+
+  it('stores the indices of a particle store', () => {
+    const store = new ParticleStore()
+    store.add({ x: 100, y: 100 })
+    store.add({ x: 5, y: 5 })
+    const hash = new SpatialHash()
+
+    hash.rebuild(store)
+
+    expect(hash.size).toBe(2)
+    expect(hash.queryRadius(0, 0, 10)).toEqual([1])
+  })
+
+  it('checks for neighbors closer than a distance', () => {
+    const hash = new SpatialHash(16)
+    hash.insert('a', 10, 10)
+
+    expect(hash.hasNeighbor(14, 10, 5)).toBe(true)
+    expect(hash.hasNeighbor(15, 10, 5)).toBe(false)
+  })
+
+  it('starts empty after clear', () => {
+    const hash = new SpatialHash()
+    hash.insert('a', 1, 1)
+
+    hash.clear()
+
+    expect(hash.size).toBe(0)
+    expect(hash.queryRadius(1, 1, 5)).toEqual([])
+  })
+})
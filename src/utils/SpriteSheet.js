@@ -0,0 +1,95 @@
+/**
+ * Sprite sheet slicing for grid sheets and JSON texture atlases
+ */
+export class SpriteSheet {
+  /**
+   * Slice a uniform grid sheet into frames
+   * @param {Object} sheet - {columns, rows, frame_count, frame_width, frame_height, margin, spacing}
+   * @param {number} imageWidth - Sheet image width
+   * @param {number} imageHeight - Sheet image height
+   * @returns {Map} Frame index -> slice {frame, sourceSize, offset}
+   */
+  static sliceGrid(sheet, imageWidth, imageHeight) {
+    const columns = sheet.columns || 1
+    const rows = sheet.rows || 1
+    const margin = sheet.margin || 0
+    const spacing = sheet.spacing || 0
+    const frameWidth = sheet.frame_width ||
+      Math.floor((imageWidth - margin * 2 - spacing * (columns - 1)) / columns)
+    const frameHeight = sheet.frame_height ||
+      Math.floor((imageHeight - margin * 2 - spacing * (rows - 1)) / rows)
+    const frameCount = Math.min(sheet.frame_count || columns * rows, columns * rows)
+    const slices = new Map()
+
+    // Frames run left to right, top to bottom
+    for (let index = 0; index < frameCount; index++) {
+      const column = index % columns
+      const row = Math.floor(index / columns)
+      slices.set(index, {
+        frame: {
+          x: margin + column * (frameWidth + spacing),
+          y: margin + row * (frameHeight + spacing),
+          width: frameWidth,
+          height: frameHeight
+        },
+        sourceSize: { width: frameWidth, height: frameHeight },
+        offset: { x: 0, y: 0 }
+      })
+    }
+
+    return slices
+  }
+
+  /**
+   * Parse a TexturePacker or Aseprite JSON atlas (hash or array format)
+   * @param {Object} atlas - Parsed atlas JSON
+   * @param {string} tag - Aseprite frame tag to restrict frames to (optional)
+   * @returns {Map} Frame name -> slice {frame, sourceSize, offset}
+   */
+  static parseAtlas(atlas, tag = null) {
+    const entries = Array.isArray(atlas?.frames)
+      ? atlas.frames.map((entry, index) => [entry.filename ?? index, entry])
+      : Object.entries(atlas?.frames || {})
+    let selected = entries
+
+    if (tag) {
+      const frameTag = (atlas.meta?.frameTags || []).find(candidate => candidate.name === tag)
+      if (frameTag) {
+        selected = entries.slice(frameTag.from, frameTag.to + 1)
+      } else {
+        console.warn('Sprite sheet tag not found:', tag)
+      }
+    }
+
+    const slices = new Map()
+    for (const [name, entry] of selected) {
+      if (!entry?.frame) {
+        continue
+      }
+      if (entry.rotated) {
+        console.warn('Rotated atlas frames are not supported:', name)
+      }
+
+      const frame = {
+        x: entry.frame.x,
+        y: entry.frame.y,
+        width: entry.frame.w,
+        height: entry.frame.h
+      }
+      // Trimmed frames are drawn back at their offset within the untrimmed size
+      slices.set(name, {
+        frame,
+        sourceSize: entry.sourceSize
+          ? { width: entry.sourceSize.w, height: entry.sourceSize.h }
+          : { width: frame.width, height: frame.height },
+        offset: entry.trimmed && entry.spriteSourceSize
+          ? { x: entry.spriteSourceSize.x, y: entry.spriteSourceSize.y }
+          : { x: 0, y: 0 }
+      })
+    }
+
+    return slices
+  }
+}
+
+export default SpriteSheet
@@ -0,0 +1,92 @@
+import { SpriteSheet } from './SpriteSheet.js'
+
+describe('SpriteSheet', () => {
+  describe('sliceGrid', () => {
+    it('slices frames left to right, top to bottom', () => {
+      const slices = SpriteSheet.sliceGrid({ columns: 3, rows: 2 }, 300, 200)
+
+      expect([...slices.keys()]).toEqual([0, 1, 2, 3, 4, 5])
+      expect(slices.get(4)).toEqual({
+        frame: { x: 100, y: 100, width: 100, height: 100 },
+        sourceSize: { width: 100, height: 100 },
+        offset: { x: 0, y: 0 }
+      })
+    })
+
+    it('leaves out the margin and spacing', () => {
+      const slices = SpriteSheet.sliceGrid({ columns: 2, rows: 2, margin: 4, spacing: 2 }, 110, 110)
+
+      expect(slices.get(0).frame).toEqual({ x: 4, y: 4, width: 50, height: 50 })
+      expect(slices.get(3).frame).toEqual({ x: 56, y: 56, width: 50, height: 50 })
+    })
+
+    it('uses an explicit frame size and stops at frame_count', () => {
+      const slices = SpriteSheet.sliceGrid({ columns: 4, rows: 2, frame_count: 5, frame_width: 32, frame_height: 16 }, 256, 64)
+
+      expect(slices.size).toBe(5)
+      expect(slices.get(4).frame).toEqual({ x: 0, y: 16, width: 32, height: 16 })
+    })
+
+    it('never returns more frames than the grid holds', () => {
+      expect(SpriteSheet.sliceGrid({ columns: 2, rows: 1, frame_count: 10 }, 100, 50).size).toBe(2)
+    })
+  })
+
+  describe('parseAtlas', () => {
+    const frame = (x, extra = {}) => ({ frame: { x, y: 0, w: 20, h: 30 }, ...extra })
+
+    it('reads hash atlases by frame name', () => {
+      const slices = SpriteSheet.parseAtlas({ frames: { 'walk-1': frame(0), 'walk-2': frame(20) } })
+
+      expect([...slices.keys()]).toEqual(['walk-1', 'walk-2'])
+      expect(slices.get('walk-2')).toEqual({
+        frame: { x: 20, y: 0, width: 20, height: 30 },
+        sourceSize: { width: 20, height: 30 },
+        offset: { x: 0, y: 0 }
+      })
+    })
+
+    it('reads array atlases by filename, or by position without one', () => {
+      const slices = SpriteSheet.parseAtlas({ frames: [{ filename: 'a.png', ...frame(0) }, frame(20)] })
+
+      expect([...slices.keys()]).toEqual(['a.png', 1])
+    })
+
+    it('keeps the untrimmed size and offset of trimmed frames', () => {
+      const trimmed = frame(0, {
+        trimmed: true,
+        sourceSize: { w: 40, h: 40 },
+        spriteSourceSize: { x: 6, y: 4, w: 20, h: 30 }
+      })
+
+      const slice = SpriteSheet.parseAtlas({ frames: { idle: trimmed } }).get('idle')
+
+      expect(slice.sourceSize).toEqual({ width: 40, height: 40 })
+      expect(slice.offset).toEqual({ x: 6, y: 4 })
+    })
+
+    describe('tags', () => {
+      const atlas = {
+        frames: [frame(0), frame(20), frame(40), frame(60)],
+        meta: { frameTags: [{ name: 'run', from: 1, to: 2 }] }
+      }
+
+      beforeEach(() => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {})
+      })
+
+      afterEach(() => {
+        console.warn.mockRestore()
+      })
+
+      it('keeps only the frames of an Aseprite tag', () => {
+        expect([...SpriteSheet.parseAtlas(atlas, 'run').keys()]).toEqual([1, 2])
+      })
+
+      it('warns and keeps every frame for an unknown tag', () => {
+        expect(SpriteSheet.parseAtlas(atlas, 'jump').size).toBe(4)
+        expect(console.warn).toHaveBeenCalledWith('Sprite sheet tag not found:', 'jump')
+      })
+    })
+  })
+})
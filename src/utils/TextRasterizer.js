@@ -0,0 +1,118 @@
+/**
+ * Rasterize text descriptors offscreen so text can be used as a particle source
+ */
+export class TextRasterizer {
+  /**
+   * Check if an image source is a text descriptor
+   * @param {Object} src - image.src value
+   * @returns {boolean} True if src describes text
+   */
+  static isTextSource(src) {
+    return !!src && typeof src === 'object' && typeof src.text === 'string'
+  }
+
+  /**
+   * Build a CSS font string from a text descriptor
+   * @param {Object} descriptor - Text descriptor
+   * @returns {string} CSS font shorthand
+   */
+  static getFont(descriptor) {
+    const style = descriptor.style || 'normal'
+    const weight = descriptor.weight || 'bold'
+    const size = descriptor.size || 120
+    const font = descriptor.font || 'sans-serif'
+    return `${style} ${weight} ${size}px ${font}`
+  }
+
+  /**
+   * Wait for the descriptor's font to be available, then rasterize it
+   * @param {Object} descriptor - Text descriptor
+   * @returns {Promise<HTMLCanvasElement>} Canvas containing the rendered text
+   */
+  static async load(descriptor) {
+    // Web fonts are only fetched once something asks for them
+    if (typeof document !== 'undefined' && document.fonts?.load) {
+      try {
+        await document.fonts.load(TextRasterizer.getFont(descriptor), descriptor.text)
+      } catch (error) {
+        console.warn('Failed to load font:', descriptor.font, error)
+      }
+    }
+
+    return TextRasterizer.rasterize(descriptor)
+  }
+
+  /**
+   * Render text onto a canvas sized tightly around it
+   * @param {Object} descriptor - {text, font, weight, style, size, align, line_height, max_width, color}
+   * @returns {HTMLCanvasElement} Canvas containing the rendered text
+   */
+  static rasterize(descriptor) {
+    const canvas = document.createElement('canvas')
+    const ctx = canvas.getContext('2d')
+    const font = TextRasterizer.getFont(descriptor)
+    const size = descriptor.size || 120
+    const lineHeight = size * (descriptor.line_height || 1.2)
+    const align = descriptor.align || 'center'
+    const padding = Math.ceil(size * 0.1) // Room for glyph overhang
+
+    ctx.font = font
+    const lines = TextRasterizer.wrapLines(ctx, descriptor.text, descriptor.max_width)
+    const textWidth = Math.max(1, ...lines.map(line => ctx.measureText(line).width))
+
+    // Resizing resets the context, so font and fill are set afterwards
+    canvas.width = Math.ceil(textWidth) + padding * 2
+    canvas.height = Math.ceil(lines.length * lineHeight) + padding * 2
+    ctx.font = font
+    ctx.fillStyle = descriptor.color || '#ffffff'
+    ctx.textAlign = align
+    ctx.textBaseline = 'middle'
+
+    let x = canvas.width / 2
+    if (align === 'left') {
+      x = padding
+    } else if (align === 'right') {
+      x = canvas.width - padding
+    }
+
+    lines.forEach((line, index) => {
+      ctx.fillText(line, x, padding + lineHeight * (index + 0.5))
+    })
+
+    return canvas
+  }
+
+  /**
+   * Split text into lines on newlines and, if given, a maximum width
+   * @param {CanvasRenderingContext2D} ctx - Context with the font applied
+   * @param {string} text - Text to wrap
+   * @param {number} maxWidth - Maximum line width in pixels (optional)
+   * @returns {Array} Lines of text
+   */
+  static wrapLines(ctx, text, maxWidth) {
+    const lines = []
+
+    for (const paragraph of String(text).split('\n')) {
+      if (!maxWidth) {
+        lines.push(paragraph)
+        continue
+      }
+
+      let line = ''
+      for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+        const candidate = line ? line + ' ' + word : word
+        if (line && ctx.measureText(candidate).width > maxWidth) {
+          lines.push(line)
+          line = word
+        } else {
+          line = candidate
+        }
+      }
+      lines.push(line)
+    }
+
+    return lines
+  }
+}
+
+export default TextRasterizer
@@ -2,6 +2,9 @@
  * Utility functions for the Reliq Enhanced Particle Image system
  */
 
+// Viewport reported by the main thread when running without a window (Web Worker)
+let workerViewport = { width: 0, height: 0 }
+
 export class Utils {
   /**
    * Deep extend/merge objects
@@ -38,12 +41,24 @@ export class Utils {
    * @returns {Object} Viewport dimensions {width, height}
    */
   static getViewportSize() {
+    if (typeof window === 'undefined') {
+      return { ...workerViewport }
+    }
+
     return {
       width: window.innerWidth || document.documentElement.clientWidth,
       height: window.innerHeight || document.documentElement.clientHeight
     }
   }
 
+  /**
+   * Set the viewport size used where no window exists (Web Worker)
+   * @param {Object} viewport - Viewport dimensions {width, height}
+   */
+  static setViewportSize(viewport) {
+    workerViewport = { width: viewport.width, height: viewport.height }
+  }
+
   /**
    * Debounce function calls
    * @param {Function} func - Function to debounce
@@ -95,11 +110,15 @@ export class Utils {
    * Check for overlap between particles
    * @param {number} x - X coordinate
    * @param {number} y - Y coordinate
-   * @param {Array} existingParticles - Array of existing particles
+   * @param {Array|SpatialHash} existingParticles - Array of existing particles, or a SpatialHash of them
    * @param {number} minSpacing - Minimum spacing required
    * @returns {boolean} True if overlap exists
    */
   static hasOverlap(x, y, existingParticles, minSpacing) {
+    if (typeof existingParticles.hasNeighbor === 'function') {
+      return existingParticles.hasNeighbor(x, y, minSpacing)
+    }
+
     for (let p of existingParticles) {
       const dist = Math.sqrt((x - p.x) ** 2 + (y - p.y) ** 2)
       if (dist < minSpacing) {
@@ -2,3 +2,12 @@ export { Utils } from './Utils.js'
 export { ResponsiveCalculator } from './ResponsiveCalculator.js'
 export { FrameCache } from './FrameCache.js'
 export { ConfigMerger } from './ConfigMerger.js'
+export { ColorSampler } from './ColorSampler.js'
+export { EventEmitter } from './EventEmitter.js'
+export { FlowPresets } from './FlowPresets.js'
+export { Easing } from './Easing.js'
+export { TextRasterizer } from './TextRasterizer.js'
+export { SpriteSheet } from './SpriteSheet.js'
+export { FixedTimestep } from './FixedTimestep.js'
+export { SpatialHash } from './SpatialHash.js'
+export { ConfigSchema } from './ConfigSchema.js'
\ No newline at end of file
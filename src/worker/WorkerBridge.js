@@ -0,0 +1,310 @@
+import { Utils } from '../utils/Utils.js'
+import { Easing } from '../utils/Easing.js'
+
+// Renderers registered inside the worker; others exist only on the main thread
+const WORKER_RENDERERS = ['canvas2d']
+
+// Plugin hooks that run with the physics and drawing, which the worker owns
+const WORKER_HOOKS = ['beforeUpdate', 'afterUpdate', 'beforeRender', 'afterRender']
+
+/**
+ * Copy a configuration for structured cloning. Built-in easing functions become
+ * their names; other functions cannot be sent and are dropped.
+ * @param {*} value - Configuration value
+ * @param {string} path - Path of the value
+ * @param {Array} dropped - Collects the paths of dropped functions
+ * @returns {*} Cloneable copy
+ */
+function toCloneable(value, path = '', dropped = []) {
+  if (typeof value === 'function') {
+    const name = Easing.getName(value)
+    if (!name) {
+      dropped.push(path)
+    }
+    return name ?? undefined
+  }
+  if (Array.isArray(value)) {
+    return value.map((item, index) => toCloneable(item, `${path}[${index}]`, dropped))
+  }
+  if (value && value.constructor === Object) {
+    const copy = {}
+    for (const [key, item] of Object.entries(value)) {
+      copy[key] = toCloneable(item, path ? `${path}.${key}` : key, dropped)
+    }
+    return copy
+  }
+  return value
+}
+
+/**
+ * Main-thread side of render_mode: 'worker'. Transfers the canvas to a Web Worker
+ * that runs the particle systems, effects and renderer, and forwards input,
+ * pixel data and commands to it.
+ */
+export class WorkerBridge {
+  /**
+   * @param {Function} onEvent - Called with (name, detail) for events raised in the worker
+   */
+  constructor(onEvent) {
+    this.onEvent = onEvent
+    this.worker = null
+    this.stats = { primary: 0, secondary: 0 }
+    this.pending = new Map() // request id -> resolve
+    this.nextId = 1
+    this.lastInput = null
+
+    this.primary = new RemoteParticleSystem(this, 'primary')
+    this.secondary = new RemoteParticleSystem(this, 'secondary')
+  }
+
+  /**
+   * Check if the browser can render from a worker
+   * @returns {boolean} True if Worker and OffscreenCanvas transfer are available
+   */
+  static isSupported() {
+    return typeof Worker !== 'undefined' &&
+      typeof OffscreenCanvas !== 'undefined' &&
+      typeof HTMLCanvasElement !== 'undefined' &&
+      typeof HTMLCanvasElement.prototype.transferControlToOffscreen === 'function'
+  }
+
+  /**
+   * List the options the worker cannot honour: a renderer.type registered on the main
+   * thread only, function values other than built-in easings, and plugins with update
+   * or render hooks or actions, which would never be called
+   * @param {Object} config - Configuration
+   * @param {Array} plugins - Installed plugins
+   * @returns {Array} Option paths, and plugin:<name> for plugins; empty if the configuration can run in the worker
+   */
+  static getUnsupportedOptions(config, plugins = []) {
+    const unsupported = []
+    if (!WORKER_RENDERERS.includes(config.renderer?.type ?? 'canvas2d')) {
+      unsupported.push('renderer.type')
+    }
+    toCloneable(config, '', unsupported)
+    for (const plugin of plugins) {
+      if (WORKER_HOOKS.some(hook => plugin[hook]) || Object.keys(plugin.actions || {}).length > 0) {
+        unsupported.push(`plugin:${plugin.name}`)
+      }
+    }
+    return unsupported
+  }
+
+  /**
+   * Start the worker and hand it the canvas. The canvas must not have a context yet.
+   * @param {HTMLCanvasElement} canvas - Canvas to transfer
+   * @param {Object} config - Configuration; check getUnsupportedOptions() first
+   * @param {Object} features - Enabled features
+   * @param {Object} surface - Layout size {width, height, pixelRatio}
+   * @param {boolean} reducedMotion - Whether motion should be reduced; the worker cannot query the media preference
+   * @returns {boolean} True if the worker started; false means render on the main thread
+   */
+  start(canvas, config, features, surface, reducedMotion = false) {
+    try {
+      // Create the worker first: if it fails the canvas is still usable on the main thread
+      this.worker = new Worker(new URL('./particleWorker.js', import.meta.url), { type: 'module' })
+    } catch (error) {
+      console.warn('Particle worker unavailable, rendering on the main thread:', error)
+      this.worker = null
+      return false
+    }
+
+    this.worker.addEventListener('message', event => this.handleMessage(event.data))
+    this.worker.addEventListener('error', event => {
+      this.onEvent('particleImageError', {
+        error: event.message || 'Particle worker error',
+        timestamp: performance.now()
+      })
+      // A worker that failed will not answer; release anyone waiting on it
+      this.pending.forEach(resolve => resolve())
+      this.pending.clear()
+    })
+
+    const offscreen = canvas.transferControlToOffscreen()
+    this.worker.postMessage({
+      type: 'init',
+      canvas: offscreen,
+      config: toCloneable(config),
+      features: { ...features },
+      surface: { ...surface },
+      viewport: Utils.getViewportSize(),
+      reducedMotion
+    }, [offscreen])
+
+    return true
+  }
+
+  /**
+   * Handle a message from the worker
+   * @param {Object} message - Worker message
+   */
+  handleMessage(message) {
+    switch (message.type) {
+      case 'event':
+        this.onEvent(message.name, message.detail)
+        break
+      case 'stats':
+        this.stats = message.stats
+        break
+      case 'morphed':
+      case 'synced':
+        if (message.stats) {
+          this.stats = message.stats
+        }
+        this.pending.get(message.id)?.()
+        this.pending.delete(message.id)
+        break
+    }
+  }
+
+  /**
+   * Post a message to the worker
+   * @param {Object} message - Message with a type field
+   * @param {Array} transfer - Transferable objects
+   */
+  post(message, transfer = []) {
+    this.worker?.postMessage(message, transfer)
+  }
+
+  /**
+   * Post a message and wait for the worker to answer it
+   * @param {Object} message - Message with a type field
+   * @param {Array} transfer - Transferable objects
+   * @returns {Promise} Resolves when the worker replies
+   */
+  request(message, transfer = []) {
+    if (!this.worker) {
+      return Promise.resolve()
+    }
+
+    const id = this.nextId++
+    return new Promise(resolve => {
+      this.pending.set(id, resolve)
+      this.post({ ...message, id }, transfer)
+    })
+  }
+
+  /**
+   * Wait until the worker has processed all earlier messages
+   * @returns {Promise} Resolves with particle counts up to date
+   */
+  sync() {
+    return this.request({ type: 'sync' })
+  }
+
+  /**
+   * Forward the canvas size after a resize
+   * @param {Object} surface - Layout size {width, height, pixelRatio}
+   */
+  resize(surface) {
+    this.post({ type: 'resize', surface: { ...surface }, viewport: Utils.getViewportSize() })
+  }
+
+  /**
+   * Forward pointer and floating state; only sent when it changes
+   * @param {Object} input - {interaction, floatingDisabled, floatOffset}
+   */
+  setInput(input) {
+    const serialized = JSON.stringify(input)
+    if (serialized !== this.lastInput) {
+      this.lastInput = serialized
+      this.post({ type: 'input', input })
+    }
+  }
+
+  /**
+   * Run a flow command in the worker
+   * @param {string} name - 'scatter', 'reassemble', 'assemble', 'fadeOut', 'fadeIn' or 'resetFade'
+   * @param {Object} options - Command options, such as reassemble timing
+   */
+  command(name, options = {}) {
+    this.post({ type: 'command', name, options })
+  }
+
+  /**
+   * Forward a partial configuration update
+   * @param {Object} config - Partial configuration
+   * @param {Object} features - Feature toggles after the update
+   */
+  updateConfig(config, features) {
+    const dropped = []
+    const cloneable = toCloneable(config, '', dropped)
+    if (dropped.length > 0) {
+      console.warn('Function options cannot be sent to the particle worker:', dropped)
+    }
+    this.post({ type: 'config', config: cloneable, features: { ...features } })
+  }
+
+  /**
+   * Stop the worker
+   */
+  destroy() {
+    this.post({ type: 'destroy' })
+    // A busy or stuck worker might never get to the message
+    this.worker?.terminate()
+    this.pending.forEach(resolve => resolve())
+    this.pending.clear()
+    this.worker = null
+  }
+}
+
+/**
+ * Stand-in for a particle system living in the worker
+ */
+class RemoteParticleSystem {
+  constructor(bridge, target) {
+    this.bridge = bridge
+    this.target = target
+  }
+
+  /**
+   * Copy pixel data into a message; bounds do not survive structured cloning
+   * @param {ImageData} pixelData - Pixel data with bounds
+   * @returns {Object} Message fields
+   */
+  toMessage(pixelData) {
+    return { pixelData, bounds: pixelData.bounds }
+  }
+
+  createImageParticles(pixelData, atDestination = false) {
+    if (pixelData) {
+      this.bridge.post({ type: 'createParticles', ...this.toMessage(pixelData), atDestination })
+    }
+  }
+
+  morphTo(pixelData, options = {}) {
+    if (!pixelData) {
+      return Promise.resolve()
+    }
+    const dropped = []
+    const cloneable = toCloneable(options, '', dropped)
+    if (dropped.length > 0) {
+      console.warn('Function options cannot be sent to the particle worker:', dropped)
+    }
+    return this.bridge.request({ type: 'morph', ...this.toMessage(pixelData), options: cloneable })
+  }
+
+  regenerateParticles() {
+    this.bridge.post({ type: 'regenerate', target: this.target })
+  }
+
+  clearParticles() {
+    this.bridge.post({ type: 'clear', target: this.target })
+  }
+
+  updateParticles() {}
+
+  getParticles() {
+    return []
+  }
+
+  getStore() {
+    return null
+  }
+
+  getParticleCount() {
+    return this.bridge.stats[this.target] || 0
+  }
+}
+
+export default WorkerBridge
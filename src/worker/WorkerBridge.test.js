@@ -0,0 +1,78 @@
+import { WorkerBridge } from './WorkerBridge.js'
+import { Easing } from '../utils/Easing.js'
+
+// Bridge talking to a worker stand-in that records messages
+function createBridge() {
+  const bridge = new WorkerBridge(() => {})
+  const worker = { messages: [], postMessage: message => worker.messages.push(message), terminate: jest.fn() }
+  bridge.worker = worker
+  return { bridge, worker }
+}
+
+describe('WorkerBridge', () => {
+  describe('getUnsupportedOptions', () => {
+    it('accepts built-in easings and plugins the worker does not need to call', () => {
+      const config = { morph: { easing: Easing.get('easeOutBack') } }
+      const plugins = [{ name: 'stages-only', stages: { wave: () => {} }, init: () => {} }]
+
+      expect(WorkerBridge.getUnsupportedOptions(config, plugins)).toEqual([])
+    })
+
+    it('lists custom functions, main-thread renderers and plugins with update, render or action code', () => {
+      const config = { renderer: { type: 'webgl' }, morph: { easing: t => t } }
+      const plugins = [
+        { name: 'trail', afterRender: () => {} },
+        { name: 'nudge', actions: { nudge: () => {} } },
+        { name: 'defaults-only', defaults: { extra: 1 } }
+      ]
+
+      expect(WorkerBridge.getUnsupportedOptions(config, plugins)).toEqual([
+        'renderer.type',
+        'morph.easing',
+        'plugin:trail',
+        'plugin:nudge'
+      ])
+    })
+  })
+
+  describe('morphTo', () => {
+    const pixels = () => ({ width: 1, height: 1, data: new Uint8ClampedArray(4), bounds: { x: 0, y: 0 } })
+
+    beforeEach(() => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {})
+    })
+
+    afterEach(() => {
+      console.warn.mockRestore()
+    })
+
+    it('sends built-in easings by name', () => {
+      const { bridge, worker } = createBridge()
+
+      bridge.primary.morphTo(pixels(), { duration_ms: 500, easing: Easing.get('easeOutBack') })
+
+      expect(worker.messages[0]).toMatchObject({ type: 'morph', options: { duration_ms: 500, easing: 'easeOutBack' } })
+      expect(console.warn).not.toHaveBeenCalled()
+    })
+
+    it('warns about a custom easing it cannot send', () => {
+      const { bridge, worker } = createBridge()
+
+      bridge.primary.morphTo(pixels(), { duration_ms: 500, easing: t => t * t })
+
+      expect(worker.messages[0].options).toEqual({ duration_ms: 500, easing: undefined })
+      expect(console.warn).toHaveBeenCalledWith(expect.any(String), ['easing'])
+    })
+  })
+
+  it('terminates the worker on destroy and releases waiting requests', async () => {
+    const { bridge, worker } = createBridge()
+    const synced = bridge.sync()
+
+    bridge.destroy()
+
+    expect(worker.messages.map(message => message.type)).toEqual(['sync', 'destroy'])
+    expect(worker.terminate).toHaveBeenCalledTimes(1)
+    await expect(synced).resolves.toBeUndefined()
+  })
+})
@@ -0,0 +1 @@
+export { WorkerBridge } from './WorkerBridge.js'
\ No newline at end of file
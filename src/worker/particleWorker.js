@@ -0,0 +1,338 @@
+import { Utils, ResponsiveCalculator, FixedTimestep } from '../utils/index.js'
+import { FloatingEffect, ScatterEffect, FadeEffect, EntranceEffect } from '../effects/index.js'
+import { InteractionManager } from '../interaction/InteractionManager.js'
+import { CoreParticleSystem } from '../core/CoreParticleSystem.js'
+import { SecondaryParticleSystem } from '../core/SecondaryParticleSystem.js'
+import { RendererRegistry } from '../renderers/index.js'
+
+/**
+ * Particle simulation running inside a Web Worker on an OffscreenCanvas.
+ * Mirrors the update and render steps of ReliqParticleImage; the main thread
+ * forwards input, pixel data and commands as messages.
+ */
+class WorkerSimulation {
+  constructor({ canvas, config, features, surface, viewport, reducedMotion = false }) {
+    this.canvas = canvas
+    this.config = config
+    this.features = features
+    this.reducedMotion = reducedMotion
+    this.surface = { ...surface }
+    this.input = { interaction: null, floatingDisabled: false, floatOffset: null }
+    this.lastStats = null
+    this.isDestroyed = false
+
+    // Effects report back through the same events the main thread emits
+    this.events = {
+      emit: (name, detail = {}) => self.postMessage({ type: 'event', name, detail })
+    }
+
+    Utils.setViewportSize(viewport)
+    this.context = canvas.getContext('2d')
+    this.renderer = RendererRegistry.create(config.renderer.type, canvas, this.surface, config)
+    this.resize(surface, viewport)
+
+    this.responsiveCalculator = new ResponsiveCalculator(config)
+    // Pointer listeners stay on the main thread; only the force math runs here
+    this.interactionManager = new InteractionManager(null, config)
+    this.floatingEffect = features.floating ? new FloatingEffect(config) : null
+    this.scatterEffect = features.scatter ? new ScatterEffect(config, this.events) : null
+    this.fadeEffect = features.fade ? new FadeEffect(config, this.events) : null
+    this.entranceEffect = features.entrance ? new EntranceEffect(config, this.events, this.surface) : null
+    this.primarySystem = new CoreParticleSystem(config, canvas, this.responsiveCalculator, this.surface)
+    this.secondarySystem = features.secondaryParticles
+      ? new SecondaryParticleSystem(config, canvas, this.responsiveCalculator, this.surface)
+      : null
+    this.primarySystem.setReducedMotion(reducedMotion)
+    this.secondarySystem?.setReducedMotion(reducedMotion)
+  }
+
+  /**
+   * Resize the backing store
+   * @param {Object} surface - Layout size {width, height, pixelRatio}
+   * @param {Object} viewport - Main thread viewport {width, height}
+   */
+  resize(surface, viewport) {
+    Object.assign(this.surface, surface)
+    Utils.setViewportSize(viewport)
+    this.responsiveCalculator?.updateBreakpoint()
+
+    this.canvas.width = Math.round(surface.width * surface.pixelRatio)
+    this.canvas.height = Math.round(surface.height * surface.pixelRatio)
+    this.context.setTransform(surface.pixelRatio, 0, 0, surface.pixelRatio, 0, 0)
+    this.context.imageSmoothingEnabled = true
+    this.renderer.resize()
+  }
+
+  /**
+   * Main loop
+   */
+  start() {
+    const timestep = new FixedTimestep()
+    // requestAnimationFrame is available in dedicated workers that own an OffscreenCanvas
+    const schedule = typeof self.requestAnimationFrame === 'function'
+      ? callback => self.requestAnimationFrame(callback)
+      : callback => setTimeout(callback, 16)
+
+    const animate = () => {
+      if (this.isDestroyed) {
+        return
+      }
+
+      const { steps, interpolation } = timestep.advance(performance.now(), this.config.physics)
+      for (let i = 0; i < steps; i++) {
+        this.update()
+      }
+
+      this.renderer.clear()
+      this.render(interpolation)
+      this.postStats()
+
+      schedule(animate)
+    }
+
+    animate()
+  }
+
+  /**
+   * Advance physics by one step
+   */
+  update() {
+    const state = this.input.interaction
+
+    this.primarySystem.updateParticles(this.interactionManager, state)
+    if (this.secondarySystem) {
+      this.secondarySystem.updateParticles(this.interactionManager, state)
+    }
+
+    this.entranceEffect?.update()
+    this.scatterEffect?.update()
+    // Completion is reported through the fadeOutComplete event
+    if (this.fadeEffect) {
+      this.fadeEffect.update()
+    }
+  }
+
+  /**
+   * Draw all particles
+   * @param {number} interpolation - Progress (0-1) between physics steps
+   */
+  render(interpolation) {
+    const opacity = this.fadeEffect ? this.fadeEffect.getCurrentOpacity() : 1.0
+    let floatOffset = { x: 0, y: 0 }
+
+    if (this.floatingEffect && !this.input.floatingDisabled) {
+      floatOffset = this.input.floatOffset || this.floatingEffect.calculateOffset()
+    }
+
+    this.renderer.begin(floatOffset, interpolation)
+
+    const source = system => (this.renderer.supportsParticleStore && system.getStore()) || system.getParticles()
+    const primary = source(this.primarySystem)
+    const secondary = this.secondarySystem ? source(this.secondarySystem) : []
+    if (this.config.secondary_particles?.render_order === 'background') {
+      this.renderer.drawParticles(secondary, opacity)
+      this.renderer.drawParticles(primary, opacity)
+    } else {
+      this.renderer.drawParticles(primary, opacity)
+      this.renderer.drawParticles(secondary, opacity)
+    }
+
+    if (this.input.interaction) {
+      this.interactionManager.getGrabLinks().forEach(links => this.renderer.drawLinks(links))
+    }
+
+    this.renderer.end()
+  }
+
+  /**
+   * Report particle counts to the main thread when they change
+   */
+  postStats() {
+    const stats = {
+      primary: this.primarySystem.getParticleCount(),
+      secondary: this.secondarySystem?.getParticleCount() || 0
+    }
+
+    if (!this.lastStats || stats.primary !== this.lastStats.primary ||
+        stats.secondary !== this.lastStats.secondary) {
+      this.lastStats = stats
+      self.postMessage({ type: 'stats', stats })
+    }
+  }
+
+  /**
+   * Get the particle system a message targets
+   * @param {string} target - 'primary' or 'secondary'
+   * @returns {Object|null} Particle system
+   */
+  getSystem(target) {
+    return target === 'secondary' ? this.secondarySystem : this.primarySystem
+  }
+
+  /**
+   * Run a flow command
+   * @param {string} name - Command name
+   * @param {Object} options - Command options
+   */
+  runCommand(name, options = {}) {
+    const targets = [this.primarySystem, this.secondarySystem]
+      .filter(Boolean)
+      .flatMap(system => system.getStore() || system.getParticles())
+
+    switch (name) {
+      case 'scatter':
+        this.scatterEffect?.scatterParticles(targets)
+        break
+      case 'reassemble':
+        this.scatterEffect?.reassembleParticles(targets, options)
+        break
+      case 'fadeOut':
+        this.fadeEffect?.startFadeOut(targets, options)
+        break
+      case 'fadeIn':
+        this.fadeEffect?.startFadeIn(targets, options)
+        break
+      case 'assemble':
+        this.entranceEffect?.start(targets, options)
+        break
+      case 'resetFade':
+        this.fadeEffect?.reset()
+        break
+      default:
+        console.warn('Unknown worker command:', name)
+    }
+  }
+
+  /**
+   * Apply a partial configuration update, creating or tearing down the effects and
+   * secondary system of features the main thread switched
+   * @param {Object} newConfig - Partial configuration
+   * @param {Object} features - Feature toggles after the update
+   */
+  updateConfig(newConfig, features = this.features) {
+    Utils.deepExtend(this.config, newConfig)
+    const config = this.config
+    const flipped = name => features[name] !== this.features[name]
+
+    if (flipped('floating')) {
+      this.floatingEffect = features.floating ? new FloatingEffect(config) : null
+    }
+    if (flipped('scatter')) {
+      this.scatterEffect = features.scatter ? new ScatterEffect(config, this.events) : null
+    }
+    if (flipped('fade')) {
+      this.fadeEffect?.reset()
+      this.fadeEffect = features.fade ? new FadeEffect(config, this.events) : null
+    }
+    if (flipped('entrance')) {
+      this.entranceEffect?.cancel()
+      this.entranceEffect = features.entrance ? new EntranceEffect(config, this.events, this.surface) : null
+    }
+    if (flipped('secondaryParticles')) {
+      this.secondarySystem?.clearParticles()
+      this.secondarySystem = features.secondaryParticles
+        ? new SecondaryParticleSystem(config, this.canvas, this.responsiveCalculator, this.surface)
+        : null
+      this.secondarySystem?.setReducedMotion(this.reducedMotion)
+    }
+    this.features = { ...features }
+    if (newConfig.responsive) {
+      this.responsiveCalculator.updateBreakpoint()
+    }
+
+    this.interactionManager.config = this.config
+    this.floatingEffect?.updateConfig(this.config)
+    this.scatterEffect?.updateConfig(this.config)
+    this.fadeEffect?.updateConfig(this.config)
+    this.entranceEffect?.updateConfig(this.config)
+  }
+
+  /**
+   * Stop the loop and release resources
+   */
+  destroy() {
+    this.isDestroyed = true
+    this.primarySystem.clearParticles()
+    this.secondarySystem?.clearParticles()
+    this.renderer.destroy()
+  }
+}
+
+/**
+ * Reattach the bounds offset dropped by structured cloning
+ * @param {Object} message - Message with pixelData and bounds
+ * @returns {ImageData} Pixel data with bounds
+ */
+function withBounds(message) {
+  const pixelData = message.pixelData
+  pixelData.bounds = message.bounds
+  return pixelData
+}
+
+let simulation = null
+
+self.addEventListener('message', event => {
+  const message = event.data
+
+  if (message.type === 'init') {
+    try {
+      simulation = new WorkerSimulation(message)
+      simulation.start()
+    } catch (error) {
+      simulation = null
+      self.postMessage({
+        type: 'event',
+        name: 'particleImageError',
+        detail: { error: error.message, timestamp: performance.now() }
+      })
+    }
+    return
+  }
+
+  if (!simulation) {
+    // Answer requests so the main thread does not wait on a worker that failed to start
+    if (message.id !== undefined) {
+      self.postMessage({ type: 'synced', id: message.id, stats: null })
+    }
+    return
+  }
+
+  switch (message.type) {
+    case 'resize':
+      simulation.resize(message.surface, message.viewport)
+      break
+    case 'input':
+      simulation.input = message.input
+      break
+    case 'createParticles':
+      simulation.entranceEffect?.cancel()
+      simulation.primarySystem.createImageParticles(withBounds(message), message.atDestination)
+      break
+    case 'morph':
+      simulation.primarySystem.morphTo(withBounds(message), message.options).then(() => {
+        self.postMessage({ type: 'morphed', id: message.id })
+      })
+      break
+    case 'clear':
+      simulation.getSystem(message.target)?.clearParticles()
+      break
+    case 'regenerate':
+      simulation.secondarySystem?.regenerateParticles()
+      break
+    case 'command':
+      simulation.runCommand(message.name, message.options)
+      break
+    case 'config':
+      simulation.updateConfig(message.config, message.features)
+      break
+    case 'sync':
+      simulation.postStats()
+      self.postMessage({ type: 'synced', id: message.id, stats: simulation.lastStats })
+      break
+    case 'destroy':
+      simulation.destroy()
+      simulation = null
+      self.close()
+      break
+  }
+})
@@ -0,0 +1,144 @@
+// Just enough DOM and canvas for ReliqParticleImage to run under Node in jest.
+// Every pixel on every seventh sample is opaque, so image sources produce particles.
+const noop = () => {}
+
+/**
+ * Create a 2D context that records nothing and returns sparse opaque pixel data
+ * @returns {Object} Context stand-in
+ */
+export function createContext() {
+  const target = {
+    canvas: null,
+    getImageData: (x, y, width, height) => {
+      const data = new Uint8ClampedArray(width * height * 4)
+      for (let i = 0; i < data.length; i += 4) {
+        data[i] = 255
+        data[i + 3] = (i / 4) % 7 === 0 ? 255 : 0
+      }
+      return { data, width, height }
+    },
+    measureText: text => ({ width: text.length * 10, actualBoundingBoxAscent: 8, actualBoundingBoxDescent: 2 }),
+    createImageData: (width, height) => ({ data: new Uint8ClampedArray(width * height * 4), width, height })
+  }
+  return new Proxy(target, {
+    get: (context, key) => (key in context ? context[key] : noop),
+    set: (context, key, value) => {
+      context[key] = value
+      return true
+    }
+  })
+}
+
+/**
+ * Create an element; canvases get a context and all elements record listeners
+ * @param {string} tag - Tag name
+ * @returns {Object} Element stand-in; dispatch(type, event) calls its listeners
+ */
+export function createElement(tag = 'div') {
+  const listeners = {}
+  const element = {
+    tagName: tag.toUpperCase(),
+    style: {},
+    attributes: {},
+    children: [],
+    parentNode: null,
+    dataset: {},
+    offsetWidth: 400,
+    offsetHeight: 300,
+    width: 0,
+    height: 0,
+    listeners,
+    appendChild(child) {
+      child.parentNode = element
+      element.children.push(child)
+      return child
+    },
+    removeChild(child) {
+      element.children.splice(element.children.indexOf(child), 1)
+      child.parentNode = null
+    },
+    remove() {
+      element.parentNode?.removeChild(element)
+    },
+    setAttribute(name, value) {
+      element.attributes[name] = String(value)
+    },
+    getAttribute(name) {
+      return element.attributes[name] ?? null
+    },
+    removeAttribute(name) {
+      delete element.attributes[name]
+    },
+    addEventListener(type, listener) {
+      (listeners[type] ||= []).push(listener)
+    },
+    removeEventListener(type, listener) {
+      listeners[type] = (listeners[type] || []).filter(registered => registered !== listener)
+    },
+    dispatch(type, event = {}) {
+      (listeners[type] || []).forEach(listener => listener({ type, preventDefault: noop, ...event }))
+    },
+    getBoundingClientRect: () => ({ left: 0, top: 0, width: element.offsetWidth, height: element.offsetHeight }),
+    getContext: () => {
+      const context = createContext()
+      context.canvas = element
+      return context
+    },
+    matches: () => true,
+    focus: noop,
+    setPointerCapture: noop,
+    releasePointerCapture: noop
+  }
+  return element
+}
+
+/**
+ * Install window, document, Image and requestAnimationFrame globals
+ * @returns {Function} Removes the globals again
+ */
+export function installDom() {
+  globalThis.window = {
+    innerWidth: 1200,
+    innerHeight: 800,
+    devicePixelRatio: 1,
+    addEventListener: noop,
+    removeEventListener: noop,
+    matchMedia: () => ({ matches: false, addEventListener: noop, removeEventListener: noop })
+  }
+  globalThis.document = {
+    createElement: createElement,
+    querySelector: () => null,
+    getElementById: () => null,
+    fonts: null,
+    dispatchEvent: noop
+  }
+  globalThis.Image = class {
+    constructor() {
+      this.width = 50
+      this.height = 50
+      this.naturalWidth = 50
+      this.naturalHeight = 50
+    }
+
+    set src(value) {
+      this.source = value
+      setTimeout(() => this.onload?.(), 0)
+    }
+
+    get src() {
+      return this.source
+    }
+
+    addEventListener(type, listener) {
+      if (type === 'load') setTimeout(listener, 0)
+    }
+  }
+  globalThis.requestAnimationFrame = callback => setTimeout(() => callback(performance.now()), 16)
+  globalThis.cancelAnimationFrame = id => clearTimeout(id)
+
+  return () => {
+    for (const name of ['window', 'document', 'Image', 'requestAnimationFrame', 'cancelAnimationFrame']) {
+      delete globalThis[name]
+    }
+  }
+}